@@ -13,6 +13,54 @@ chrome.action.onClicked.addListener(async (tab) => {
   await chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
+// Side panel chat runs over a long-lived port so partial output can be streamed back
+const CHAT_PORT = 'chat';
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== CHAT_PORT) return;
+
+  let connected = true;
+  port.onDisconnect.addListener(() => { connected = false; });
+  const post = (msg) => { if (connected) port.postMessage(msg); };
+
+  // One run per port; 'cancel' aborts it
+  const controller = new AbortController();
+
+  port.onMessage.addListener((message) => {
+    if (message.action === 'cancel') {
+      controller.abort();
+      return;
+    }
+    if (message.action !== 'processMessage') return;
+    const onStream = (event) => post({ type: 'stream', event });
+    const onTrace = (event) => onStream(toProgressEvent(event));
+    handleUserMessage(message, { onStream, onTrace, signal: controller.signal })
+      .then(result => post({ type: 'result', result }))
+      .catch(error => post({ type: 'error', error: error.message, cancelled: !!error.isCancelled }));
+  });
+});
+
+// Compact tracer event for the chat timeline: action names, targets and justifications only
+const PROGRESS_TARGET_FIELDS = ['elementId', 'url', 'direction'];
+
+function toProgressEvent({ type, id, parentId, node }) {
+  if (type === 'iteration') {
+    return { type: 'progress', phase: 'iteration', parentId, turn: node.turn, maxIterations: node.maxIterations };
+  }
+  if (type === 'action_end') {
+    return { type: 'progress', phase: 'end', id, status: node.status, duration: node.duration, error: node.error?.message };
+  }
+  const input = node.input || {};
+  const target = PROGRESS_TARGET_FIELDS
+    .filter(key => input[key] !== undefined)
+    .map(key => key === 'elementId' ? `#${input[key]}` : String(input[key]))
+    .join(' ');
+  return {
+    type: 'progress', phase: 'start', id, parentId, name: node.name, target,
+    justification: input.justification || input.instructions || input.instruction || ''
+  };
+}
+
 // Listen for messages from side panel and DevTools
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'processMessage') {
@@ -56,7 +104,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-async function handleUserMessage({ message }) {
+async function handleUserMessage({ message }, options = {}) {
   const runId = Date.now().toString();
 
   try {
@@ -66,7 +114,7 @@ async function handleUserMessage({ message }) {
 
     const action = getAction(BROWSER_ROUTER);
     // executeAction now handles tracing internally, returns _traceUUID
-    const result = await executeAction(action, { user_message: message });
+    const result = await executeAction(action, { user_message: message }, null, options);
     const traceUUID = result._traceUUID;
     const trace = tracer.getTrace(traceUUID);
 
@@ -79,6 +127,7 @@ async function handleUserMessage({ message }) {
       params: { user_message: message },
       status: 'success',
       duration: trace?.duration,
+      usage: tracer.usageTotals(traceUUID),
       trace,
       critique: null,
     });
@@ -88,19 +137,25 @@ async function handleUserMessage({ message }) {
 
     return unwrapFinalAnswer(result);
   } catch (error) {
-    // On error, we may not have a trace UUID
-    logger.error('Execution failed', { runId, error: error.message });
+    // Errors from executeAction carry the root trace UUID; setup errors do not
+    const trace = error._traceUUID ? tracer.getTrace(error._traceUUID) : null;
+    const status = error.isCancelled ? 'cancelled' : error.isTimeout ? 'timeout' : 'error';
+    if (error.isCancelled) logger.info('Execution cancelled', { runId });
+    else logger.error('Execution failed', { runId, error: error.message });
 
     await storeTrace({
       runId,
       timestamp: new Date().toISOString(),
       actionName: BROWSER_ROUTER,
       params: { user_message: message },
-      status: 'error',
+      status,
+      duration: trace?.duration,
+      usage: error._traceUUID ? tracer.usageTotals(error._traceUUID) : null,
       error: error.message,
-      trace: null,
+      trace: trace || null,
       critique: null,
     });
+    if (error._traceUUID) tracer.cleanup(error._traceUUID);
 
     throw error;
   }
@@ -148,6 +203,7 @@ async function handleDebugExecute({ actionName, params, runId }) {
       params: params || {},
       status: 'success',
       duration: trace?.duration,
+      usage: tracer.usageTotals(traceUUID),
       trace,
       critique: null,
     });
@@ -1,18 +1,46 @@
 // Content Script - runs on all web pages
+import { IdRegistry, fingerprintOf, refind, similarCandidates } from './modules/element-ids.js';
+
 const ContentAction = {
   EXTRACT_CONTENT: 'extractContent',
   CLICK_ELEMENT: 'clickElement',
   FILL_FORM: 'fillForm',
-  SCROLL_AND_WAIT: 'scrollAndWait'
+  SCROLL_AND_WAIT: 'scrollAndWait',
+  SELECT_OPTION: 'selectOption',
+  CHECK_CHECKBOX: 'checkCheckbox',
+  SUBMIT_FORM: 'submitForm',
+  ELEMENT_STATUS: 'elementStatus',
+  EXTRACT_TABLE: 'extractTable',
+  TYPE_TEXT: 'typeText',
+  HOVER_ELEMENT: 'hoverElement',
+  PRESS_KEY: 'pressKey',
+  DRAG_AND_DROP: 'dragAndDrop',
+  SHOW_ID_OVERLAY: 'showIdOverlay',
+  HIDE_ID_OVERLAY: 'hideIdOverlay',
+  HIGHLIGHT_ELEMENTS: 'highlightElements',
+  WAIT_FOR_CONDITION: 'waitForCondition'
 };
 
 const isMac = navigator.platform.toLowerCase().includes('mac');
 
 const handlers = {
-  [ContentAction.EXTRACT_CONTENT]: () => extractPageContent(),
+  [ContentAction.EXTRACT_CONTENT]: (msg) => extractPageContent({ includeHidden: msg.includeHidden }),
   [ContentAction.CLICK_ELEMENT]: (msg) => clickElement(msg.elementId, msg.modifiers),
   [ContentAction.FILL_FORM]: (msg) => fillFormFields(msg.fields, msg.submit, msg.submitElementId),
-  [ContentAction.SCROLL_AND_WAIT]: (msg) => scrollAndWait(msg.direction, msg.pixels, msg.waitMs)
+  [ContentAction.SCROLL_AND_WAIT]: (msg) => scrollAndWait(msg.direction, msg.pixels, msg.waitMs),
+  [ContentAction.SELECT_OPTION]: (msg) => selectOption(msg.elementId, msg.value),
+  [ContentAction.CHECK_CHECKBOX]: (msg) => checkCheckbox(msg.elementId, msg.checked),
+  [ContentAction.SUBMIT_FORM]: (msg) => submitForm(msg.elementId),
+  [ContentAction.ELEMENT_STATUS]: (msg) => elementStatus(msg.elementId),
+  [ContentAction.EXTRACT_TABLE]: (msg) => extractTables(msg.maxRows),
+  [ContentAction.TYPE_TEXT]: (msg) => typeText(msg.elementId, msg.text, msg.options),
+  [ContentAction.HOVER_ELEMENT]: (msg) => hoverElement(msg.elementId),
+  [ContentAction.PRESS_KEY]: (msg) => pressKey(msg.elementId, msg.key),
+  [ContentAction.DRAG_AND_DROP]: (msg) => dragAndDrop(msg.sourceId, msg.targetId),
+  [ContentAction.SHOW_ID_OVERLAY]: (msg) => showIdOverlay(msg.prefix),
+  [ContentAction.HIDE_ID_OVERLAY]: () => hideIdOverlay(),
+  [ContentAction.HIGHLIGHT_ELEMENTS]: (msg) => highlightElements(msg.elementIds, msg),
+  [ContentAction.WAIT_FOR_CONDITION]: (msg) => waitForCondition(msg.condition)
 };
 
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
@@ -28,6 +56,250 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   return true;
 });
 
+// Element IDs are local to a frame: '[s<host>/...]<fingerprint>[.<n>]', one 's' segment per open
+// shadow root the element sits in. The fingerprint hashes the element's kind, role, text (its label,
+// for fields that are typed into) and DOM path, so an unchanged element keeps its ID between reads; '.<n>' numbers repeats of the same fingerprint.
+// The extension prefixes 'f<frameId>/' for elements in subframes
+let nextHostId = 0;
+
+// What each ID handed out was, so actions can tell when its element is gone or has changed
+const ids = new IdRegistry();
+
+// The document plus every open shadow root below it, nested ones included
+function collectRoots(root = document, roots = []) {
+  roots.push(root);
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+    if (el.shadowRoot) collectRoots(el.shadowRoot, roots);
+  }
+  return roots;
+}
+
+const queryAll = (roots, selector) => roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+
+// 's<host>/' segments for each shadow root around the element, outermost first
+function shadowPath(el) {
+  let path = '';
+  for (let root = el.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+    if (!root.host.hasAttribute('data-vish-host')) root.host.setAttribute('data-vish-host', nextHostId++);
+    path = `s${root.host.getAttribute('data-vish-host')}/${path}`;
+  }
+  return path;
+}
+
+// Tag names from the nearest ancestor with an id down to the element, e.g. '#login>div>button'
+function domPath(el) {
+  const parts = [];
+  for (let node = el; node; node = node.parentElement) {
+    if (node !== el && node.id) {
+      parts.unshift(`#${node.id}`);
+      break;
+    }
+    parts.unshift(node.tagName.toLowerCase());
+  }
+  return parts.join('>');
+}
+
+// An element's accessible name or placeholder
+const elementLabel = el => cleanField(accessibleName(el) || el.placeholder, 50);
+
+// Short text that identifies an element: its visible text, else its label
+const elementText = el => cleanField(el.innerText, 50) || elementLabel(el);
+
+// Fields whose text is what gets typed into them
+const isEditable = el => el.isContentEditable || el.tagName === 'INPUT' || el.tagName === 'TEXTAREA';
+
+// What an element's ID is made of (see modules/element-ids.js)
+const fingerprintParts = (el, kind) => ({
+  kind, role: explicitRole(el), text: elementText(el), label: elementLabel(el), editable: isEditable(el),
+  href: el.getAttribute('href'), id: el.id, name: el.getAttribute('name'), path: domPath(el)
+});
+
+// ID an element for this extraction, remember what it was and return the ID
+function assignId(el, kind) {
+  const id = ids.issue(shadowPath(el), fingerprintParts(el, kind));
+  el.setAttribute('data-vish-id', id);
+  return id;
+}
+
+/**
+ * Geometry and state of an element
+ * visible: rendered with a size (opacity is ignored, since styled inputs are often transparent);
+ * box: [x, y, width, height] in page coordinates, whole pixels
+ */
+function elementState(el) {
+  const rect = el.getBoundingClientRect();
+  const visible = rect.width > 0 && rect.height > 0 && el.checkVisibility({ visibilityProperty: true });
+  return {
+    visible,
+    in_viewport: visible && rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth,
+    disabled: el.matches(':disabled') || el.getAttribute('aria-disabled') === 'true',
+    box: [rect.left + window.scrollX, rect.top + window.scrollY, rect.width, rect.height].map(Math.round)
+  };
+}
+
+// Everything that may be a control: native ones, anything with a role, click handlers and focus stops
+const CANDIDATES = 'a, button, summary, input, select, textarea, [role], [contenteditable], [onclick], [tabindex]:not([tabindex^="-"])';
+
+// Which list an element with an explicit ARIA role belongs in
+const ROLE_KINDS = {
+  link: 'link',
+  button: 'button', menuitem: 'button', menuitemcheckbox: 'button', menuitemradio: 'button', tab: 'button',
+  option: 'button', switch: 'button', checkbox: 'button', radio: 'button', treeitem: 'button', combobox: 'button',
+  textbox: 'input', searchbox: 'input', spinbutton: 'input'
+};
+const TAG_KINDS = { A: 'link', BUTTON: 'button', SUMMARY: 'button' };
+const FIELD_KINDS = { INPUT: 'input', SELECT: 'select', TEXTAREA: 'textarea' };
+
+const explicitRole = el => el.getAttribute('role')?.trim().split(/\s+/)[0] || null;
+
+/**
+ * The extracted list an element belongs in by itself: 'link' | 'button' | 'input' | 'select' | 'textarea',
+ * 'bare' for a click handler or tab stop with nothing else to go by, or null
+ * Native form fields go by tag, other elements by ARIA role, then by tag; editors count as inputs
+ */
+function ownKind(el) {
+  if (FIELD_KINDS[el.tagName]) return FIELD_KINDS[el.tagName];
+  const role = explicitRole(el);
+  if (Object.hasOwn(ROLE_KINDS, role)) return ROLE_KINDS[role];
+  if (TAG_KINDS[el.tagName]) return TAG_KINDS[el.tagName];
+  if (el.isContentEditable) return el.parentElement?.isContentEditable ? null : 'input';
+  if (el.hasAttribute('onclick') || el.hasAttribute('tabindex')) return 'bare';
+  return null;
+}
+
+/**
+ * Kind of every candidate element under roots, in document order
+ * A bare click handler or tab stop counts as a button unless it sits in a link or button, or wraps other controls
+ * @returns {Map<Element, string|null>}
+ */
+function classify(roots) {
+  const candidates = queryAll(roots, CANDIDATES);
+  const kinds = new Array(candidates.length);
+  const wrapsControls = new Set();
+  // Descendants come first, so a bare element already knows whether a control sits inside it
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const el = candidates[i];
+    let kind = ownKind(el);
+    if (kind === 'bare') {
+      const insideControl = el.parentElement?.closest('a, button, [role="button"], [role="link"]');
+      kind = insideControl || wrapsControls.has(el) ? null : 'button';
+    }
+    kinds[i] = kind;
+    // Ancestors already marked have had theirs marked too
+    if (kind) for (let up = el.parentElement; up && !wrapsControls.has(up); up = up.parentElement) wrapsControls.add(up);
+  }
+  return new Map(candidates.map((el, i) => [el, kinds[i]]));
+}
+
+// Accessible name from aria-labelledby, aria-label, <label>s, then alt and title
+function accessibleName(el) {
+  const root = el.getRootNode();
+  const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => root.getElementById?.(id)?.textContent).join(' ');
+  const labels = Array.from(el.labels || [], label => label.innerText).join(' ');
+  return [labelledBy, el.getAttribute('aria-label'), labels, el.getAttribute('alt'), el.getAttribute('title')]
+    .find(name => name?.trim()) || null;
+}
+
+/**
+ * Role, name and ARIA state of an element, for the extracted entry
+ * role is given when the tag alone doesn't say it; label only when it differs from the visible text.
+ * States are strings ('true', 'false', 'mixed') so a false value still shows
+ */
+function accessibility(el, text) {
+  const info = {};
+  const role = explicitRole(el) || (el.isContentEditable ? 'textbox' : null);
+  if (role) info.role = role;
+  const label = cleanField(accessibleName(el), 50);
+  if (label && label !== text) info.label = label;
+
+  const nativeCheck = el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio');
+  const states = {
+    expanded: el.getAttribute('aria-expanded') ?? (el.tagName === 'SUMMARY' ? String(!!el.parentElement?.open) : null),
+    checked: el.getAttribute('aria-checked') ?? (nativeCheck ? (el.indeterminate ? 'mixed' : String(el.checked)) : null),
+    selected: el.getAttribute('aria-selected'),
+    pressed: el.getAttribute('aria-pressed')
+  };
+  for (const [key, value] of Object.entries(states)) {
+    if (value != null) info[key] = value;
+  }
+  return info;
+}
+
+// Controls of one kind with their state; hidden or disabled ones only when includeHidden
+function interactable({ kinds, includeHidden }, kind) {
+  return [...kinds].filter(([, k]) => k === kind)
+    .map(([el]) => ({ el, state: elementState(el) }))
+    .filter(({ state }) => includeHidden || (state.visible && !state.disabled));
+}
+
+// Reading order: top to bottom, then left to right; hidden elements last
+const byPosition = (a, b) => (b.visible - a.visible) || (a.box[1] - b.box[1]) || (a.box[0] - b.box[0]);
+
+// Find an element by ID, descending through the shadow roots its path names
+function findElement(elementId) {
+  const id = String(elementId);
+  let root = document;
+  for (const segment of id.split('/').slice(0, -1)) {
+    root = root?.querySelector(`[data-vish-host="${CSS.escape(segment.slice(1))}"]`)?.shadowRoot;
+  }
+  return root?.querySelector(`[data-vish-id="${CSS.escape(id)}"]`) || null;
+}
+
+/**
+ * The element an ID refers to, checked against what it was when READ_PAGE issued the ID
+ * An element the page re-rendered is found again by its fingerprint. One that is gone or
+ * has changed gives { stale }: a stale element error naming likely replacements
+ * @returns {{ element: Element } | { stale: Object }}
+ */
+function resolveElement(elementId) {
+  const id = String(elementId);
+  const record = ids.record(id);
+  const element = findElement(id);
+  if (!record) {
+    return element ? { element } : { stale: staleError(id, 'unknown', null, []) };
+  }
+  if (element && fingerprintOf(fingerprintParts(element, record.kind)) === record.fingerprint) return { element };
+
+  const match = record.unique && refind(record, [...classify(collectRoots())]
+    .filter(([, kind]) => kind === record.kind)
+    .map(([el, kind]) => ({ item: el, prefix: shadowPath(el), parts: fingerprintParts(el, kind) })));
+  if (match) {
+    element?.removeAttribute('data-vish-id');
+    match.setAttribute('data-vish-id', id);
+    return { element: match };
+  }
+  return { stale: staleError(id, element ? 'changed' : 'gone', record, similarElements(record, element)) };
+}
+
+function staleError(elementId, reason, record, candidates) {
+  const messages = {
+    unknown: `Element ${elementId} was not found; its ID is not from the latest READ_PAGE of this page`,
+    gone: `Element ${elementId} is no longer on the page`,
+    changed: `Element ${elementId} has changed since READ_PAGE`
+  };
+  return {
+    success: false,
+    error: 'stale_element',
+    message: `${messages[reason]}. Use one of the candidates or READ_PAGE again`,
+    stale: { elementId, reason, was: record && { kind: record.kind, role: record.role, text: record.text }, candidates }
+  };
+}
+
+// Up to three visible elements of the same kind that look most like the one recorded
+function similarElements(record, exclude) {
+  const candidates = [...classify(collectRoots())]
+    .filter(([el, kind]) => el !== exclude && kind === record.kind && elementState(el).visible)
+    .map(([el, kind]) => ({ item: el, parts: fingerprintParts(el, kind) }));
+  return similarCandidates(record, candidates)
+    .map(el => ({
+      id: el.getAttribute('data-vish-id') || assignId(el, record.kind),
+      role: explicitRole(el) || undefined,
+      text: elementText(el) || undefined
+    }));
+}
+
 // Helper to truncate and clean fields
 function cleanField(value, maxLen = 30) {
   if (!value) return null;
@@ -36,35 +308,189 @@ function cleanField(value, maxLen = 30) {
   return cleaned.length > maxLen ? cleaned.substring(0, maxLen) : cleaned;
 }
 
-// Clean document by removing non-content elements
-function cleanDocument() {
-  const tempDiv = document.createElement('div');
-  tempDiv.innerHTML = document.body.innerHTML;
+// --- Main content as Markdown ---
+
+// Class and id hints, matched as whole words or word prefixes
+const POSITIVE_HINTS = /(^|[\s_-])(article|body|content|entry|main|post|story|text|blog)/i;
+const NEGATIVE_HINTS = /(^|[\s_-])(ads?|advert\w*|banner|breadcrumbs?|comments?|cookie\w*|footer|footnotes?|masthead|menu|modal|nav\w*|newsletter|popup|promo\w*|related|share|sharing|sidebar|social|sponsor\w*|subscribe|widget)([\s_-]|$)/i;
+
+// Tags and roles that are never main content
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog']);
+const SKIP_ROLES = new Set(['navigation', 'contentinfo', 'complementary', 'search', 'menu', 'menubar', 'toolbar', 'dialog', 'alertdialog']);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption', 'dl', 'dt', 'dd', 'address', 'details', 'summary', 'form', 'fieldset', 'center', 'li']);
+const TAG_SCORES = { article: 10, main: 10, div: 5, section: 3, pre: 3, td: 3, blockquote: 3, ol: -3, ul: -3, li: -3, form: -3 };
+
+// Stand-ins for whitespace that the final tidy must keep: code block lines and list indentation
+const HARD_NEWLINE = '\u0001';
+const HARD_SPACE = '\u0002';
+
+const hintsOf = el => `${el.getAttribute('class') || ''} ${el.id}`;
+const inline = text => text.replace(/\s+/g, ' ').trim();
+const tidy = text => text.replace(/ {2,}/g, ' ').replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+function linkDensity(el) {
+  const length = el.textContent.length;
+  if (!length) return 0;
+  return Array.from(el.querySelectorAll('a'), a => a.textContent.length).reduce((a, b) => a + b, 0) / length;
+}
+
+function isBoilerplate(el) {
+  if (SKIP_TAGS.has(el.localName) || el.id === OVERLAY_ID) return true;
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+  // Boxless wrappers such as slots are display: contents, not hidden
+  if (!el.checkVisibility() && getComputedStyle(el).display !== 'contents') return true;
+  const role = explicitRole(el);
+  if (SKIP_ROLES.has(role)) return true;
+  // Site headers go, the header of an article keeps its title
+  if ((el.localName === 'header' || role === 'banner') && !el.querySelector('h1')) return true;
+  const hints = hintsOf(el);
+  return NEGATIVE_HINTS.test(hints) && !POSITIVE_HINTS.test(hints);
+}
 
-  // Remove non-content elements
-  ['script', 'style', 'svg', 'noscript'].forEach(tagName => {
-    const elements = tempDiv.getElementsByTagName(tagName);
-    while (elements.length > 0) {
-      elements[0].parentNode?.removeChild(elements[0]);
+/**
+ * The element holding the page's main content, found the way Readability does
+ * Text blocks score their parent (and half to the grandparent) by length and commas; tag and
+ * class hints adjust, link-heavy containers lose. Falls back to the body for pages without a clear winner
+ */
+function mainContentRoot() {
+  const scores = new Map();
+  const addScore = (el, points) => {
+    if (!el || el === document.documentElement) return;
+    if (!scores.has(el)) {
+      const hints = hintsOf(el);
+      scores.set(el, (TAG_SCORES[el.localName] || 0) + (POSITIVE_HINTS.test(hints) ? 25 : 0) - (NEGATIVE_HINTS.test(hints) ? 25 : 0));
     }
-  });
+    scores.set(el, scores.get(el) + points);
+  };
+  for (const block of document.body.querySelectorAll('p, pre, blockquote, td, li')) {
+    const text = block.textContent.trim();
+    if (text.length < 25) continue;
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(block.parentElement, points);
+    addScore(block.parentElement?.parentElement, points / 2);
+  }
 
-  // Strip HTML tags and collapse whitespace
-  return tempDiv.innerHTML
-    .replace(/<[^>]*>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+  const finalScore = el => (scores.get(el) || 0) * (1 - linkDensity(el));
+  let best = null;
+  let bestScore = 0;
+  for (const el of scores.keys()) {
+    const score = finalScore(el);
+    if (score > bestScore) [best, bestScore] = [el, score];
+  }
+  if (!best || best.textContent.trim().length < 250) return document.body;
+
+  // Content split over sibling sections: take the parent while a sibling also scores well
+  while (best.parentElement && best !== document.body &&
+    Array.from(best.parentElement.children).some(sibling => sibling !== best && finalScore(sibling) >= bestScore * 0.2)) {
+    best = best.parentElement;
+  }
+  return best;
+}
+
+// What an element renders: its open shadow root, a slot's assigned nodes, else its children
+function renderedChildren(el) {
+  if (el.shadowRoot) return Array.from(el.shadowRoot.childNodes);
+  if (el.localName === 'slot') {
+    const assigned = el.assignedNodes({ flatten: true });
+    if (assigned.length) return assigned;
+  }
+  return Array.from(el.childNodes);
+}
+
+const childrenMarkdown = el => renderedChildren(el).map(toMarkdown).join('');
+
+// Emphasis markers go inside surrounding spaces, and empty runs get none
+function wrap(text, marker) {
+  const [, before, body, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  return body ? `${before}${marker}${body}${marker}${after}` : text;
+}
+
+// Markdown of a node; blocks are set apart by blank lines that tidy() later collapses
+function toMarkdown(node) {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== Node.ELEMENT_NODE || isBoilerplate(node)) return '';
+  const el = node;
+  const tag = el.localName;
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = inline(childrenMarkdown(el));
+    return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+  }
+  switch (tag) {
+    case 'br': return '\n';
+    case 'hr': return '\n\n---\n\n';
+    case 'strong': case 'b': return wrap(childrenMarkdown(el), '**');
+    case 'em': case 'i': return wrap(childrenMarkdown(el), '_');
+    case 'code': return wrap(el.textContent, '`');
+    case 'pre': {
+      const code = el.textContent.replace(/\n$/, '').replace(/\n/g, HARD_NEWLINE).replace(/ /g, HARD_SPACE);
+      return `\n\n\`\`\`\n${code}\n\`\`\`\n\n`;
+    }
+    case 'a': {
+      const text = inline(childrenMarkdown(el));
+      const href = el.getAttribute('href');
+      if (!text || !href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+      return `[${text}](${el.href})`;
+    }
+    case 'img': {
+      const alt = inline(el.alt || '');
+      return alt && /^https?:/.test(el.src) ? `![${alt}](${el.src})` : alt;
+    }
+    case 'ul': case 'ol': return listMarkdown(el);
+    case 'table': return tableMarkdown(el);
+    case 'blockquote': {
+      const quote = tidy(childrenMarkdown(el));
+      return quote ? `\n\n${quote.split('\n').map(line => `> ${line}`).join('\n')}\n\n` : '';
+    }
+  }
+  const text = childrenMarkdown(el);
+  return BLOCK_TAGS.has(tag) ? `\n\n${text}\n\n` : text;
+}
+
+// Items one per line, nested content indented under its marker
+function listMarkdown(list) {
+  let number = Number(list.getAttribute('start')) || 1;
+  const items = Array.from(list.children)
+    .filter(item => item.localName === 'li' && !isBoilerplate(item))
+    .map(item => {
+      const marker = list.localName === 'ol' ? `${number++}. ` : '- ';
+      const body = tidy(childrenMarkdown(item)).replace(/\n{2,}/g, '\n');
+      return body && marker + body.split('\n').join(`\n${HARD_SPACE.repeat(marker.length)}`);
+    })
+    .filter(Boolean);
+  return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+}
+
+// Data tables as pipe tables, the first row as header; layout tables as plain blocks
+function tableMarkdown(table) {
+  const rows = Array.from(table.rows).filter(row => !isBoilerplate(row));
+  if (table.querySelector('table') || rows.every(row => row.cells.length <= 1)) return `\n\n${childrenMarkdown(table)}\n\n`;
+
+  const cellText = cell => inline(childrenMarkdown(cell)).replace(/\|/g, '\\|');
+  const lines = rows.map(row => `| ${Array.from(row.cells, cellText).join(' | ')} |`);
+  lines.splice(1, 0, `|${' --- |'.repeat(Math.max(...rows.map(row => row.cells.length)))}`);
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * The page's main content as Markdown: headings, lists, links, tables and code blocks
+ * Navigation, sidebars, hidden elements and other boilerplate are left out; open shadow roots are read in place
+ */
+function pageMarkdown() {
+  return tidy(childrenMarkdown(mainContentRoot()))
+    .replaceAll(HARD_NEWLINE, '\n')
+    .replaceAll(HARD_SPACE, ' ');
 }
 
 // Extract and deduplicate links
-function extractLinks(elementIdCounter) {
+function extractLinks(scope) {
   const linkMap = new Map();
 
-  Array.from(document.querySelectorAll('a')).forEach(a => {
-    const href = a.href;
+  interactable(scope, 'link').forEach(({ el: a, state }) => {
+    const href = a.href || null; // ARIA links and bare anchors have none and are never merged
     const text = cleanField(a.innerText);
 
-    if (linkMap.has(href)) {
+    if (href && linkMap.has(href)) {
       const existing = linkMap.get(href);
       if (text && existing.text && !existing.text.includes(text)) {
         const combined = existing.text + ' | ' + text;
@@ -73,71 +499,68 @@ function extractLinks(elementIdCounter) {
         existing.text = text;
       }
     } else {
-      const id = elementIdCounter.value++;
-      a.setAttribute('data-vish-id', id);
+      const id = assignId(a, 'link');
       const linkObj = { id };
       if (text) linkObj.text = text;
       if (href) linkObj.href = cleanField(href, 100);
-      linkMap.set(href, linkObj);
+      linkMap.set(href ?? id, Object.assign(linkObj, accessibility(a, text), state));
     }
   });
 
-  return Array.from(linkMap.values());
+  return Array.from(linkMap.values()).sort(byPosition);
 }
 
 // Extract buttons with metadata (deduplicated)
-function extractButtons(elementIdCounter) {
+function extractButtons(scope) {
   const buttonMap = new Map();
 
-  Array.from(document.querySelectorAll('button')).forEach(b => {
+  interactable(scope, 'button').forEach(({ el: b, state }) => {
     const text = cleanField(b.innerText);
     const elemId = cleanField(b.id);
-    const className = cleanField(b.className);
+    const className = cleanField(b.getAttribute('class'));
+    const info = accessibility(b, text);
 
     // Create unique key from button properties
-    const key = elemId || `${text || ''}|${className || ''}`;
+    const key = elemId || `${text || ''}|${info.label || ''}|${className || ''}`;
 
     if (!buttonMap.has(key)) {
-      const id = elementIdCounter.value++;
-      b.setAttribute('data-vish-id', id);
+      const id = assignId(b, 'button');
       const btnObj = { id };
 
       if (text) btnObj.text = text;
       if (elemId) btnObj.elementId = elemId;
       if (className) btnObj.class = className;
 
-      buttonMap.set(key, btnObj);
+      buttonMap.set(key, Object.assign(btnObj, info, state));
     }
   });
 
-  return Array.from(buttonMap.values());
+  return Array.from(buttonMap.values()).sort(byPosition);
 }
 
 // Extract inputs with metadata
-function extractInputs(elementIdCounter) {
-  return Array.from(document.querySelectorAll('input')).map(i => {
-    const id = elementIdCounter.value++;
-    i.setAttribute('data-vish-id', id);
+function extractInputs(scope) {
+  return interactable(scope, 'input').map(({ el: i, state }) => {
+    const id = assignId(i, 'input');
     const inputObj = { id };
     const type = cleanField(i.type);
     const name = cleanField(i.name);
     const elemId = cleanField(i.id);
-    const placeholder = cleanField(i.placeholder);
+    const placeholder = cleanField(i.placeholder || i.getAttribute('aria-placeholder'));
 
     if (type) inputObj.type = type;
     if (name) inputObj.name = name;
     if (elemId) inputObj.elementId = elemId;
     if (placeholder) inputObj.placeholder = placeholder;
 
-    return inputObj;
-  });
+    return Object.assign(inputObj, accessibility(i), state);
+  }).sort(byPosition);
 }
 
 // Extract select elements (dropdowns) with metadata
-function extractSelects(elementIdCounter) {
-  return Array.from(document.querySelectorAll('select')).map(s => {
-    const id = elementIdCounter.value++;
-    s.setAttribute('data-vish-id', id);
+function extractSelects(scope) {
+  return interactable(scope, 'select').map(({ el: s, state }) => {
+    const id = assignId(s, 'select');
     const selectObj = { id };
     const name = cleanField(s.name);
     const elemId = cleanField(s.id);
@@ -150,15 +573,14 @@ function extractSelects(elementIdCounter) {
       selectObj.selected = cleanField(s.options[s.selectedIndex].text);
     }
 
-    return selectObj;
-  });
+    return Object.assign(selectObj, accessibility(s), state);
+  }).sort(byPosition);
 }
 
 // Extract textareas with metadata
-function extractTextareas(elementIdCounter) {
-  return Array.from(document.querySelectorAll('textarea')).map(t => {
-    const id = elementIdCounter.value++;
-    t.setAttribute('data-vish-id', id);
+function extractTextareas(scope) {
+  return interactable(scope, 'textarea').map(({ el: t, state }) => {
+    const id = assignId(t, 'textarea');
     const textareaObj = { id };
     const name = cleanField(t.name);
     const elemId = cleanField(t.id);
@@ -168,30 +590,36 @@ function extractTextareas(elementIdCounter) {
     if (elemId) textareaObj.elementId = elemId;
     if (placeholder) textareaObj.placeholder = placeholder;
 
-    return textareaObj;
-  });
+    return Object.assign(textareaObj, accessibility(t), state);
+  }).sort(byPosition);
 }
 
-// Main extraction function
-function extractPageContent() {
-  // Shared counter for all interactive elements
-  const elementIdCounter = { value: 0 };
+/**
+ * Main extraction function
+ * Element lists are in reading order and, unless includeHidden, hold only visible, enabled elements
+ */
+function extractPageContent({ includeHidden = false } = {}) {
+  const roots = collectRoots();
+  const scope = { roots, kinds: classify(roots), includeHidden };
+  // Repeats are numbered afresh; an ID attribute left from an earlier read could name a different repeat
+  ids.startExtraction();
+  queryAll(scope.roots, '[data-vish-id]').forEach(el => el.removeAttribute('data-vish-id'));
 
   return {
     title: document.title,
     url: window.location.href,
-    text: cleanDocument(),
-    links: extractLinks(elementIdCounter),
-    buttons: extractButtons(elementIdCounter),
-    inputs: extractInputs(elementIdCounter),
-    selects: extractSelects(elementIdCounter),
-    textareas: extractTextareas(elementIdCounter)
+    text: pageMarkdown(),
+    links: extractLinks(scope),
+    buttons: extractButtons(scope),
+    inputs: extractInputs(scope),
+    selects: extractSelects(scope),
+    textareas: extractTextareas(scope)
   };
 }
 
 /**
  * Click an element with optional modifiers
- * @param {number} elementId - Element ID from READ_PAGE
+ * @param {string} elementId - Element ID from READ_PAGE, without the frame prefix
  * @param {Object} modifiers - Click modifiers object
  * @param {boolean} modifiers.newTab - Open in new background tab (Ctrl/Cmd+Click)
  * @param {boolean} modifiers.newTabActive - Open in new foreground tab (Ctrl/Cmd+Shift+Click)
@@ -204,11 +632,8 @@ function extractPageContent() {
  */
 function clickElement(elementId, modifiers = {}) {
   try {
-    const element = document.querySelector(`[data-vish-id="${elementId}"]`);
-
-    if (!element) {
-      return { success: false, message: `Element not found with ID: ${elementId}` };
-    }
+    const { element, stale } = resolveElement(elementId);
+    if (stale) return stale;
 
     // Build click modifiers based on options
     const clickModifiers = buildClickModifiers(modifiers);
@@ -250,7 +675,8 @@ function clickElement(elementId, modifiers = {}) {
 const MODIFIER_CONFIGS = {
   newTab: { mac: ['metaKey'], other: ['ctrlKey'] },
   newTabActive: { mac: ['metaKey', 'shiftKey'], other: ['ctrlKey', 'shiftKey'] },
-  download: { mac: ['altKey'], other: ['altKey'] }
+  download: { mac: ['altKey'], other: ['altKey'] },
+  primaryKey: { mac: ['metaKey'], other: ['ctrlKey'] } // shortcuts: Ctrl+K on Windows/Linux is Cmd+K on Mac
 };
 
 /**
@@ -291,28 +717,394 @@ function hasModifiers(modifiers) {
   return modifiers.ctrlKey || modifiers.metaKey || modifiers.shiftKey || modifiers.altKey;
 }
 
+// --- Hover, keys and drag ---
+
+const center = el => {
+  const rect = el.getBoundingClientRect();
+  return { clientX: rect.left + rect.width / 2, clientY: rect.top + rect.height / 2 };
+};
+
+// Pointer and mouse events of one kind at a point; the mouse event can be cancelled
+function pointerEvent(el, type, point, buttons = {}) {
+  const init = { bubbles: true, cancelable: true, composed: true, view: window, ...point, ...buttons };
+  el.dispatchEvent(new PointerEvent(`pointer${type}`, { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true }));
+  return el.dispatchEvent(new MouseEvent(`mouse${type}`, init));
+}
+
+let hovered = null;
+
+/**
+ * Hover over an element: the pointer leaves the last hovered element and moves onto this one
+ * Opens menus and tooltips driven by mouse events; styles that rely on CSS :hover alone do not react
+ * @param {string} elementId - Element ID from READ_PAGE, without the frame prefix
+ */
+function hoverElement(elementId) {
+  const { element, stale } = resolveElement(elementId);
+  if (stale) return stale;
+
+  if (hovered && hovered !== element && hovered.isConnected) {
+    pointerEvent(hovered, 'out', center(hovered));
+    hovered.dispatchEvent(new PointerEvent('pointerleave', { ...center(hovered), pointerType: 'mouse' }));
+    hovered.dispatchEvent(new MouseEvent('mouseleave', center(hovered)));
+  }
+  element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  const point = center(element);
+  pointerEvent(element, 'over', point);
+  element.dispatchEvent(new PointerEvent('pointerenter', { ...point, pointerType: 'mouse' }));
+  element.dispatchEvent(new MouseEvent('mouseenter', point));
+  pointerEvent(element, 'move', point);
+  hovered = element;
+  return { success: true, message: `Hovering over element ID ${elementId}` };
+}
+
+// Modifier names accepted in key combos such as 'Ctrl+Shift+K'; 'Mod' is Ctrl, or Cmd on a Mac
+const COMBO_MODIFIERS = {
+  ctrl: 'ctrlKey', control: 'ctrlKey', shift: 'shiftKey', alt: 'altKey', option: 'altKey',
+  meta: 'metaKey', cmd: 'metaKey', command: 'metaKey', mod: 'primaryKey'
+};
+
+// 'Ctrl+K' -> { key: 'k', modifiers: { ctrlKey: true } }; a lone '+' is the plus key
+function parseKeyCombo(combo) {
+  const parts = combo === '+' ? ['+'] : combo.split(/\+(?!$)/);
+  const modifiers = {};
+  for (const part of parts.slice(0, -1)) {
+    const name = COMBO_MODIFIERS[part.trim().toLowerCase()];
+    if (!name) throw new Error(`Unknown modifier "${part}" in "${combo}"`);
+    modifiers[name] = true;
+  }
+  const key = parts.at(-1);
+  const named = { esc: 'Escape', space: ' ', return: 'Enter', del: 'Delete', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' };
+  return { key: named[key.toLowerCase()] ?? (key.length === 1 && modifiers.shiftKey ? key.toUpperCase() : key.length === 1 ? key.toLowerCase() : key), modifiers };
+}
+
+// The focused element, looking inside shadow roots
+function deepActiveElement() {
+  let el = document.activeElement;
+  while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+  return el;
+}
+
+// Focusable elements in Tab order: positive tabindex first, then document order
+function tabOrder() {
+  return queryAll(collectRoots(), 'a[href], button, input, select, textarea, summary, [tabindex], [contenteditable]')
+    .filter(el => el.tabIndex >= 0 && !el.matches(':disabled') && elementState(el).visible)
+    .map((el, index) => ({ el, index }))
+    .sort((a, b) => ((a.el.tabIndex || Infinity) - (b.el.tabIndex || Infinity)) || (a.index - b.index))
+    .map(({ el }) => el);
+}
+
+function moveFocus(from, backwards) {
+  const order = tabOrder();
+  if (!order.length) return;
+  const at = order.indexOf(from);
+  const next = backwards ? order[(at <= 0 ? order.length : at) - 1] : order[(at + 1) % order.length];
+  next.focus();
+}
+
+// Escape closes the topmost open popover or modal dialog, after a cancel event it can veto
+function dismissTopLayer() {
+  const popover = queryAll(collectRoots(), ':popover-open').at(-1);
+  if (popover) return popover.hidePopover();
+  const dialog = queryAll(collectRoots(), 'dialog:modal').at(-1);
+  if (dialog && dialog.dispatchEvent(new Event('cancel', { cancelable: true }))) dialog.close();
+}
+
+// What the browser does for a key that no page handler cancelled
+function keyDefault(el, key, modifiers) {
+  const plain = !modifiers.ctrlKey && !modifiers.metaKey && !modifiers.altKey;
+  if (key === 'Tab') return moveFocus(el, !!modifiers.shiftKey);
+  if (key === 'Escape') return dismissTopLayer();
+  if (key === 'Enter' && plain) {
+    if (el instanceof HTMLInputElement && isTextField(el)) return el.form?.requestSubmit();
+    if (isTextField(el) || el.isContentEditable) return void insertText(el, '\n');
+    if (el.matches('a[href], button, summary, [role="button"], [role="link"], [role="menuitem"], [role="tab"], [role="option"]')) el.click();
+    return;
+  }
+  if (key === ' ' && plain && el.matches('button, summary, input[type="checkbox"], input[type="radio"], [role="button"], [role="checkbox"], [role="switch"]')) return el.click();
+  if (key.length === 1 && plain && (isTextField(el) || el.isContentEditable) && typesStepwise(el)) return insertText(el, key);
+  if (key === 'Backspace' && plain && isTextField(el)) {
+    setNativeValue(el, el.value.slice(0, -1));
+    el.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+  }
+}
+
+/**
+ * Press a key or shortcut on an element, or on whatever has focus
+ * Key events reach the page's handlers; when none cancels the key, its usual effect is applied:
+ * Tab moves focus, Escape closes dialogs and popovers, Enter and Space activate, characters are typed
+ * @param {string|undefined} elementId - Element to focus first; the focused element when left out
+ * @param {string} combo - Key name ('Escape', 'Tab', 'ArrowDown', 'a') or combo ('Ctrl+K', 'Shift+Tab', 'Mod+Enter')
+ */
+function pressKey(elementId, combo) {
+  let target = deepActiveElement() || document.body;
+  if (elementId !== undefined) {
+    const { element, stale } = resolveElement(elementId);
+    if (stale) return stale;
+    element.focus();
+    target = element;
+  }
+
+  let parsed;
+  try {
+    parsed = parseKeyCombo(combo);
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+  const modifiers = buildClickModifiers(parsed.modifiers);
+  const handled = !keyStroke(target, parsed.key, () => keyDefault(target, parsed.key, modifiers), modifiers);
+  const focused = deepActiveElement();
+  return {
+    success: true,
+    message: `Pressed ${combo}`,
+    key: parsed.key,
+    modifiers: hasModifiers(modifiers) ? modifiers : 'none',
+    ...(handled && { handled_by_page: true }),
+    ...(focused?.hasAttribute('data-vish-id') && { focused_element_id: focused.getAttribute('data-vish-id') })
+  };
+}
+
+const DRAG_STEPS = 10;
+const frame = () => new Promise(resolve => requestAnimationFrame(() => resolve()));
+
+/**
+ * Drag one element onto another
+ * Elements the browser can drag (draggable="true", links, images) get the HTML5 drag events with
+ * a shared DataTransfer; others get pointer and mouse events moving in steps, as drag libraries expect
+ * @param {string} sourceId - Element to drag
+ * @param {string} targetId - Element to drop on
+ */
+async function dragAndDrop(sourceId, targetId) {
+  const source = resolveElement(sourceId);
+  if (source.stale) return source.stale;
+  const target = resolveElement(targetId);
+  if (target.stale) return target.stale;
+  const [from, to] = [source.element, target.element];
+
+  from.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  const before = { parent: from.parentElement, index: Array.prototype.indexOf.call(from.parentElement?.children || [], from), box: from.getBoundingClientRect() };
+  const start = center(from);
+  let method;
+  let dropped = true;
+
+  if (from.draggable) {
+    method = 'html5';
+    const dataTransfer = new DataTransfer();
+    const dragEvent = (el, type, point) => el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, composed: true, dataTransfer, ...point }));
+    pointerEvent(from, 'down', start, { button: 0, buttons: 1 });
+    if (dragEvent(from, 'dragstart', start)) {
+      await frame();
+      const end = center(to);
+      dragEvent(to, 'dragenter', end);
+      // A drop target accepts by cancelling dragover
+      dropped = !dragEvent(to, 'dragover', end);
+      if (dropped) dragEvent(to, 'drop', end);
+      else dragEvent(to, 'dragleave', end);
+      dragEvent(from, 'dragend', end);
+    } else {
+      dropped = false;
+    }
+  } else {
+    method = 'pointer';
+    pointerEvent(from, 'down', start, { button: 0, buttons: 1 });
+    const end = center(to);
+    for (let step = 1; step <= DRAG_STEPS; step++) {
+      await frame();
+      const point = {
+        clientX: start.clientX + (end.clientX - start.clientX) * step / DRAG_STEPS,
+        clientY: start.clientY + (end.clientY - start.clientY) * step / DRAG_STEPS
+      };
+      // Moves go to whatever is under the pointer, as they would for a real mouse
+      const under = document.elementFromPoint(point.clientX, point.clientY) || to;
+      pointerEvent(under, 'move', point, { buttons: 1 });
+    }
+    const under = document.elementFromPoint(end.clientX, end.clientY) || to;
+    pointerEvent(under, 'up', end, { button: 0, buttons: 0 });
+  }
+
+  await frame();
+  const box = from.getBoundingClientRect();
+  const moved = !from.isConnected || from.parentElement !== before.parent ||
+    Array.prototype.indexOf.call(from.parentElement?.children || [], from) !== before.index ||
+    Math.abs(box.left - before.box.left) > 1 || Math.abs(box.top - before.box.top) > 1;
+  return {
+    success: dropped,
+    message: dropped ? `Dragged element ID ${sourceId} onto ${targetId}` : 'The drop target did not accept the drag',
+    method,
+    source_moved: moved
+  };
+}
+
+// --- Text entry ---
+
+const isTextField = el => el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement;
+
+// Set a value through the prototype's setter. Frameworks such as React wrap the element's own
+// value property to track changes, so a plain assignment is overwritten on their next render
+function setNativeValue(el, value) {
+  let proto = Object.getPrototypeOf(el);
+  while (proto && !Object.getOwnPropertyDescriptor(proto, 'value')?.set) proto = Object.getPrototypeOf(proto);
+  if (proto) Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+  else el.value = value;
+}
+
+// Input types whose value can be built a character at a time; others reject partial values like '1.'
+const STEPWISE_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password'];
+const typesStepwise = el => !(el instanceof HTMLInputElement) || STEPWISE_TYPES.includes(el.type);
+
+// Put the caret at the end of an editor, or select all of it
+function selectEditorContents(el, selectAll) {
+  const range = document.createRange();
+  range.selectNodeContents(el);
+  if (!selectAll) range.collapse(false);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+// Insert text the way the browser does for typing: editors (ProseMirror, CodeMirror, Lexical...)
+// handle the beforeinput/input pair that insertText fires; text fields get the native setter
+function insertText(el, text) {
+  if (!isTextField(el)) {
+    document.execCommand(text === '\n' ? 'insertLineBreak' : 'insertText', false, text);
+    return;
+  }
+  const init = { inputType: text === '\n' ? 'insertLineBreak' : 'insertText', data: text, bubbles: true, composed: true };
+  if (!el.dispatchEvent(new InputEvent('beforeinput', { ...init, cancelable: true }))) return;
+  setNativeValue(el, el.value + text);
+  el.dispatchEvent(new InputEvent('input', init));
+}
+
+function clearText(el) {
+  if (!isTextField(el)) {
+    selectEditorContents(el, true);
+    document.execCommand('delete');
+    return;
+  }
+  setNativeValue(el, '');
+  el.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', bubbles: true, composed: true }));
+}
+
+// Replace a field's content in one step, for FILL_FORM
+function replaceText(el, value) {
+  el.focus();
+  if (isTextField(el)) {
+    setNativeValue(el, value);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  } else if (el.isContentEditable) {
+    selectEditorContents(el, true);
+    document.execCommand('insertText', false, value);
+  } else {
+    setNativeValue(el, value);
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+}
+
+// Legacy keyCodes of named keys, for handlers that still read them
+const KEY_CODES = {
+  Backspace: 8, Tab: 9, Enter: 13, Escape: 27, ' ': 32, PageUp: 33, PageDown: 34, End: 35, Home: 36,
+  ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, Delete: 46
+};
+
+function keyInit(key, modifiers = {}) {
+  const code = /^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : /^\d$/.test(key) ? `Digit${key}` : key === ' ' ? 'Space' : key.length > 1 ? key : '';
+  const keyCode = KEY_CODES[key] ?? (/^F\d+$/.test(key) ? 111 + Number(key.slice(1)) : key.toUpperCase().charCodeAt(0));
+  return { key, code, keyCode, which: keyCode, bubbles: true, cancelable: true, composed: true, ...modifiers };
+}
+
+/**
+ * One key stroke: keydown, keypress for keys that produce text, then keyup
+ * defaultAction stands in for what the browser would do, and runs unless a handler cancels the key
+ * @returns {boolean} Whether the key went through uncancelled
+ */
+function keyStroke(el, key, defaultAction, modifiers = {}) {
+  const init = keyInit(key, modifiers);
+  let proceed = el.dispatchEvent(new KeyboardEvent('keydown', init));
+  if (proceed && (key.length === 1 || key === 'Enter') && !init.ctrlKey && !init.metaKey) {
+    proceed = el.dispatchEvent(new KeyboardEvent('keypress', init));
+  }
+  if (proceed) defaultAction();
+  el.dispatchEvent(new KeyboardEvent('keyup', init));
+  return proceed;
+}
+
+// Enter in a single-line field submits its form, as the browser would
+function pressEnter(el) {
+  keyStroke(el, 'Enter', () => {
+    if (el instanceof HTMLInputElement) el.form?.requestSubmit();
+    else insertText(el, '\n');
+  });
+}
+
+const MAX_TYPE_DELAY_MS = 200;
+
+/**
+ * Type text into an input, textarea or contenteditable editor key by key
+ * Each character gets keyboard events and an input event, so controlled inputs and rich editors update
+ * their state. The field is read back afterwards; password values are never returned
+ * @param {string} elementId - Element ID from READ_PAGE, without the frame prefix
+ * @param {string} text - Text to type; newlines become line breaks, never Enter presses
+ * @param {{ clear?: boolean, pressEnter?: boolean, delayMs?: number }} options
+ */
+async function typeText(elementId, text, { clear = true, pressEnter: enter = false, delayMs = 0 } = {}) {
+  const { element: el, stale } = resolveElement(elementId);
+  if (stale) return stale;
+  if (!isTextField(el) && !el.isContentEditable) {
+    return { success: false, error: 'not_editable', message: `Element ${elementId} is not a text field or editor` };
+  }
+  if (el.disabled || el.readOnly) {
+    return { success: false, error: 'not_editable', message: `Element ${elementId} is disabled or read-only` };
+  }
+
+  el.focus();
+  if (clear) clearText(el);
+  if (!isTextField(el)) selectEditorContents(el, false);
+  const before = isTextField(el) ? el.value : el.innerText;
+  const delay = Math.min(Math.max(delayMs, 0), MAX_TYPE_DELAY_MS);
+
+  const stepwise = typesStepwise(el);
+  for (const char of text) {
+    if (char === '\n') insertText(el, char);
+    else keyStroke(el, char, () => stepwise && insertText(el, char));
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  if (!stepwise) {
+    setNativeValue(el, before + text);
+    el.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true, composed: true }));
+  }
+  if (isTextField(el)) el.dispatchEvent(new Event('change', { bubbles: true }));
+
+  // Read back before Enter, which may submit and clear the field
+  const value = isTextField(el) ? el.value : el.innerText;
+  const normalize = v => v.replace(/\s+/g, ' ').trim();
+  const stuck = clear ? normalize(value) === normalize(text) : normalize(value).includes(normalize(text)) && value !== before;
+  if (enter) pressEnter(el);
+
+  const secret = el.type === 'password';
+  return {
+    success: stuck,
+    elementId,
+    typed_chars: [...text].length,
+    ...(secret ? { value_length: value.length } : { value: value.length > 200 ? `${value.slice(0, 200)}...` : value }),
+    ...(enter && { pressed_enter: true }),
+    ...(!stuck && { message: 'The field does not hold the typed text; the page may have reformatted or rejected it' })
+  };
+}
+
 // Form filling with validation
 function fillFormFields(fields, shouldSubmit, submitElementId) {
   // Fill all fields
   const results = fields.map(field => {
-    const element = document.querySelector(`[data-vish-id="${field.elementId}"]`);
-    if (element) {
-      element.value = field.value;
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      element.dispatchEvent(new Event('change', { bubbles: true }));
-      return { elementId: field.elementId, success: true };
-    }
-    return { elementId: field.elementId, success: false, error: 'Not found' };
+    const { element, stale } = resolveElement(field.elementId);
+    if (stale) return { elementId: field.elementId, ...stale };
+    replaceText(element, field.value);
+    return { elementId: field.elementId, success: true };
   });
 
   // Submit if requested
   if (shouldSubmit && submitElementId !== undefined) {
-    const submitBtn = document.querySelector(`[data-vish-id="${submitElementId}"]`);
-    results.push({
-      submit: true,
-      success: !!submitBtn,
-      error: submitBtn ? undefined : 'Submit button not found'
-    });
+    const { element: submitBtn, stale } = resolveElement(submitElementId);
+    results.push({ submit: true, success: !stale, ...stale });
     if (submitBtn) submitBtn.click();
   }
 
@@ -322,6 +1114,362 @@ function fillFormFields(fields, shouldSubmit, submitElementId) {
   };
 }
 
+function selectOption(elementId, value) {
+  const { element: select, stale } = resolveElement(elementId);
+  if (stale) return { selected: false, ...stale };
+  if (select.tagName !== 'SELECT') {
+    return { selected: false, error: 'Select element not found' };
+  }
+  const option = Array.from(select.options).find(opt => opt.value === value || opt.text === value);
+  if (option) {
+    setNativeValue(select, option.value);
+    select.dispatchEvent(new Event('input', { bubbles: true }));
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    return { selected: true, elementId, value: option.value, text: option.text };
+  }
+  return { selected: false, error: 'Option not found' };
+}
+
+// Native checkboxes are set directly; ARIA checkboxes and switches are clicked so the app toggles them
+function checkCheckbox(elementId, shouldCheck) {
+  const { element: checkbox, stale } = resolveElement(elementId);
+  if (stale) return { modified: false, ...stale };
+  if (checkbox.tagName !== 'INPUT' && ['checkbox', 'switch', 'menuitemcheckbox'].includes(explicitRole(checkbox))) {
+    if ((checkbox.getAttribute('aria-checked') === 'true') === shouldCheck) {
+      return { modified: false, checked: shouldCheck, note: 'Already in desired state' };
+    }
+    checkbox.click();
+    return { modified: true, checked: checkbox.getAttribute('aria-checked') === 'true' };
+  }
+  if (checkbox.type !== 'checkbox') {
+    return { modified: false, error: 'Checkbox not found' };
+  }
+  if (checkbox.checked !== shouldCheck) {
+    checkbox.checked = shouldCheck;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    return { modified: true, checked: shouldCheck };
+  }
+  return { modified: false, checked: shouldCheck, note: 'Already in desired state' };
+}
+
+function submitForm(elementId) {
+  const { element, stale } = resolveElement(elementId);
+  if (stale) return { submitted: false, ...stale };
+  if (element.tagName === 'BUTTON' || element.tagName === 'INPUT') {
+    element.click();
+    return { submitted: true, method: 'click' };
+  }
+  if (element.tagName === 'FORM') {
+    element.submit();
+    return { submitted: true, method: 'submit' };
+  }
+  return { submitted: false, error: 'Element is not a form or submit button' };
+}
+
+function elementStatus(elementId) {
+  const { element, stale } = resolveElement(elementId);
+  return {
+    found: !!element,
+    elementId,
+    visible: element ? elementState(element).visible : false,
+    ...(stale && { stale: stale.stale })
+  };
+}
+
+// --- Waits ---
+
+const MAX_WAIT_MS = 60000;
+const MAX_REPORTED = 10;
+const NETWORK_LOG_SIZE = 50;
+
+// fetch/XHR activity, reported by the page-world monitor (network-monitor.js). The two worlds share
+// only the DOM, so each report is a JSON 'vish-network' event. A monitor installed late, after the page
+// loaded, never saw the requests already open then
+const network = { monitored: false, late: false, installedAt: 0, pending: new Map(), lastActivity: performance.now(), log: [] };
+document.addEventListener('vish-network', event => {
+  let report;
+  try {
+    report = JSON.parse(event.detail);
+  } catch {
+    return;
+  }
+  network.monitored = true;
+  if (report.type === 'installed') {
+    Object.assign(network, { late: report.late, installedAt: report.installedAt });
+    for (const { id, started, method, url } of report.pending) network.pending.set(id, { started, method, url });
+    return;
+  }
+  network.lastActivity = performance.now();
+  if (report.type === 'start') {
+    network.pending.set(report.id, { started: report.started, method: report.method, url: report.url });
+  } else if (report.type === 'end') {
+    network.pending.delete(report.id);
+    network.log.push({ at: network.lastActivity, method: report.method, url: report.url, status: report.status });
+    if (network.log.length > NETWORK_LOG_SIZE) network.log.shift();
+  }
+});
+// The monitor starts before this script: have it report the requests already open
+document.dispatchEvent(new Event('vish-network-sync'));
+
+const normalizeText = text => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+const ownOverlay = node => !!(node instanceof Element ? node : node.parentElement)?.closest(`#${OVERLAY_ID}, #${HIGHLIGHT_ID}`);
+
+// Innermost visible elements whose text contains needle; shadow roots are searched on their own
+function elementsWithText(needle) {
+  const found = [];
+  const descend = el => {
+    const inner = Array.from(el.children).filter(child => normalizeText(child.textContent).includes(needle));
+    if (inner.length) inner.forEach(descend);
+    else if (!ownOverlay(el) && elementState(el).visible) found.push(el);
+  };
+  for (const root of collectRoots()) {
+    const top = root === document ? document.body : root;
+    if (top && normalizeText(top.textContent).includes(needle)) {
+      Array.from(top.children).filter(child => normalizeText(child.textContent).includes(needle)).forEach(descend);
+    }
+  }
+  return found;
+}
+
+// Short description of an element for wait results: its text and, when READ_PAGE numbered it, its ID
+const describe = el => ({
+  text: cleanField(el.innerText || el.textContent, 100),
+  ...(el.hasAttribute('data-vish-id') && { elementId: el.getAttribute('data-vish-id') })
+});
+
+// Tally of mutation records: what was added, removed, rewritten and re-attributed
+function summarizeChanges(records) {
+  const changes = { added: 0, removed: 0, text_changed: 0, attributes_changed: {}, added_samples: [] };
+  for (const record of records) {
+    if (ownOverlay(record.target)) continue;
+    if (record.type === 'characterData') changes.text_changed++;
+    else if (record.type === 'attributes') {
+      changes.attributes_changed[record.attributeName] = (changes.attributes_changed[record.attributeName] || 0) + 1;
+    } else {
+      const added = Array.from(record.addedNodes).filter(node => node instanceof Element && !ownOverlay(node));
+      changes.added += added.length;
+      changes.removed += Array.from(record.removedNodes).filter(node => node instanceof Element && !ownOverlay(node)).length;
+      for (const el of added) {
+        if (changes.added_samples.length >= MAX_REPORTED) break;
+        if (el.isConnected && normalizeText(el.textContent)) changes.added_samples.push(describe(el));
+      }
+    }
+  }
+  return changes;
+}
+
+/**
+ * Wait until every given condition holds, re-checking on DOM changes and network reports rather than on a timer
+ * @param {Object} condition
+ * @param {string} [condition.text] - Visible text to wait for (case and spacing ignored)
+ * @param {string} [condition.selector] - CSS selector; minCount visible matches (default 1) are waited for
+ * @param {string} [condition.elementId] - Element ID from READ_PAGE, without the frame prefix
+ * @param {boolean} [condition.gone] - Wait for the text, selector or element to go away instead
+ * @param {number} [condition.quietMs] - The DOM has not changed for this long
+ * @param {number} [condition.networkIdleMs] - No fetch/XHR has been in flight for this long. Requests open
+ *   longer than timeoutMs (long polling, streams) do not count: they would never let the page go idle
+ * @param {number} [condition.timeoutMs]
+ * @returns {Promise<Object>} met, elapsed_ms, what matched, the DOM changes seen while waiting and the requests that finished
+ */
+function waitForCondition({ text, selector, minCount = 1, elementId, gone = false, quietMs, networkIdleMs, timeoutMs = 10000 }) {
+  if (selector) {
+    try {
+      document.querySelector(selector);
+    } catch {
+      return { met: false, error: `Invalid CSS selector: ${selector}` };
+    }
+  }
+  if (elementId !== undefined) {
+    const { stale } = resolveElement(elementId);
+    // An ID READ_PAGE never issued cannot turn up later
+    if (stale?.stale.reason === 'unknown') return stale;
+  }
+  const needle = normalizeText(text);
+  const started = performance.now();
+  let lastMutation = started;
+  const records = [];
+
+  // What the target conditions see now; null when one of them does not hold
+  const match = () => {
+    const result = {};
+    if (needle) {
+      const found = elementsWithText(needle);
+      if (gone ? found.length : !found.length) return null;
+      if (!gone) result.text_found_in = found.slice(0, MAX_REPORTED).map(describe);
+    }
+    if (selector) {
+      const found = queryAll(collectRoots(), selector).filter(el => !ownOverlay(el) && elementState(el).visible);
+      if (gone ? found.length : found.length < minCount) return null;
+      result.selector_count = found.length;
+      if (!gone) result.selector_matches = found.slice(0, MAX_REPORTED).map(describe);
+    }
+    if (elementId !== undefined) {
+      const { element } = resolveElement(elementId);
+      const present = !!element && elementState(element).visible;
+      if (present === gone) return null;
+      result.element_found = present;
+    }
+    return result;
+  };
+
+  return new Promise(resolve => {
+    const observed = new Set();
+    const observer = new MutationObserver(list => {
+      const relevant = list.filter(record => !ownOverlay(record.target));
+      if (!relevant.length) return;
+      records.push(...relevant);
+      lastMutation = performance.now();
+      schedule(0);
+    });
+    // Shadow roots get their own observation; new ones are picked up on every check
+    const observeRoots = () => collectRoots().forEach(root => {
+      if (observed.has(root)) return;
+      observed.add(root);
+      observer.observe(root, { subtree: true, childList: true, characterData: true, attributes: true });
+    });
+    // Requests that began before the monitor was installed still show up here when they finish
+    const resources = new PerformanceObserver(list => {
+      if (list.getEntries().some(entry => entry.initiatorType === 'fetch' || entry.initiatorType === 'xmlhttprequest')) {
+        network.lastActivity = performance.now();
+        schedule(0);
+      }
+    });
+    resources.observe({ type: 'resource' });
+    const onNetwork = () => schedule(0);
+    document.addEventListener('vish-network', onNetwork);
+
+    let checkTimer = null;
+    const limit = Math.min(Math.max(Number(timeoutMs) || 0, 0), MAX_WAIT_MS);
+    // A request the monitor could have missed, begun before it was installed late, may still be open
+    const unseen = () => !network.monitored || (network.late && performance.now() - network.installedAt < limit);
+    const deadline = setTimeout(() => finish(false), limit);
+
+    function schedule(delay) {
+      if (checkTimer !== null) return;
+      // Bursts of mutations are checked once, at most every 50ms
+      checkTimer = setTimeout(() => {
+        checkTimer = null;
+        check();
+      }, Math.max(delay, 50));
+    }
+
+    function check() {
+      observeRoots();
+      const now = performance.now();
+      const waits = [];
+      if (quietMs) waits.push(quietMs - (now - lastMutation));
+      if (networkIdleMs) {
+        const open = [...network.pending.values()].map(request => now - request.started).filter(age => age < limit);
+        // Busy until the newest open request ends or, if it never does, grows old enough to be ignored.
+        // A late monitor may have missed a request as old as the install; with none, nothing is known
+        if (unseen()) open.push(network.monitored ? now - network.installedAt : 0);
+        waits.push(open.length ? limit - Math.min(...open) : networkIdleMs - (now - network.lastActivity));
+      }
+      const pending = Math.max(0, ...waits);
+      if (pending > 0) {
+        // A time-based condition still running: look again when it could first hold
+        schedule(pending);
+        return;
+      }
+      const found = match();
+      if (found) finish(true, found);
+    }
+
+    function finish(met, found = match()) {
+      clearTimeout(deadline);
+      clearTimeout(checkTimer);
+      observer.disconnect();
+      resources.disconnect();
+      document.removeEventListener('vish-network', onNetwork);
+      records.push(...observer.takeRecords());
+      resolve({
+        met,
+        elapsed_ms: Math.round(performance.now() - started),
+        ...(found || {}),
+        changes: summarizeChanges(records),
+        ...((networkIdleMs || network.monitored) && {
+          network: {
+            monitored: network.monitored,
+            ...(network.late && { installed_late: true }),
+            inflight: network.pending.size,
+            ...(network.pending.size && {
+              long_lived: [...network.pending.values()].filter(request => performance.now() - request.started >= limit)
+                .slice(0, MAX_REPORTED).map(({ method, url }) => ({ method, url }))
+            }),
+            completed: network.log.filter(entry => entry.at >= started).slice(-MAX_REPORTED).map(({ method, url, status }) => ({ method, url, status }))
+          }
+        }),
+        ...(!met && { error: 'Timed out before the condition was met' }),
+        ...(!met && networkIdleMs && unseen() && {
+          message: network.monitored
+            ? 'The network monitor started after this page loaded, so requests open before then could not be seen and idle was not reported; reload the page to watch its requests from the start'
+            : 'The page\'s requests could not be monitored, so idle was not reported'
+        })
+      });
+    }
+
+    observeRoots();
+    check();
+  });
+}
+
+// --- Tables ---
+
+const TABLE_SELECTOR = 'table, [role="table"], [role="grid"], [role="treegrid"]';
+const ARIA_CELLS = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+
+// Rows of raw cells; the extension expands spans and picks out the headers
+function tableRows(table) {
+  if (table.localName === 'table') {
+    return Array.from(table.rows, row => ({
+      row,
+      cells: Array.from(row.cells, cell => ({
+        cell,
+        colspan: cell.colSpan,
+        rowspan: cell.rowSpan,
+        header: cell.localName === 'th' || row.parentElement.localName === 'thead'
+      }))
+    }));
+  }
+  // ARIA grids: rows and cells that belong to this grid, not to one nested in it
+  return Array.from(table.querySelectorAll('[role="row"]'))
+    .filter(row => row.parentElement.closest(TABLE_SELECTOR) === table)
+    .map(row => ({
+      row,
+      cells: Array.from(row.querySelectorAll(ARIA_CELLS))
+        .filter(cell => cell.parentElement.closest('[role="row"]') === row)
+        .map(cell => ({
+          cell,
+          colspan: Number(cell.getAttribute('aria-colspan')) || 1,
+          rowspan: Number(cell.getAttribute('aria-rowspan') ?? 1),
+          header: cell.getAttribute('role') === 'columnheader'
+        }))
+    }));
+}
+
+/**
+ * Data tables and ARIA grids in this frame, as raw rows of cells
+ * Layout tables (presentation role, tables wrapping tables, single-column grids) and hidden rows are skipped
+ * @param {number} maxRows - Rows read per table; total_rows counts them all
+ */
+function extractTables(maxRows = 100) {
+  const tables = queryAll(collectRoots(), TABLE_SELECTOR).filter(table =>
+    !['presentation', 'none'].includes(explicitRole(table)) && !table.querySelector(TABLE_SELECTOR) && elementState(table).visible);
+
+  return {
+    tables: tables.map(table => {
+      const rows = tableRows(table).filter(({ row }) => row.checkVisibility());
+      if (rows.length < 2 || Math.max(...rows.map(({ cells }) => cells.length)) < 2) return null;
+      return {
+        caption: cleanField(table.caption?.innerText || accessibleName(table), 100),
+        total_rows: rows.length,
+        // A few more than maxRows, for the header rows on top
+        rows: rows.slice(0, maxRows + 5).map(({ cells }) => cells.map(({ cell, ...span }) => ({ text: inline(cell.innerText), ...span })))
+      };
+    }).filter(Boolean)
+  };
+}
+
 // Scroll directions mapping
 const SCROLL_ACTIONS = {
   down: (pixels) => window.scrollBy(0, pixels),
@@ -347,3 +1495,157 @@ async function scrollAndWait(direction, pixels, waitMs = 500) {
   };
 }
 
+const OVERLAY_ID = 'vish-id-overlay';
+const OVERLAY_STYLE = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+const BADGE_STYLE = 'position:absolute;left:-2px;top:-2px;transform:translateY(-100%);background:#e11d48;color:#fff;font:bold 11px/1.2 monospace;padding:0 3px;';
+
+// Outline and label every visible element in the viewport that has a data-vish-id
+function drawIdBadges(overlay, prefix) {
+  let labeled = 0;
+  queryAll(collectRoots(), '[data-vish-id]').forEach(el => {
+    if (!elementState(el).in_viewport) return;
+    const rect = el.getBoundingClientRect();
+
+    const box = document.createElement('div');
+    box.style.cssText = `position:absolute;left:${rect.left}px;top:${rect.top}px;width:${rect.width}px;height:${rect.height}px;outline:2px solid #e11d48;`;
+    const label = document.createElement('span');
+    label.textContent = prefix + el.getAttribute('data-vish-id');
+    label.style.cssText = BADGE_STYLE;
+    box.appendChild(label);
+    overlay.appendChild(box);
+    labeled++;
+  });
+  return labeled;
+}
+
+const painted = () => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+// Label every visible element that has a data-vish-id with its ID, for screenshots.
+// Elements are numbered by extractPageContent; a page that was never read is read first.
+// prefix is the frame part of the ID ('f<frameId>/') when this is a subframe
+async function showIdOverlay(prefix = '') {
+  hideIdOverlay();
+  if (!queryAll(collectRoots(), '[data-vish-id]').length) extractPageContent();
+
+  const overlay = document.createElement('div');
+  overlay.id = OVERLAY_ID;
+  overlay.style.cssText = OVERLAY_STYLE;
+  const labeled = drawIdBadges(overlay, prefix);
+
+  document.documentElement.appendChild(overlay);
+  // Resolve once the overlay has been painted
+  await painted();
+  return { labeled };
+}
+
+function hideIdOverlay() {
+  document.getElementById(OVERLAY_ID)?.remove();
+  return { hidden: true };
+}
+
+const HIGHLIGHT_ID = 'vish-action-highlight';
+const MAX_HIGHLIGHT_DELAY_MS = 10000;
+const HIGHLIGHT_LINGER_MS = 1200;
+let highlightCleanup = null;
+
+/**
+ * Outline the elements an action is about to use, label them, and hold the action for delayMs
+ * During the wait a Stop button on the label, or Escape, ends it with stopped: true and the caller skips
+ * the action. The outline follows the elements while it is shown and fades shortly after the wait.
+ * @param {string[]} elementIds - Element IDs in this frame, without the frame prefix
+ * @param {{ label: string, delayMs?: number, showIds?: boolean, prefix?: string }} options
+ *   showIds also badges every element with a data-vish-id; prefix is the frame part of those IDs
+ * @returns {Promise<{ shown: number, stopped: boolean }>}
+ */
+async function highlightElements(elementIds, { label, delayMs = 0, showIds = false, prefix = '' }) {
+  highlightCleanup?.();
+  // Stale IDs are left for the action itself to report
+  const targets = elementIds.map(id => resolveElement(id).element).filter(Boolean);
+  if (!targets.length && !showIds) return { shown: 0, stopped: false };
+  targets[0]?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+
+  const overlay = document.createElement('div');
+  overlay.id = HIGHLIGHT_ID;
+  overlay.style.cssText = `${OVERLAY_STYLE}transition:opacity 300ms;`;
+  if (showIds) drawIdBadges(overlay, prefix);
+  const boxes = targets.map(() => {
+    const box = document.createElement('div');
+    box.style.cssText = 'position:absolute;outline:3px solid #2563eb;outline-offset:2px;border-radius:3px;background:rgba(37,99,235,0.12);';
+    overlay.appendChild(box);
+    return box;
+  });
+
+  const tag = document.createElement('div');
+  tag.style.cssText = 'position:absolute;display:flex;gap:6px;align-items:center;max-width:min(480px,90vw);background:#2563eb;color:#fff;font:12px/1.4 system-ui,sans-serif;padding:3px 6px;border-radius:4px;box-shadow:0 2px 6px rgba(0,0,0,0.3);';
+  const text = document.createElement('span');
+  text.textContent = label;
+  text.style.cssText = 'overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+  tag.appendChild(text);
+  const wait = Math.min(Math.max(Number(delayMs) || 0, 0), MAX_HIGHLIGHT_DELAY_MS);
+  const stop = document.createElement('button');
+  if (wait) {
+    stop.textContent = 'Stop';
+    stop.title = 'Skip this action (Esc)';
+    stop.style.cssText = 'pointer-events:auto;cursor:pointer;border:0;border-radius:3px;background:#fff;color:#2563eb;font:600 11px/1.4 system-ui,sans-serif;padding:0 6px;';
+    tag.appendChild(stop);
+  }
+  overlay.appendChild(tag);
+  document.documentElement.appendChild(overlay);
+
+  // Keep the outline on the elements while the page scrolls or re-lays out
+  let frameRequest;
+  const place = () => {
+    targets.forEach((el, i) => {
+      const rect = el.getBoundingClientRect();
+      Object.assign(boxes[i].style, { left: `${rect.left}px`, top: `${rect.top}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+    });
+    const first = targets[0]?.getBoundingClientRect();
+    const top = first ? (first.top > 30 ? first.top - 30 : first.bottom + 8) : 8;
+    tag.style.left = `${Math.max(first?.left ?? 8, 4)}px`;
+    tag.style.top = `${Math.min(Math.max(top, 4), window.innerHeight - 30)}px`;
+    frameRequest = requestAnimationFrame(place);
+  };
+  place();
+
+  let removeTimer;
+  const cleanup = () => {
+    cancelAnimationFrame(frameRequest);
+    clearTimeout(removeTimer);
+    overlay.remove();
+    if (highlightCleanup === cleanup) highlightCleanup = null;
+  };
+  highlightCleanup = cleanup;
+
+  let stopped = false;
+  if (wait) {
+    stopped = await new Promise(resolve => {
+      const onKey = event => {
+        if (event.key !== 'Escape' || !event.isTrusted) return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        finish(true);
+      };
+      const timer = setTimeout(() => finish(false), wait);
+      function finish(byUser) {
+        clearTimeout(timer);
+        window.removeEventListener('keydown', onKey, true);
+        resolve(byUser);
+      }
+      window.addEventListener('keydown', onKey, true);
+      stop.addEventListener('click', () => finish(true), { once: true });
+    });
+  } else {
+    await painted();
+  }
+
+  if (stopped || highlightCleanup !== cleanup) {
+    cleanup();
+  } else {
+    stop.remove();
+    removeTimer = setTimeout(() => {
+      overlay.style.opacity = '0';
+      removeTimer = setTimeout(cleanup, 300);
+    }, HIGHLIGHT_LINGER_MS);
+  }
+  return { shown: targets.length, stopped };
+}
@@ -28,6 +28,8 @@ for (const [name, action] of Object.entries(actionsRegistry) as [string, Action]
   const availableVars = new Set(Object.keys(action.input_schema.properties || {}));
   availableVars.add('parent_messages');
 
+  assert(action.timeout_ms === undefined || action.timeout_ms > 0, `${name}: invalid timeout_ms`);
+
   let hasFunctionStep = false;
   for (const [i, step] of action.steps.entries()) {
     const id = `${name}.steps[${i}]`;
@@ -36,6 +38,10 @@ for (const [name, action] of Object.entries(actionsRegistry) as [string, Action]
       hasFunctionStep = true;
     }
 
+    if ((step.type === 'function' || step.type === 'llm') && typeof step.timeout_ms === 'number') {
+      assert(step.timeout_ms > 0, `${id}: invalid timeout_ms`);
+    }
+
     if (step.type === 'action') {
       // Referenced action must exist in registry
       assert(!!actionsRegistry[(step as ActionStep).action], `${id}: references unknown action "${(step as ActionStep).action}"`);
@@ -58,6 +64,11 @@ for (const [name, action] of Object.entries(actionsRegistry) as [string, Action]
         }
       }
 
+      // Streamed field must be a string property of the output schema
+      if (llmStep.stream_field) {
+        assert(llmStep.output_schema?.properties?.[llmStep.stream_field]?.type === 'string', `${id}: stream_field "${llmStep.stream_field}" is not a string property of output_schema`);
+      }
+
       if (hasSchema) {
         Object.keys(llmStep.output_schema?.properties || {}).forEach(k => availableVars.add(k));
       }
@@ -67,6 +78,8 @@ for (const [name, action] of Object.entries(actionsRegistry) as [string, Action]
       const { available_actions, stop_action, max_iterations } = (step as LLMStep).tool_choice!;
       assert(max_iterations > 0, `${id}: invalid max_iterations`);
       assert(available_actions.includes(stop_action), `${id}: stop_action not in available_actions`);
+      // The stop action ends the turn, so it must never be batched with concurrent calls
+      assert(!actionsRegistry[stop_action]?.read_only, `${id}: stop_action must not be read_only`);
       // All referenced actions must exist
       for (const a of available_actions) {
         assert(!!actionsRegistry[a], `${id}: unknown action "${a}"`);
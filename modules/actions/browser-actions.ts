@@ -6,6 +6,7 @@ import type { Action, JSONSchema, Message, StepContext, StepResult } from './typ
 import { getChromeAPI } from '../chrome-api.js';
 import { FINAL_RESPONSE } from './final-response-action.js';
 import { CLEAN_CONTENT } from './clean-content-action.js';
+import { mergeTablePages } from '../tables.js';
 
 interface BrowserContext extends StepContext {
   tabId: number;
@@ -16,21 +17,52 @@ interface BrowserContext extends StepContext {
   buttons?: Array<{ id: string; text: string }>;
   inputs?: Array<{ id: string; text: string }>;
   summary?: string;
-  elementId?: number;
+  elementId?: string;
   direction?: 'up' | 'down' | 'top' | 'bottom';
   pixels?: number;
   wait_ms?: number;
   timeout_ms?: number;
-  form_fields?: Array<{ elementId: number; value: string }>;
+  form_fields?: Array<{ elementId: string; value: string }>;
   submit?: boolean;
-  submit_element_id?: number;
+  submit_element_id?: string;
   value?: string;
   checked?: boolean;
   newTab?: boolean;
   newTabActive?: boolean;
   download?: boolean;
+  show_ids?: boolean;
+  include_hidden?: boolean;
+  table_index?: number;
+  max_rows?: number;
+  next_page_element_id?: string;
+  max_pages?: number;
+  clear?: boolean;
+  press_enter?: boolean;
+  delay_ms?: number;
+  key?: string;
+  source_element_id?: string;
+  target_element_id?: string;
+  gone?: boolean;
+  selector?: string;
+  min_count?: number;
+  quiet_ms?: number;
+  idle_ms?: number;
 }
 
+// A table as chrome-api's extractTables returns it
+interface ExtractedTable {
+  table_index: number;
+  caption: string | null;
+  headers: string[];
+  column_types: Record<string, string>;
+  rows: Record<string, string | number | null>[];
+  row_count: number;
+  truncated: boolean;
+}
+
+// IDs are strings: a fingerprint hash, with the path for elements in subframes ('f3/k2x9q') and shadow roots ('s1/k2x9q')
+const ELEMENT_ID_DESCRIPTION = 'Element ID from READ_PAGE, as a string (e.g. "k2x9q", "f3/k2x9q")';
+
 /**
  * Compress previous READ_PAGE results in messages
  * Replaces full content with summary for all previous READ_PAGE tool responses
@@ -70,11 +102,12 @@ function compressPreviousReads(parent_messages: Message[] | undefined): Message[
  */
 export const READ_PAGE: Action = {
   name: 'READ_PAGE',
-  description: 'Extract page content including title, text, links, buttons, and form inputs. Use when you need to see what is on the page or find elements to interact with. Returns element IDs that are required for CLICK_ELEMENT, FILL_FORM, and other interaction actions.',
+  description: 'Extract page content including title, the main content as Markdown, links, buttons, and form inputs. Use when you need to see what is on the page or find elements to interact with. Returns element IDs that are required for CLICK_ELEMENT, FILL_FORM, and other interaction actions. Besides native controls, lists ARIA widgets (role=button, tab, menuitem, option, checkbox, textbox...), rich-text editors and other clickable elements, with their role, accessible label and state (expanded, checked, selected, pressed). Covers elements inside web components and embedded frames, whose IDs carry a path such as "f3/k2x9q". IDs stay the same across reads while an element is unchanged; acting on one whose element is gone or changed returns a stale_element error with candidate replacements. Elements are listed in reading order with flags and a page-space box [x, y, width, height]; hidden and disabled ones are left out unless include_hidden.',
   examples: [
     'What is on this page?',
     'Show me the page content'
   ],
+  read_only: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -82,6 +115,10 @@ export const READ_PAGE: Action = {
         type: 'number',
         description: 'Tab ID to extract content from'
       },
+      include_hidden: {
+        type: 'boolean',
+        description: 'Also list hidden and disabled elements. Default: false'
+      },
       justification: {
         type: 'string',
         description: 'Why extracting page content'
@@ -95,8 +132,9 @@ export const READ_PAGE: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const chrome = getChromeAPI();
-        const raw = await chrome.extractContent((ctx as BrowserContext).tabId);
-        const url = chrome.getTab((ctx as BrowserContext).tabId)?.url;
+        const c = ctx as BrowserContext;
+        const raw = await chrome.extractContent(c.tabId, { includeHidden: c.include_hidden });
+        const url = chrome.getTab(c.tabId)?.url;
         return { result: { url, ...raw } };
       }
     },
@@ -127,6 +165,147 @@ export const READ_PAGE: Action = {
   ]
 };
 
+/**
+ * READ_SCREENSHOT action
+ * Captures the visible viewport; the executor attaches _image to the conversation as an image message
+ */
+export const READ_SCREENSHOT: Action = {
+  name: 'READ_SCREENSHOT',
+  description: 'Take a screenshot of the visible part of the page. Use when the layout, images, charts or canvas content matter, or when READ_PAGE text is not enough. With show_ids, element IDs from READ_PAGE are drawn on their elements. Only works on the active tab.',
+  examples: [
+    'What does this chart show?',
+    'Look at the page'
+  ],
+  read_only: true,
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID to capture' },
+      show_ids: { type: 'boolean', description: 'Draw element IDs on interactive elements. Default: true' },
+      justification: { type: 'string', description: 'Why a screenshot is needed' }
+    },
+    required: ['tabId'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const chrome = getChromeAPI();
+        const { dataUrl, labeled } = await chrome.captureScreenshot(c.tabId, { overlayIds: c.show_ids !== false });
+        return { result: { tabId: c.tabId, url: chrome.getTab(c.tabId)?.url, labeled_elements: labeled, _image: dataUrl } };
+      }
+    }
+  ]
+};
+
+const TABLE_PREVIEW_ROWS = 5;
+const MAX_TABLE_PAGES = 10;
+const sameHeaders = (a: ExtractedTable, b: ExtractedTable): boolean => a.headers.join('\u0000') === b.headers.join('\u0000');
+
+/**
+ * EXTRACT_TABLE action
+ * Without table_index, previews every table; with it (or a next page element), reads one table in full.
+ * Paginated tables are followed by clicking the next page element and merging rows until nothing new appears
+ */
+export const EXTRACT_TABLE: Action = {
+  name: 'EXTRACT_TABLE',
+  description: 'Read data tables and grids (HTML tables, role=grid/table) as JSON: headers and rows keyed by header, numbers parsed, merged cells expanded. Without table_index, lists every table with its first rows; call again with table_index for one table in full. For a table split across pages, pass the next page button as next_page_element_id and max_pages.',
+  examples: [
+    'Get the prices in this table',
+    'Collect all search results across pages'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID to read' },
+      table_index: { type: 'number', description: 'Table to read in full, from an earlier EXTRACT_TABLE listing' },
+      max_rows: { type: 'number', description: 'Most rows to return. Default: 100, at most 500' },
+      next_page_element_id: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} of the next page button, for tables split across pages` },
+      max_pages: { type: 'number', description: `Pages to read when following next_page_element_id. Default: 1, at most ${MAX_TABLE_PAGES}` },
+      justification: { type: 'string', description: 'What data is needed' }
+    },
+    required: ['tabId'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const chrome = getChromeAPI();
+        const maxRows = Math.min(c.max_rows || 100, 500);
+        const tables: ExtractedTable[] = await chrome.extractTables(c.tabId, { maxRows });
+        if (!tables.length) return { result: { tabId: c.tabId, tables: [], message: 'No data tables or grids on the page' } };
+
+        if (c.table_index === undefined && !c.next_page_element_id && tables.length > 1) {
+          const previews = tables.map(t => ({ ...t, rows: t.rows.slice(0, TABLE_PREVIEW_ROWS), truncated: t.truncated || t.rows.length > TABLE_PREVIEW_ROWS }));
+          return { result: { tabId: c.tabId, tables: previews } };
+        }
+        let table = c.table_index === undefined ? tables.reduce((a, b) => (b.row_count > a.row_count ? b : a)) : tables[c.table_index];
+        if (!table) return { result: { tabId: c.tabId, error: `No table ${c.table_index}; the page has ${tables.length} (0-${tables.length - 1})` } };
+
+        let pages = 1;
+        let previousRows = table.rows;
+        let stopped: unknown;
+        let navigated = false;
+        const lastPage = c.next_page_element_id ? Math.min(c.max_pages || 1, MAX_TABLE_PAGES) : 1;
+        while (pages < lastPage && table.rows.length < maxRows) {
+          // After a full page load, reading the page gives the next button its ID again
+          if (navigated) await chrome.extractContent(c.tabId);
+          // The user can stop paging from the overlay; the rows read so far are returned
+          const userStop = await announce(c, 'EXTRACT_TABLE', [c.next_page_element_id]);
+          if (userStop) {
+            stopped = userStop.result;
+            break;
+          }
+          const click = await chrome.clickElement(c.tabId, c.next_page_element_id!);
+          if (click?.success === false) {
+            stopped = click;
+            break;
+          }
+          navigated = !!click?.navigated;
+
+          // Wait for the page to differ from the last one
+          let added = 0;
+          for (let attempt = 0; attempt < 10 && !added; attempt++) {
+            await new Promise(r => setTimeout(r, 500));
+            const next = (await chrome.extractTables(c.tabId, { maxRows }) as ExtractedTable[]).find(t => sameHeaders(t, table));
+            ({ table, added } = mergeTablePages(table, next, previousRows));
+            if (added) previousRows = next!.rows;
+          }
+          if (!added) break;
+          pages++;
+        }
+
+        const rows = table.rows.slice(0, maxRows);
+        return {
+          result: {
+            tabId: c.tabId,
+            pages,
+            table: { ...table, rows, truncated: table.truncated || table.rows.length > rows.length },
+            ...(stopped ? { stopped_by: stopped } : {})
+          }
+        };
+      },
+      // Each page: the click, its navigation wait and up to 5s for new rows
+      timeout_ms: (ctx: StepContext) => 15000 + Math.min((ctx as BrowserContext).max_pages || 1, MAX_TABLE_PAGES) * 20000
+    }
+  ]
+};
+
+/**
+ * Show the user which elements an action is about to use: an outline and a label on the page,
+ * held for the delay set in the Interface settings. Returns the step result when they pressed Stop
+ */
+async function announce(c: BrowserContext, action: string, elementIds: Array<string | undefined>): Promise<StepResult | null> {
+  const label = typeof c.justification === 'string' && c.justification ? `${action}: ${c.justification}` : action;
+  const ids = elementIds.filter((id): id is string => typeof id === 'string');
+  const stopped = await getChromeAPI().highlightTargets(c.tabId, ids, label);
+  return stopped ? { result: { success: false, stopped_by_user: true, message: `The user stopped ${action} on the page before it ran` } } : null;
+}
+
 /**
  * CLICK_ELEMENT action
  */
@@ -141,7 +320,7 @@ export const CLICK_ELEMENT: Action = {
     type: 'object',
     properties: {
       tabId: { type: 'number', description: 'Tab ID' },
-      elementId: { type: 'number', description: 'Element ID from READ_PAGE' },
+      elementId: { type: 'string', description: ELEMENT_ID_DESCRIPTION },
       newTab: { type: 'boolean', description: 'Open link in new background tab' },
       newTabActive: { type: 'boolean', description: 'Open link in new foreground tab' },
       download: { type: 'boolean', description: 'Download the link instead of navigating' },
@@ -155,6 +334,8 @@ export const CLICK_ELEMENT: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'CLICK_ELEMENT', [c.elementId]);
+        if (stopped) return stopped;
         const chrome = getChromeAPI();
         const clickResult = await chrome.clickElement(c.tabId, c.elementId!, {
           newTab: c.newTab || false,
@@ -210,6 +391,7 @@ export const GET_PAGE_STATE: Action = {
     'Is the page fully loaded?',
     'Where am I on the page?'
   ],
+  read_only: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -236,7 +418,7 @@ export const GET_PAGE_STATE: Action = {
  */
 export const FILL_FORM: Action = {
   name: 'FILL_FORM',
-  description: 'Fill one or more form input fields with values. Requires form_fields array with [{elementId, value}] where elementId comes from READ_PAGE.',
+  description: 'Fill one or more form input fields with values. Requires form_fields array with [{elementId, value}] where elementId comes from READ_PAGE. If a value does not stick, or for rich-text editors, use TYPE_TEXT.',
   examples: [
     'Enter my email address',
     'Fill in the search box with "test"'
@@ -251,14 +433,15 @@ export const FILL_FORM: Action = {
         items: {
           type: 'object',
           properties: {
-            elementId: { type: 'number', description: 'Element ID from READ_PAGE' },
+            elementId: { type: 'string', description: ELEMENT_ID_DESCRIPTION },
             value: { type: 'string', description: 'Value to set' }
           },
+          required: ['elementId', 'value'],
           additionalProperties: false
         }
       },
       submit: { type: 'boolean', description: 'Whether to submit the form after filling' },
-      submit_element_id: { type: 'number', description: 'Element ID for submit button' },
+      submit_element_id: { type: 'string', description: 'Element ID from READ_PAGE for the submit button' },
       justification: { type: 'string', description: 'Why filling this form' }
     },
     required: ['tabId', 'form_fields'],
@@ -269,6 +452,8 @@ export const FILL_FORM: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'FILL_FORM', [...(c.form_fields || []).map(field => field.elementId), c.submit ? c.submit_element_id : undefined]);
+        if (stopped) return stopped;
         const chrome = getChromeAPI();
         const fillResult = await chrome.fillForm(
           c.tabId,
@@ -282,6 +467,159 @@ export const FILL_FORM: Action = {
   ]
 };
 
+/**
+ * TYPE_TEXT action
+ * Key-by-key entry for fields FILL_FORM can't set: framework-controlled inputs and rich-text editors
+ */
+export const TYPE_TEXT: Action = {
+  name: 'TYPE_TEXT',
+  description: 'Type text into an input, textarea or rich-text editor (contenteditable) key by key, like a user. Works with React/Vue controlled inputs and editors where FILL_FORM does not stick. Replaces the current content unless clear is false; press_enter submits or sends after typing. Returns the value the field holds afterwards.',
+  examples: [
+    'Type a message in the chat box and send it',
+    'Search for "wireless headphones"'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID' },
+      elementId: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} of the field or editor` },
+      text: { type: 'string', description: 'Text to type; newlines become line breaks' },
+      clear: { type: 'boolean', description: 'Clear the field first. Default: true' },
+      press_enter: { type: 'boolean', description: 'Press Enter after typing. Default: false' },
+      delay_ms: { type: 'number', description: 'Pause between keys, for pages that react to typing speed. Default: 0, at most 200' },
+      justification: { type: 'string', description: 'Why typing this' }
+    },
+    required: ['tabId', 'elementId', 'text'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'TYPE_TEXT', [c.elementId]);
+        if (stopped) return stopped;
+        const chrome = getChromeAPI();
+        const typeResult = await chrome.typeText(c.tabId, c.elementId!, c.text!, {
+          clear: c.clear !== false,
+          pressEnter: c.press_enter || false,
+          delayMs: c.delay_ms || 0
+        });
+        return { result: typeResult };
+      },
+      // Typing time plus the navigation wait after Enter
+      timeout_ms: (ctx: StepContext) => {
+        const c = ctx as BrowserContext;
+        return 15000 + (c.text?.length || 0) * (Math.min(c.delay_ms || 0, 200) + 5);
+      }
+    }
+  ]
+};
+
+/**
+ * HOVER action
+ */
+export const HOVER: Action = {
+  name: 'HOVER',
+  description: 'Move the mouse over an element to open its hover menu, tooltip or preview. Menus that appear can be read with READ_PAGE afterwards. Menus shown by CSS :hover alone do not open.',
+  examples: [
+    'Open the Products menu',
+    'Show the tooltip on the info icon'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID' },
+      elementId: { type: 'string', description: ELEMENT_ID_DESCRIPTION },
+      justification: { type: 'string', description: 'Why hovering this element' }
+    },
+    required: ['tabId', 'elementId'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'HOVER', [c.elementId]);
+        if (stopped) return stopped;
+        const chrome = getChromeAPI();
+        return { result: await chrome.hoverElement(c.tabId, c.elementId!) };
+      }
+    }
+  ]
+};
+
+/**
+ * PRESS_KEY action
+ */
+export const PRESS_KEY: Action = {
+  name: 'PRESS_KEY',
+  description: 'Press a key or keyboard shortcut, on an element or on whatever has focus. Use Escape to close dialogs and popups, Tab/Shift+Tab to move between fields, ArrowDown/ArrowUp/Enter in menus and autocompletes, and shortcuts such as Ctrl+K. "Mod" is Ctrl, or Cmd on a Mac. Returns the element focused afterwards.',
+  examples: [
+    'Close the popup',
+    'Open the command palette with Ctrl+K'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID' },
+      key: { type: 'string', description: 'Key name or combo: "Escape", "Enter", "Tab", "ArrowDown", "a", "Shift+Tab", "Ctrl+K", "Mod+Enter"' },
+      elementId: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} to focus first. Default: the focused element` },
+      justification: { type: 'string', description: 'Why pressing this key' }
+    },
+    required: ['tabId', 'key'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'PRESS_KEY', [c.elementId]);
+        if (stopped) return stopped;
+        const chrome = getChromeAPI();
+        return { result: await chrome.pressKey(c.tabId, c.key!, c.elementId) };
+      }
+    }
+  ]
+};
+
+/**
+ * DRAG_AND_DROP action
+ */
+export const DRAG_AND_DROP: Action = {
+  name: 'DRAG_AND_DROP',
+  description: 'Drag one element onto another: reorder list items, move cards between columns, drop files onto upload areas that accept page elements. Both element IDs come from READ_PAGE and must be in the same frame. Reports whether the dragged element moved; READ_PAGE again to check the result.',
+  examples: [
+    'Move the "Write docs" card to the Done column',
+    'Drag the third item to the top of the list'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID' },
+      source_element_id: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} of the element to drag` },
+      target_element_id: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} of the element to drop onto` },
+      justification: { type: 'string', description: 'Why moving this element' }
+    },
+    required: ['tabId', 'source_element_id', 'target_element_id'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'DRAG_AND_DROP', [c.source_element_id, c.target_element_id]);
+        if (stopped) return stopped;
+        const chrome = getChromeAPI();
+        return { result: await chrome.dragAndDrop(c.tabId, c.source_element_id!, c.target_element_id!) };
+      }
+    }
+  ]
+};
+
 /**
  * SELECT_OPTION action
  */
@@ -296,7 +634,7 @@ export const SELECT_OPTION: Action = {
     type: 'object',
     properties: {
       tabId: { type: 'number', description: 'Tab ID' },
-      elementId: { type: 'number', description: 'Element ID from READ_PAGE for the select element' },
+      elementId: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} for the select element` },
       value: { type: 'string', description: 'Value or text of the option to select' },
       justification: { type: 'string', description: 'Why selecting this option' }
     },
@@ -308,6 +646,8 @@ export const SELECT_OPTION: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'SELECT_OPTION', [c.elementId]);
+        if (stopped) return stopped;
         const chrome = getChromeAPI();
         const selectResult = await chrome.selectOption(c.tabId, c.elementId!, c.value!);
         return { result: selectResult };
@@ -321,7 +661,7 @@ export const SELECT_OPTION: Action = {
  */
 export const CHECK_CHECKBOX: Action = {
   name: 'CHECK_CHECKBOX',
-  description: 'Check or uncheck a checkbox input. Requires elementId from READ_PAGE and checked (true to check, false to uncheck).',
+  description: 'Check or uncheck a checkbox input or ARIA checkbox/switch. Requires elementId from READ_PAGE and checked (true to check, false to uncheck).',
   examples: [
     'Check the terms and conditions box',
     'Uncheck the newsletter subscription'
@@ -330,7 +670,7 @@ export const CHECK_CHECKBOX: Action = {
     type: 'object',
     properties: {
       tabId: { type: 'number', description: 'Tab ID' },
-      elementId: { type: 'number', description: 'Element ID from READ_PAGE for the checkbox' },
+      elementId: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION} for the checkbox` },
       checked: { type: 'boolean', description: 'Whether to check (true) or uncheck (false)' },
       justification: { type: 'string', description: 'Why modifying this checkbox' }
     },
@@ -342,6 +682,8 @@ export const CHECK_CHECKBOX: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'CHECK_CHECKBOX', [c.elementId]);
+        if (stopped) return stopped;
         const chrome = getChromeAPI();
         const checkResult = await chrome.checkCheckbox(c.tabId, c.elementId!, c.checked!);
         return { result: checkResult };
@@ -364,7 +706,7 @@ export const SUBMIT_FORM: Action = {
     type: 'object',
     properties: {
       tabId: { type: 'number', description: 'Tab ID' },
-      elementId: { type: 'number', description: 'Element ID for submit button or form element' },
+      elementId: { type: 'string', description: 'Element ID from READ_PAGE for the submit button or form element' },
       justification: { type: 'string', description: 'Why submitting this form' }
     },
     required: ['tabId', 'elementId'],
@@ -375,6 +717,8 @@ export const SUBMIT_FORM: Action = {
       type: 'function',
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
+        const stopped = await announce(c, 'SUBMIT_FORM', [c.elementId]);
+        if (stopped) return stopped;
         const chrome = getChromeAPI();
         const submitResult = await chrome.submitForm(c.tabId, c.elementId!);
         return { result: submitResult };
@@ -428,7 +772,7 @@ export const SCROLL_TO: Action = {
  */
 export const WAIT_FOR_LOAD: Action = {
   name: 'WAIT_FOR_LOAD',
-  description: 'Wait for the page to finish loading. Use after navigation or clicking links.',
+  description: 'Wait for the page to finish loading, then for its content to stop changing (apps that render after load). Use after navigation or clicking links. Returns what changed on the page while waiting.',
   examples: [
     'Wait for the page to load',
     'Let the page finish loading'
@@ -438,6 +782,7 @@ export const WAIT_FOR_LOAD: Action = {
     properties: {
       tabId: { type: 'number', description: 'Tab ID' },
       timeout_ms: { type: 'number', description: 'Maximum time to wait in milliseconds. Default: 10000' },
+      quiet_ms: { type: 'number', description: 'How long the page must go without changes to count as settled; 0 to only wait for load. Default: 500' },
       justification: { type: 'string', description: 'Why waiting for page load' }
     },
     required: ['tabId'],
@@ -449,9 +794,11 @@ export const WAIT_FOR_LOAD: Action = {
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
         const chrome = getChromeAPI();
-        const loadResult = await chrome.waitForLoad(c.tabId, c.timeout_ms || 10000);
+        const loadResult = await chrome.waitForLoad(c.tabId, c.timeout_ms || 10000, c.quiet_ms ?? 500);
         return { result: loadResult };
-      }
+      },
+      // Requested wait plus headroom for the final readyState probe
+      timeout_ms: (ctx: StepContext) => ((ctx as BrowserContext).timeout_ms || 10000) + 5000
     }
   ]
 };
@@ -461,7 +808,7 @@ export const WAIT_FOR_LOAD: Action = {
  */
 export const WAIT_FOR_ELEMENT: Action = {
   name: 'WAIT_FOR_ELEMENT',
-  description: 'Wait for a specific element to appear on the page. Requires elementId from a previous READ_PAGE.',
+  description: 'Wait for an element to appear, or with gone to disappear: either an elementId from READ_PAGE, or a CSS selector, optionally until at least min_count elements match (e.g. more list items loaded). Reacts as soon as the page changes and returns the matches and what changed.',
   examples: [
     'Wait for the search results to appear',
     'Wait until the modal shows up'
@@ -470,11 +817,14 @@ export const WAIT_FOR_ELEMENT: Action = {
     type: 'object',
     properties: {
       tabId: { type: 'number', description: 'Tab ID' },
-      elementId: { type: 'number', description: 'Element ID from READ_PAGE' },
+      elementId: { type: 'string', description: `${ELEMENT_ID_DESCRIPTION}. Give this or selector` },
+      selector: { type: 'string', description: 'CSS selector, for elements READ_PAGE has not seen yet (e.g. ".search-result", "[role=dialog]")' },
+      min_count: { type: 'number', description: 'With selector: wait until at least this many visible elements match. Default: 1' },
+      gone: { type: 'boolean', description: 'Wait for the element(s) to disappear instead. Default: false' },
       timeout_ms: { type: 'number', description: 'Maximum time to wait in milliseconds. Default: 5000' },
       justification: { type: 'string', description: 'Why waiting for this element' }
     },
-    required: ['tabId', 'elementId'],
+    required: ['tabId'],
     additionalProperties: true
   },
   steps: [
@@ -483,9 +833,88 @@ export const WAIT_FOR_ELEMENT: Action = {
       handler: async (ctx: StepContext): Promise<StepResult> => {
         const c = ctx as BrowserContext;
         const chrome = getChromeAPI();
-        const waitResult = await chrome.waitForElement(c.tabId, c.elementId!, c.timeout_ms || 5000);
+        if (c.elementId === undefined && !c.selector) {
+          return { result: { found: false, error: 'Give elementId or selector' } };
+        }
+        const waitResult = await chrome.waitForElement(c.tabId, {
+          ...(c.elementId !== undefined ? { elementId: c.elementId } : { selector: c.selector, minCount: c.min_count || 1 }),
+          gone: c.gone || false
+        }, c.timeout_ms || 5000);
         return { result: waitResult };
-      }
+      },
+      timeout_ms: (ctx: StepContext) => ((ctx as BrowserContext).timeout_ms || 5000) + 5000
+    }
+  ]
+};
+
+/**
+ * WAIT_FOR_TEXT action
+ */
+export const WAIT_FOR_TEXT: Action = {
+  name: 'WAIT_FOR_TEXT',
+  description: 'Wait until some text is visible on the page, or with gone until it is no longer shown: a confirmation message, search results, a "Loading..." label going away. Case and spacing are ignored. Returns the elements holding the text and what changed while waiting.',
+  examples: [
+    'Wait until it says "Order confirmed"',
+    'Wait for the loading message to go away'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID' },
+      text: { type: 'string', description: 'Text to wait for' },
+      gone: { type: 'boolean', description: 'Wait for the text to disappear instead. Default: false' },
+      timeout_ms: { type: 'number', description: 'Maximum time to wait in milliseconds. Default: 10000' },
+      justification: { type: 'string', description: 'Why waiting for this text' }
+    },
+    required: ['tabId', 'text'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const chrome = getChromeAPI();
+        const waitResult = await chrome.waitFor(c.tabId, { text: c.text!, gone: c.gone || false, timeoutMs: c.timeout_ms || 10000 });
+        return { result: waitResult };
+      },
+      timeout_ms: (ctx: StepContext) => ((ctx as BrowserContext).timeout_ms || 10000) + 5000
+    }
+  ]
+};
+
+/**
+ * WAIT_FOR_NETWORK_IDLE action
+ */
+export const WAIT_FOR_NETWORK_IDLE: Action = {
+  name: 'WAIT_FOR_NETWORK_IDLE',
+  description: 'Wait until the page has no fetch/XHR requests in flight and its content has stopped changing. Use after actions that load data in the background (search as you type, infinite scroll, saving). Connections open longer than timeout_ms (long polling, streams) are ignored. On a page loaded before the extension, requests already open could not be seen: it times out with network.installed_late instead of reporting idle. Returns the requests that finished and what changed on the page.',
+  examples: [
+    'Wait for the results to finish loading',
+    'Wait until the save completes'
+  ],
+  input_schema: {
+    type: 'object',
+    properties: {
+      tabId: { type: 'number', description: 'Tab ID' },
+      idle_ms: { type: 'number', description: 'How long the network and page must stay quiet. Default: 500' },
+      timeout_ms: { type: 'number', description: 'Maximum time to wait in milliseconds. Default: 10000' },
+      justification: { type: 'string', description: 'Why waiting for the network' }
+    },
+    required: ['tabId'],
+    additionalProperties: true
+  },
+  steps: [
+    {
+      type: 'function',
+      handler: async (ctx: StepContext): Promise<StepResult> => {
+        const c = ctx as BrowserContext;
+        const chrome = getChromeAPI();
+        const idleMs = c.idle_ms || 500;
+        const waitResult = await chrome.waitFor(c.tabId, { networkIdleMs: idleMs, quietMs: idleMs, timeoutMs: c.timeout_ms || 10000 });
+        return { result: waitResult };
+      },
+      timeout_ms: (ctx: StepContext) => ((ctx as BrowserContext).timeout_ms || 10000) + 5000
     }
   ]
 };
@@ -557,16 +986,24 @@ export const GO_FORWARD: Action = {
  */
 export const browserActions: Action[] = [
   READ_PAGE,
+  READ_SCREENSHOT,
+  EXTRACT_TABLE,
   CLICK_ELEMENT,
   NAVIGATE_TO,
   GET_PAGE_STATE,
   FILL_FORM,
+  TYPE_TEXT,
+  HOVER,
+  PRESS_KEY,
+  DRAG_AND_DROP,
   SELECT_OPTION,
   CHECK_CHECKBOX,
   SUBMIT_FORM,
   SCROLL_TO,
   WAIT_FOR_LOAD,
   WAIT_FOR_ELEMENT,
+  WAIT_FOR_TEXT,
+  WAIT_FOR_NETWORK_IDLE,
   GO_BACK,
   GO_FORWARD
 ];
@@ -602,12 +1039,19 @@ export const browserActionRouter: Action = {
 
 Tools:
 - READ_PAGE: Extract page content, find element IDs for interaction
+- READ_SCREENSHOT: See the visible page as an image, with element IDs drawn on it
+- EXTRACT_TABLE: Read tables and grids as structured rows, following pagination
 - CLICK_ELEMENT: Click buttons, links (requires elementId from READ_PAGE)
 - FILL_FORM: Fill input fields (requires elementId from READ_PAGE)
+- TYPE_TEXT: Type key by key into a field or rich-text editor, optionally pressing Enter
+- HOVER: Open hover menus and tooltips
+- PRESS_KEY: Keys and shortcuts (Escape closes dialogs, Tab moves focus, Ctrl+K)
+- DRAG_AND_DROP: Drag an element onto another to reorder or move it
 - NAVIGATE_TO: Go to a URL
 - SCROLL_TO: Scroll up/down/top/bottom
 - SELECT_OPTION, CHECK_CHECKBOX, SUBMIT_FORM: Form interactions
-- WAIT_FOR_LOAD, WAIT_FOR_ELEMENT: Wait for page/element
+- WAIT_FOR_LOAD, WAIT_FOR_ELEMENT: Wait for page/element (by ID or CSS selector)
+- WAIT_FOR_TEXT, WAIT_FOR_NETWORK_IDLE: Wait for text to show or go, or for background requests to finish
 - GO_BACK, GO_FORWARD: Browser history
 - FINAL_RESPONSE: Task complete, present result
 
@@ -623,8 +1067,14 @@ Choose a tool. Use {{{stop_action}}} if complete or if data is gathered and need
       tool_choice: {
         available_actions: [
           READ_PAGE.name,
+          READ_SCREENSHOT.name,
+          EXTRACT_TABLE.name,
           CLICK_ELEMENT.name,
           FILL_FORM.name,
+          TYPE_TEXT.name,
+          HOVER.name,
+          PRESS_KEY.name,
+          DRAG_AND_DROP.name,
           SELECT_OPTION.name,
           CHECK_CHECKBOX.name,
           SUBMIT_FORM.name,
@@ -632,6 +1082,8 @@ Choose a tool. Use {{{stop_action}}} if complete or if data is gathered and need
           SCROLL_TO.name,
           WAIT_FOR_LOAD.name,
           WAIT_FOR_ELEMENT.name,
+          WAIT_FOR_TEXT.name,
+          WAIT_FOR_NETWORK_IDLE.name,
           GO_BACK.name,
           GO_FORWARD.name,
           FINAL_RESPONSE
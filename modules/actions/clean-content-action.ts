@@ -13,10 +13,18 @@ const ELEMENT_SCHEMA: JSONSchema = {
   additionalProperties: false
 };
 
+// Elements as READ_PAGE passes them on: string id plus a flattened description
+const RAW_ELEMENT_SCHEMA: JSONSchema = {
+  type: 'object',
+  properties: { id: { type: 'string' } },
+  required: ['id'],
+  additionalProperties: true
+};
+
 const OUTPUT_SCHEMA: JSONSchema = {
   type: 'object',
   properties: {
-    text: { type: 'string', description: 'Cleaned main content, noise removed' },
+    text: { type: 'string', description: 'Cleaned main content as Markdown, noise removed' },
     links: { type: 'array', items: ELEMENT_SCHEMA, description: 'Important links only (max 10)' },
     buttons: { type: 'array', items: ELEMENT_SCHEMA, description: 'Key action buttons only (max 5)' },
     inputs: { type: 'array', items: ELEMENT_SCHEMA, description: 'Important form fields only (max 5)' },
@@ -29,7 +37,8 @@ const OUTPUT_SCHEMA: JSONSchema = {
 const SYSTEM_PROMPT = `You are a webpage content distiller.
 
 Your task is to extract ONLY essential content from raw webpage data.
-Assume the input contains heavy noise and UI clutter.
+The text is Markdown of the page's main content with most boilerplate already removed;
+the element lists still contain heavy noise and UI clutter.
 
 STRICT REMOVAL RULES (always remove):
 - Headers, footers, global navigation menus
@@ -47,7 +56,7 @@ If the page has no meaningful main content, return:
 - only items strictly necessary to interact with the page
 
 OUTPUT JSON FIELDS:
-- text: Cleaned main content only, no UI chrome
+- text: Cleaned main content only, no UI chrome; keep its Markdown headings, lists and tables
 - links: Links that initiate or change a primary workflow
 - buttons: Buttons that perform a primary action on this page
 - inputs: Form fields required for a primary user action
@@ -74,14 +83,16 @@ interface CleanContentContext extends StepContext {
 export const cleanContentAction: Action = {
   name: CLEAN_CONTENT,
   description: 'Clean webpage content and produce a 5-line summary',
+  // Re-reading an unchanged page gives the same prompt
+  cacheable: true,
   input_schema: {
     type: 'object',
     properties: {
       title: { type: 'string' },
       text: { type: 'string' },
-      links: { type: 'array', items: ELEMENT_SCHEMA },
-      buttons: { type: 'array', items: ELEMENT_SCHEMA },
-      inputs: { type: 'array', items: ELEMENT_SCHEMA }
+      links: { type: 'array', items: RAW_ELEMENT_SCHEMA },
+      buttons: { type: 'array', items: RAW_ELEMENT_SCHEMA },
+      inputs: { type: 'array', items: RAW_ELEMENT_SCHEMA }
     },
     required: ['text'],
     additionalProperties: true
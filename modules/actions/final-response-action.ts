@@ -2,7 +2,8 @@
  * Final response action - terminates the task with a user-facing answer
  * Uses two-stage LLM: first generates a tailored system prompt, then extracts/summarizes
  */
-import type { Action, JSONSchema, StepContext, StepResult } from './types/index.js';
+import type { Action, JSONSchema, Message, StepContext, StepResult } from './types/index.js';
+import { withoutImages } from '../llm/multimodal.js';
 
 export const FINAL_RESPONSE = 'FINAL_RESPONSE';
 
@@ -84,8 +85,9 @@ Purpose:
       type: 'function',
       handler: (ctx: StepContext): StepResult => ({
         result: {
+          // Screenshots would be base64 noise in a text prompt
           messages_history: Array.isArray(ctx.parent_messages)
-            ? JSON.stringify(ctx.parent_messages, null, 2)
+            ? JSON.stringify(withoutImages(ctx.parent_messages) as Message[], null, 2)
             : ctx.parent_messages
         }
       })
@@ -115,7 +117,10 @@ In your response:
 1. 'final_answer' field: Provide a clean, user-friendly summary of the relevant information with no redundancy
 2. 'method' field: Briefly describe the steps taken to gather this data (2-3 lines for bookkeeping purposes)`,
       intelligence: 'MEDIUM',
-      output_schema: FINAL_OUTPUT_SCHEMA
+      output_schema: FINAL_OUTPUT_SCHEMA,
+      stream_field: 'final_answer',
+      // Summarizes the whole conversation; streamed, so a longer wait stays visible
+      timeout_ms: 45000
     }
   ]
 };
@@ -53,6 +53,7 @@ export const llmAction: Action = {
     'Explain how async/await works',
     'Help me plan a project structure'
   ],
+  read_only: true,
   input_schema: {
     type: 'object',
     properties: {
@@ -86,7 +87,9 @@ Generate a clear, focused system prompt that will guide the LLM to provide the b
       system_prompt: '{{{generated_prompt}}}',
       message: `Instruction: {{{instruction}}}`,
       intelligence: 'HIGH',
-      output_schema: RESPONSE_OUTPUT_SCHEMA
+      output_schema: RESPONSE_OUTPUT_SCHEMA,
+      // HIGH-tier reasoning models routinely take longer than the default
+      timeout_ms: 60000
     }
   ]
 };
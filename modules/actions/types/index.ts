@@ -4,22 +4,34 @@
 
 // JSON Schema subset for input validation
 export interface JSONSchema {
-  type: 'object' | 'string' | 'number' | 'boolean' | 'array';
-  properties?: Record<string, JSONSchema & { description?: string; enum?: string[] }>;
+  type: 'object' | 'string' | 'number' | 'integer' | 'boolean' | 'array';
+  properties?: Record<string, JSONSchema>;
   items?: JSONSchema;
   required?: string[];
-  additionalProperties?: boolean;
+  additionalProperties?: boolean | JSONSchema;
   description?: string;
+  enum?: (string | number)[];
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  minItems?: number;
+  maxItems?: number;
 }
 
 // Message types for conversation
 export interface Message {
   role: 'system' | 'user' | 'assistant' | 'tool';
-  content: string | null;
+  content: string | ContentPart[] | null;
   tool_calls?: ToolCall[];
   tool_call_id?: string;
 }
 
+// Multimodal user content (chat-completions shape); images are usually data: URLs
+export type ContentPart =
+  | { type: 'text'; text: string }
+  | { type: 'image_url'; image_url: { url: string } };
+
 export interface ToolCall {
   id: string;
   type: 'function';
@@ -33,6 +45,8 @@ export interface ToolCall {
 export interface StepContext {
   parent_messages?: Message[];
   tabId?: number;
+  // Aborted when the step times out or the run is cancelled
+  signal?: AbortSignal;
   [key: string]: unknown;
 }
 
@@ -56,6 +70,8 @@ export interface ToolChoice {
 export interface FunctionStep {
   type: 'function';
   handler: (ctx: StepContext) => StepResult | Promise<StepResult>;
+  // Overrides the default step timeout; a function derives it from the step context
+  timeout_ms?: number | ((ctx: StepContext) => number);
 }
 
 export interface LLMStep {
@@ -66,6 +82,10 @@ export interface LLMStep {
   output_schema?: JSONSchema;
   tool_choice?: ToolChoice;
   skip_if?: (ctx: StepContext) => boolean;
+  // output_schema string property streamed to the user while it is generated
+  stream_field?: string;
+  // Per LLM call timeout (each turn of a tool_choice loop gets its own)
+  timeout_ms?: number;
 }
 
 export interface ActionStep {
@@ -82,6 +102,12 @@ export interface Action {
   examples?: string[];
   input_schema: JSONSchema;
   steps: Step[];
+  // Deadline for the whole action, including its child actions
+  timeout_ms?: number;
+  // No side effects: parallel tool calls may run it concurrently (one call per tabId at a time)
+  read_only?: boolean;
+  // Single-turn LLM steps may answer an identical prompt from the response cache (default TTL 5 min)
+  cacheable?: boolean | { ttl_ms: number };
 }
 
 // Action registry type
@@ -4,11 +4,17 @@ import { logAction } from './storage.js';
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
 
+const CHAT_PORT = 'chat';
+
 // Message history for up/down arrow navigation
 const messageHistory = [];
 let historyIndex = -1;
 let currentDraft = '';
 
+// Run in progress: send is blocked and Stop cancels via the port
+let isRunning = false;
+let activePort = null;
+
 function getStatusContainer() {
   let container = elements.chatContainer.querySelector('.status-whisper-container');
   if (!container) {
@@ -110,8 +116,8 @@ function addTypingIndicator() {
   messageDiv.id = 'typing-indicator';
 
   const bubbleDiv = document.createElement('div');
-  bubbleDiv.className = 'chat-bubble';
-  bubbleDiv.innerHTML = '<span class="loading loading-dots loading-sm"></span>';
+  bubbleDiv.className = 'chat-bubble flex items-center gap-2';
+  bubbleDiv.innerHTML = '<span class="loading loading-dots loading-sm"></span><span class="typing-label font-mono text-xs opacity-50"></span>';
 
   messageDiv.appendChild(bubbleDiv);
   elements.chatContainer.appendChild(messageDiv);
@@ -125,16 +131,160 @@ function removeTypingIndicator() {
   }
 }
 
-async function sendMessageToBackground(message) {
-  return chrome.runtime.sendMessage({
-    action: 'processMessage',
-    message
+// ============ Progress Timeline ============
+// Collapsible "what I'm doing" list fed by tracer progress events of the current run
+
+const TIMELINE_ICONS = { success: '✓', error: '✗', cancelled: '■', timeout: '⏱' };
+let timeline = null;
+
+function createTimeline() {
+  clearEmptyState();
+
+  const messageDiv = document.createElement('div');
+  messageDiv.className = 'chat chat-start message';
+  messageDiv.innerHTML = `
+    <details class="chat-bubble text-xs w-full" open>
+      <summary class="timeline-summary cursor-pointer opacity-60">Working...</summary>
+      <ul class="timeline-steps mt-1.5 space-y-1"></ul>
+    </details>`;
+
+  const typing = document.getElementById('typing-indicator');
+  typing ? elements.chatContainer.insertBefore(messageDiv, typing) : elements.chatContainer.appendChild(messageDiv);
+
+  timeline = {
+    el: messageDiv,
+    summary: messageDiv.querySelector('.timeline-summary'),
+    list: messageDiv.querySelector('.timeline-steps'),
+    steps: new Map(), // action id -> { li, depth, justification }
+    startTime: Date.now()
+  };
+  return timeline;
+}
+
+function addTimelineStep({ id, parentId, name, target, justification }) {
+  const t = timeline || createTimeline();
+  const parent = t.steps.get(parentId);
+  const depth = parent ? parent.depth + 1 : 0;
+
+  const li = document.createElement('li');
+  li.style.paddingLeft = `${depth * 0.75}rem`;
+  li.innerHTML = `
+    <div class="flex items-center gap-1.5">
+      <span class="step-status w-3 shrink-0"><span class="loading loading-spinner loading-xs"></span></span>
+      <span class="step-name font-mono"></span>
+      <span class="step-target font-mono opacity-50 truncate"></span>
+    </div>
+    <div class="step-justification opacity-50 pl-4.5 truncate"></div>`;
+  li.querySelector('.step-name').textContent = name;
+  li.querySelector('.step-target').textContent = target;
+  // Child actions inherit their parent's justification - only show new ones
+  if (justification && justification !== parent?.justification) {
+    li.querySelector('.step-justification').textContent = justification;
+    li.title = justification;
+  }
+
+  t.list.appendChild(li);
+  t.steps.set(id, { li, depth, justification });
+  elements.chatContainer.scrollTop = elements.chatContainer.scrollHeight;
+}
+
+function endTimelineStep({ id, status, error }) {
+  const step = timeline?.steps.get(id);
+  if (!step) return;
+  const statusEl = step.li.querySelector('.step-status');
+  statusEl.textContent = TIMELINE_ICONS[status] || '';
+  statusEl.className = `step-status w-3 shrink-0 ${status === 'success' ? 'text-success' : status === 'error' ? 'text-error' : 'text-warning'}`;
+  if (error) step.li.title = error;
+}
+
+function handleProgressEvent(event) {
+  if (event.phase === 'start') addTimelineStep(event);
+  else if (event.phase === 'end') endTimelineStep(event);
+  else if (event.phase === 'iteration' && timeline) timeline.summary.textContent = `Working... turn ${event.turn}/${event.maxIterations}`;
+}
+
+// Collapse the timeline into a one-line summary once the run is over
+function finishTimeline() {
+  if (!timeline) return;
+  const count = timeline.steps.size;
+  const seconds = ((Date.now() - timeline.startTime) / 1000).toFixed(1);
+  timeline.summary.textContent = `${count} step${count === 1 ? '' : 's'} · ${seconds}s`;
+  timeline.el.querySelector('details').open = false;
+  timeline = null;
+}
+
+function setTypingLabel(text) {
+  const label = document.querySelector('#typing-indicator .typing-label');
+  if (label) label.textContent = text;
+}
+
+// Render streamed answer text into a single assistant bubble, replacing the typing indicator
+function updateStreamingMessage(text) {
+  let messageDiv = document.getElementById('streaming-message');
+  if (!messageDiv) {
+    removeTypingIndicator();
+    messageDiv = addMessage('assistant', text);
+    messageDiv.id = 'streaming-message';
+  } else {
+    messageDiv.querySelector('.chat-bubble').innerHTML = DOMPurify.sanitize(marked.parse(text, { breaks: true }));
+  }
+  elements.chatContainer.scrollTop = elements.chatContainer.scrollHeight;
+  return messageDiv;
+}
+
+function finishStreamingMessage(finalText) {
+  const messageDiv = document.getElementById('streaming-message');
+  if (!messageDiv) return false;
+  if (finalText !== undefined) updateStreamingMessage(finalText);
+  messageDiv.removeAttribute('id');
+  return true;
+}
+
+function handleStreamEvent(event) {
+  if (event.type === 'text') {
+    updateStreamingMessage(event.text);
+  } else if (event.type === 'tool_call') {
+    setTypingLabel(event.name);
+  } else if (event.type === 'progress') {
+    handleProgressEvent(event);
+  }
+}
+
+// Run a message over a port; stream events arrive before the final { result } or { error }
+function sendMessageToBackground(message, onStream) {
+  return new Promise(resolve => {
+    const port = chrome.runtime.connect({ name: CHAT_PORT });
+    activePort = port;
+    port.onMessage.addListener(msg => {
+      if (msg.type === 'stream') {
+        onStream(msg.event);
+        return;
+      }
+      resolve(msg.type === 'error' ? { error: msg.error, cancelled: msg.cancelled } : { result: msg.result });
+      port.disconnect();
+    });
+    port.onDisconnect.addListener(() => resolve({ error: 'Connection to background lost' }));
+    port.postMessage({ action: 'processMessage', message });
   });
 }
 
+function setRunning(running) {
+  isRunning = running;
+  elements.sendButton.classList.toggle('hidden', running);
+  elements.stopButton.classList.toggle('hidden', !running);
+  elements.stopButton.disabled = false;
+}
+
+function stopMessage() {
+  if (!activePort) return;
+  elements.stopButton.disabled = true;
+  setTypingLabel('Stopping...');
+  activePort.postMessage({ action: 'cancel' });
+}
+
 async function sendMessage() {
   const message = elements.messageInput.value.trim();
-  if (!message) return;
+  if (!message || isRunning) return;
 
   // Add to history (avoid duplicates of last message)
   if (messageHistory[messageHistory.length - 1] !== message) {
@@ -146,7 +296,7 @@ async function sendMessage() {
   addMessage('user', message);
   elements.messageInput.value = '';
   elements.messageInput.style.height = 'auto';
-  elements.sendButton.disabled = true;
+  setRunning(true);
 
   await setStatus('Processing', true);
   addTypingIndicator();
@@ -154,19 +304,26 @@ async function sendMessage() {
   await logAction('message', `Sent: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`);
 
   try {
-    const response = await sendMessageToBackground(message);
+    const response = await sendMessageToBackground(message, handleStreamEvent);
     removeTypingIndicator();
 
-    if (response.error) {
+    if (response.cancelled) {
+      finishStreamingMessage();
+      addMessage('system', 'Stopped');
+    } else if (response.error) {
+      finishStreamingMessage();
       addMessage('error', response.error);
-    } else {
+    } else if (!finishStreamingMessage(response.result)) {
       addMessage('assistant', response.result);
     }
   } catch (error) {
     removeTypingIndicator();
+    finishStreamingMessage();
     addMessage('error', error.message);
   } finally {
-    elements.sendButton.disabled = false;
+    finishTimeline();
+    activePort = null;
+    setRunning(false);
     await setStatus('Ready', false);
   }
 }
@@ -240,6 +397,7 @@ export function initChat(hasValidKey) {
   setupKeyboardShortcuts();
   setupMessageListener();
   elements.sendButton.addEventListener('click', sendMessage);
+  elements.stopButton.addEventListener('click', stopMessage);
 
   // Set initial status
   if (hasValidKey) {
@@ -3,19 +3,39 @@
  * No AI/LLM knowledge in this module
  */
 import { ContentAction } from './content-actions.js';
+import { buildTable } from './tables.js';
 
-// Normalize elements to schema format: { id: string, text: string }
-function normalizeElements(arr) {
+// Normalize elements to schema format: { id: string, text: string }; prefix is the frame part of the ID.
+// Flags read as bare names when set and are left out when not: 'visible, in_viewport'
+function normalizeElements(arr, prefix = '') {
   if (!Array.isArray(arr)) return [];
   return arr.map(el => {
     const { id, ...rest } = el;
     const parts = Object.entries(rest)
-      .filter(([, v]) => v != null && v !== '')
-      .map(([k, v]) => `${k}: ${v}`);
-    return { id: String(id ?? ''), text: parts.join(', ') };
+      .filter(([, v]) => v != null && v !== '' && v !== false)
+      .map(([k, v]) => (v === true ? k : `${k}: ${v}`));
+    return { id: prefix + String(id ?? ''), text: parts.join(', ') };
   });
 }
 
+// Element IDs from subframes start with 'f<frameId>/'; the content script in that frame resolves the rest
+const framePrefix = frameId => (frameId ? `f${frameId}/` : '');
+
+// Stale element errors from a subframe name elements by local ID; give them the frame prefix
+function prefixStale(result, prefix) {
+  const fix = r => (r?.stale ? {
+    ...r,
+    stale: { ...r.stale, elementId: prefix + r.stale.elementId, candidates: r.stale.candidates.map(c => ({ ...c, id: prefix + c.id })) }
+  } : r);
+  if (!prefix || !result || typeof result !== 'object') return result;
+  return Array.isArray(result.results) ? { ...fix(result), results: result.results.map(fix) } : fix(result);
+}
+
+function splitElementId(elementId) {
+  const match = /^f(\d+)\/(.+)$/.exec(String(elementId));
+  return match ? { frameId: Number(match[1]), localId: match[2] } : { frameId: 0, localId: String(elementId) };
+}
+
 async function getTabUrl(tabId, fallback = 'unknown') {
   if (!tabId) return fallback;
   try {
@@ -26,12 +46,16 @@ async function getTabUrl(tabId, fallback = 'unknown') {
   }
 }
 
+// Chrome allows about two captureVisibleTab calls per second
+const CAPTURE_INTERVAL_MS = 500;
+
 class ChromeAPI {
   constructor() {
     this.tabs = new Map();
     this.currentTabId = null;
     this.currentTabUrl = null;
     this._readyPromise = null;
+    this._captureQueue = Promise.resolve();
     this._initTabListeners();
   }
 
@@ -161,24 +185,26 @@ class ChromeAPI {
 
   // --- Browser Operations ---
 
-  async _executeContentScript(tabId, action, params = {}) {
+  // Message the content script of one frame, injecting it first if the frame has none yet
+  async _sendToContentScript(tabId, action, params = {}, frameId = 0) {
+    let result;
+    try {
+      result = await chrome.tabs.sendMessage(tabId, { action, ...params }, { frameId });
+    } catch (error) {
+      if (!error.message.includes('Could not establish connection') && !error.message.includes('Receiving end does not exist')) throw error;
+      await chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, files: ['content.js'] });
+      result = await chrome.tabs.sendMessage(tabId, { action, ...params }, { frameId });
+    }
+    return prefixStale(result, framePrefix(frameId));
+  }
+
+  async _executeContentScript(tabId, action, params = {}, frameId = 0) {
     try {
       await chrome.tabs.get(tabId);
     } catch { throw new Error('Tab no longer exists'); }
 
     const urlBefore = await getTabUrl(tabId);
-
-    let result;
-    try {
-      result = await chrome.tabs.sendMessage(tabId, { action, ...params });
-    } catch (error) {
-      if (error.message.includes('Could not establish connection') || error.message.includes('Receiving end does not exist')) {
-        await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
-        result = await chrome.tabs.sendMessage(tabId, { action, ...params });
-      } else {
-        throw error;
-      }
-    }
+    const result = await this._sendToContentScript(tabId, action, params, frameId);
 
     // Check if action triggered navigation
     await new Promise(r => setTimeout(r, 100));
@@ -220,6 +246,19 @@ class ChromeAPI {
     return { ...result, navigated: true, new_url: urlAfter };
   }
 
+  // Subframes worth reading: visible ones, which leaves out tracking pixels and hidden frames
+  async _listSubframes(tabId) {
+    try {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: () => window.innerWidth > 1 && window.innerHeight > 1
+      });
+      return results.filter(r => r.frameId !== 0 && r.result).map(r => r.frameId).sort((a, b) => a - b);
+    } catch {
+      return [];
+    }
+  }
+
   async _executeScript(tabId, func, args = []) {
     const result = await chrome.scripting.executeScript({
       target: { tabId },
@@ -229,75 +268,161 @@ class ChromeAPI {
     return result[0].result;
   }
 
-  async extractContent(tabId) {
+  /**
+   * Extract the page, including open shadow roots and visible subframes
+   * Subframe elements get IDs prefixed with 'f<frameId>/' and their text follows the page's;
+   * a subframe that cannot be read is left out. Elements carry visible/in_viewport/disabled flags
+   * and a page-space box; hidden and disabled ones are dropped unless includeHidden
+   */
+  async extractContent(tabId, { includeHidden = false } = {}) {
     const pageUrl = await getTabUrl(tabId);
     this._ensureTab(tabId, pageUrl);
-    const content = await this._executeContentScript(tabId, ContentAction.EXTRACT_CONTENT);
+    const content = await this._executeContentScript(tabId, ContentAction.EXTRACT_CONTENT, { includeHidden });
     if (!content || typeof content !== 'object') throw new Error('Failed to extract valid content from page');
+
+    const subframes = await this._listSubframes(tabId);
+    const frames = [{ frameId: 0, content }, ...(await Promise.all(subframes.map(frameId =>
+      this._sendToContentScript(tabId, ContentAction.EXTRACT_CONTENT, { includeHidden }, frameId)
+        .then(frameContent => frameContent && typeof frameContent === 'object' ? { frameId, content: frameContent } : null, () => null)
+    ))).filter(Boolean)];
+
+    const elements = key => frames.flatMap(f => normalizeElements(f.content[key], framePrefix(f.frameId)));
     return {
       title: content.title || 'N/A',
-      text: content.text || '',
-      links: normalizeElements(content.links),
-      buttons: normalizeElements(content.buttons),
-      inputs: normalizeElements(content.inputs)
+      text: frames.map(f => (f.frameId ? `[Frame f${f.frameId}: ${f.content.url}] ${f.content.text || ''}` : f.content.text || '')).join('\n\n'),
+      links: elements('links'),
+      buttons: elements('buttons'),
+      inputs: elements('inputs')
     };
   }
 
+  /**
+   * Data tables and ARIA grids in the tab, top frame first, as headers and typed rows
+   * @returns {Promise<Object[]>} Tables from buildTable, each with its table_index
+   */
+  async extractTables(tabId, { maxRows = 100 } = {}) {
+    const frameIds = [0, ...(await this._listSubframes(tabId))];
+    const replies = await Promise.all(frameIds.map(frameId => {
+      const reply = this._sendToContentScript(tabId, ContentAction.EXTRACT_TABLE, { maxRows }, frameId);
+      return frameId ? reply.catch(() => null) : reply;
+    }));
+    return replies.flatMap(reply => reply?.tables || []).map((raw, index) => ({ table_index: index, ...buildTable(raw, maxRows) }));
+  }
+
+  /**
+   * Outline the elements an action is about to use, in every frame they are in, and hold for the
+   * configured delay. Follows the overlay settings in storage; drawing is best effort
+   * @param {string[]} elementIds - The caller's element IDs
+   * @param {string} label - Shown on the page next to the first element
+   * @returns {Promise<boolean>} Whether the user pressed Stop on the overlay
+   */
+  async highlightTargets(tabId, elementIds, label) {
+    const { overlayHighlight = true, overlayDelayMs = 0, overlayShowIds = false } =
+      await chrome.storage.local.get(['overlayHighlight', 'overlayDelayMs', 'overlayShowIds']);
+    if (!overlayHighlight || !elementIds.length) return false;
+
+    const byFrame = new Map();
+    for (const elementId of elementIds) {
+      const { frameId, localId } = splitElementId(elementId);
+      byFrame.set(frameId, [...(byFrame.get(frameId) || []), localId]);
+    }
+    const replies = await Promise.all([...byFrame].map(([frameId, ids]) =>
+      this._sendToContentScript(tabId, ContentAction.HIGHLIGHT_ELEMENTS, {
+        elementIds: ids, label, delayMs: overlayDelayMs, showIds: overlayShowIds, prefix: framePrefix(frameId)
+      }, frameId).catch(() => null)
+    ));
+    return replies.some(reply => reply?.stopped);
+  }
+
   async clickElement(tabId, elementId, modifiers = {}) {
-    return this._executeContentScript(tabId, ContentAction.CLICK_ELEMENT, { elementId, modifiers });
+    const { frameId, localId } = splitElementId(elementId);
+    return this._executeContentScript(tabId, ContentAction.CLICK_ELEMENT, { elementId: localId, modifiers }, frameId);
   }
 
+  /**
+   * Fill fields frame by frame, then submit in the submit element's frame
+   * Results carry the caller's element IDs; navigated/new_url come from the last frame filled
+   */
   async fillForm(tabId, fields, submit = false, submitElementId) {
-    return this._executeContentScript(tabId, ContentAction.FILL_FORM, { fields, submit, submitElementId });
+    const byFrame = new Map();
+    for (const field of fields) {
+      const { frameId, localId } = splitElementId(field.elementId);
+      byFrame.set(frameId, [...(byFrame.get(frameId) || []), { ...field, elementId: localId }]);
+    }
+    const submitTarget = submit && submitElementId !== undefined ? splitElementId(submitElementId) : null;
+    if (submitTarget) {
+      // The submit frame goes last, so every field is filled before the form submits
+      const submitFrameFields = byFrame.get(submitTarget.frameId) || [];
+      byFrame.delete(submitTarget.frameId);
+      byFrame.set(submitTarget.frameId, submitFrameFields);
+    }
+
+    const results = [];
+    let outcome = null;
+    for (const [frameId, frameFields] of byFrame) {
+      const submitHere = submitTarget?.frameId === frameId;
+      outcome = await this._executeContentScript(tabId, ContentAction.FILL_FORM, {
+        fields: frameFields, submit: submitHere, submitElementId: submitHere ? submitTarget.localId : undefined
+      }, frameId);
+      results.push(...(outcome?.results || []).map(r => (r.submit ? r : { ...r, elementId: framePrefix(frameId) + r.elementId })));
+    }
+
+    return {
+      filled_fields: results.filter(r => r.success && !r.submit).length,
+      results,
+      ...(outcome?.navigated && { navigated: true, new_url: outcome.new_url })
+    };
+  }
+
+  /**
+   * Type into a field or editor key by key; navigation after press_enter is waited for
+   * @param {{ clear?: boolean, pressEnter?: boolean, delayMs?: number }} options
+   */
+  async typeText(tabId, elementId, text, options = {}) {
+    const { frameId, localId } = splitElementId(elementId);
+    const result = await this._executeContentScript(tabId, ContentAction.TYPE_TEXT, { elementId: localId, text, options }, frameId);
+    return result?.elementId ? { ...result, elementId } : result;
+  }
+
+  async hoverElement(tabId, elementId) {
+    const { frameId, localId } = splitElementId(elementId);
+    return this._executeContentScript(tabId, ContentAction.HOVER_ELEMENT, { elementId: localId }, frameId);
+  }
+
+  /**
+   * Press a key or combo on an element, or on the focused element of the top frame when none is given
+   * @param {string} key - e.g. 'Escape', 'Shift+Tab', 'Ctrl+K'
+   */
+  async pressKey(tabId, key, elementId) {
+    const { frameId, localId } = elementId === undefined ? { frameId: 0, localId: undefined } : splitElementId(elementId);
+    const result = await this._executeContentScript(tabId, ContentAction.PRESS_KEY, { elementId: localId, key }, frameId);
+    return result?.focused_element_id ? { ...result, focused_element_id: framePrefix(frameId) + result.focused_element_id } : result;
+  }
+
+  // Both elements must be in one frame: drag events do not cross frame boundaries
+  async dragAndDrop(tabId, sourceElementId, targetElementId) {
+    const source = splitElementId(sourceElementId);
+    const target = splitElementId(targetElementId);
+    if (source.frameId !== target.frameId) {
+      return { success: false, message: 'Cannot drag between frames: both elements must be in the same frame' };
+    }
+    return this._executeContentScript(tabId, ContentAction.DRAG_AND_DROP, { sourceId: source.localId, targetId: target.localId }, source.frameId);
   }
 
   async selectOption(tabId, elementId, value) {
-    return this._executeScript(tabId, (elementId, value) => {
-      const select = document.querySelector(`[data-vish-id="${elementId}"]`);
-      if (!select || select.tagName !== 'SELECT') {
-        return { selected: false, error: 'Select element not found' };
-      }
-      const option = Array.from(select.options).find(opt => opt.value === value || opt.text === value);
-      if (option) {
-        select.value = option.value;
-        select.dispatchEvent(new Event('change', { bubbles: true }));
-        return { selected: true, elementId, value: option.value, text: option.text };
-      }
-      return { selected: false, error: 'Option not found' };
-    }, [elementId, value]);
+    const { frameId, localId } = splitElementId(elementId);
+    const result = await this._sendToContentScript(tabId, ContentAction.SELECT_OPTION, { elementId: localId, value }, frameId);
+    return result?.selected ? { ...result, elementId } : result;
   }
 
   async checkCheckbox(tabId, elementId, checked) {
-    return this._executeScript(tabId, (elementId, shouldCheck) => {
-      const checkbox = document.querySelector(`[data-vish-id="${elementId}"]`);
-      if (!checkbox || checkbox.type !== 'checkbox') {
-        return { modified: false, error: 'Checkbox not found' };
-      }
-      if (checkbox.checked !== shouldCheck) {
-        checkbox.checked = shouldCheck;
-        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
-        return { modified: true, checked: shouldCheck };
-      }
-      return { modified: false, checked: shouldCheck, note: 'Already in desired state' };
-    }, [elementId, checked]);
+    const { frameId, localId } = splitElementId(elementId);
+    return this._sendToContentScript(tabId, ContentAction.CHECK_CHECKBOX, { elementId: localId, checked }, frameId);
   }
 
   async submitForm(tabId, elementId) {
-    return this._executeScript(tabId, (elementId) => {
-      const element = document.querySelector(`[data-vish-id="${elementId}"]`);
-      if (!element) {
-        return { submitted: false, error: 'Element not found' };
-      }
-      if (element.tagName === 'BUTTON' || element.tagName === 'INPUT') {
-        element.click();
-        return { submitted: true, method: 'click' };
-      }
-      if (element.tagName === 'FORM') {
-        element.submit();
-        return { submitted: true, method: 'submit' };
-      }
-      return { submitted: false, error: 'Element is not a form or submit button' };
-    }, [elementId]);
+    const { frameId, localId } = splitElementId(elementId);
+    return this._sendToContentScript(tabId, ContentAction.SUBMIT_FORM, { elementId: localId }, frameId);
   }
 
   async scrollAndWait(tabId, direction, pixels = 500, waitMs = 500) {
@@ -328,6 +453,42 @@ class ChromeAPI {
     return { navigated: true, direction: 'forward' };
   }
 
+  /**
+   * Capture the visible part of a tab as a JPEG data URL
+   * Only the active tab of a window can be captured. With overlayIds, element IDs from
+   * READ_PAGE are drawn on the page for the capture and removed afterwards
+   * Captures run one at a time, spaced for Chrome's limit on captureVisibleTab calls per second,
+   * so concurrent reads never remove each other's overlays
+   * @returns {Promise<{ dataUrl: string, labeled: number }>} labeled counts the elements drawn
+   */
+  captureScreenshot(tabId, options = {}) {
+    const capture = this._captureQueue.then(() => this._captureScreenshot(tabId, options));
+    this._captureQueue = capture.catch(() => {}).then(() => new Promise(r => setTimeout(r, CAPTURE_INTERVAL_MS)));
+    return capture;
+  }
+
+  async _captureScreenshot(tabId, { overlayIds = true, quality = 70 } = {}) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(tabId);
+    } catch { throw new Error('Tab no longer exists'); }
+    if (!tab.active) throw new Error(`Tab ${tabId} is not the visible tab in its window; only visible tabs can be captured`);
+    this._ensureTab(tabId, tab.url);
+
+    const frameIds = overlayIds ? [0, ...await this._listSubframes(tabId)] : [];
+    let labeled = 0;
+    try {
+      const shown = await Promise.all(frameIds.map(frameId =>
+        this._sendToContentScript(tabId, ContentAction.SHOW_ID_OVERLAY, { prefix: framePrefix(frameId) }, frameId).catch(() => null)
+      ));
+      labeled = shown.reduce((sum, r) => sum + (r?.labeled || 0), 0);
+      const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality });
+      return { dataUrl, labeled };
+    } finally {
+      await Promise.all(frameIds.map(frameId => this._sendToContentScript(tabId, ContentAction.HIDE_ID_OVERLAY, {}, frameId).catch(() => {})));
+    }
+  }
+
   async getPageState(tabId) {
     return this._executeScript(tabId, () => ({
       scroll_y: window.scrollY,
@@ -340,38 +501,73 @@ class ChromeAPI {
     }));
   }
 
-  async waitForLoad(tabId, timeoutMs = 10000) {
+  /**
+   * Wait on the page for a condition; see waitForCondition in content.js for its fields
+   * Text and selector waits run in the top frame; an elementId wait runs in the element's frame.
+   * The fetch/XHR monitor (network-monitor.js) loads with each page; network waits inject it into pages
+   * opened before the extension was, where it starts late
+   * @param {{ text?: string, selector?: string, minCount?: number, elementId?: string, gone?: boolean,
+   *   quietMs?: number, networkIdleMs?: number, timeoutMs?: number }} condition
+   */
+  async waitFor(tabId, condition) {
+    const { frameId, localId } = condition.elementId === undefined ? { frameId: 0 } : splitElementId(condition.elementId);
+    if (condition.networkIdleMs) {
+      await chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, world: 'MAIN', files: ['network-monitor.js'] }).catch(() => {});
+    }
+    let result;
+    try {
+      result = await this._sendToContentScript(tabId, ContentAction.WAIT_FOR_CONDITION, { condition: { ...condition, elementId: localId } }, frameId);
+    } catch (error) {
+      // The page went away mid-wait, taking the content script with it
+      if (!/message port closed|back\/forward cache|Frame with ID/.test(error.message)) throw error;
+      return { met: false, navigated: true, new_url: await getTabUrl(tabId), error: 'The page navigated while waiting' };
+    }
+    const prefix = framePrefix(frameId);
+    const withPrefix = list => list?.map(el => (el.elementId ? { ...el, elementId: prefix + el.elementId } : el));
+    return prefix && result ? {
+      ...result,
+      text_found_in: withPrefix(result.text_found_in),
+      selector_matches: withPrefix(result.selector_matches),
+      changes: result.changes && { ...result.changes, added_samples: withPrefix(result.changes.added_samples) }
+    } : result;
+  }
+
+  /**
+   * Wait for readyState 'complete', then for the DOM to settle: single-page apps keep rendering after load
+   * @param {number} quietMs - How long the DOM must go unchanged; 0 skips this part
+   */
+  async waitForLoad(tabId, timeoutMs = 10000, quietMs = 500) {
     const startTime = Date.now();
+    let loaded = null;
     while (Date.now() - startTime < timeoutMs) {
       try {
         const result = await this._executeScript(tabId, () => ({
           loaded: document.readyState === 'complete',
           ready_state: document.readyState
         }));
-        if (result.loaded) return result;
+        if (result.loaded) {
+          loaded = result;
+          break;
+        }
       } catch {
         // Tab might be navigating, wait and retry
       }
       await new Promise(r => setTimeout(r, 200));
     }
-    return { loaded: false, ready_state: 'timeout', error: 'Timeout waiting for page load' };
+    if (!loaded) return { loaded: false, ready_state: 'timeout', error: 'Timeout waiting for page load' };
+    if (!quietMs) return loaded;
+
+    const settled = await this.waitFor(tabId, { quietMs, timeoutMs: Math.max(timeoutMs - (Date.now() - startTime), quietMs) });
+    return { ...loaded, dom_settled: settled.met, settle_ms: settled.elapsed_ms, changes: settled.changes };
   }
 
-  async waitForElement(tabId, elementId, timeoutMs = 5000) {
-    const startTime = Date.now();
-    while (Date.now() - startTime < timeoutMs) {
-      const result = await this._executeScript(tabId, (elementId) => {
-        const element = document.querySelector(`[data-vish-id="${elementId}"]`);
-        return {
-          found: !!element,
-          elementId,
-          visible: element ? (element.offsetParent !== null) : false
-        };
-      }, [elementId]);
-      if (result.found) return result;
-      await new Promise(r => setTimeout(r, 200));
-    }
-    return { found: false, elementId, error: 'Timeout waiting for element' };
+  /**
+   * Wait for an element from READ_PAGE, or for elements matching a CSS selector, to appear or go away
+   * @param {{ elementId?: string, selector?: string, minCount?: number, gone?: boolean }} target
+   */
+  async waitForElement(tabId, target, timeoutMs = 5000) {
+    const result = await this.waitFor(tabId, { ...target, timeoutMs });
+    return target.elementId === undefined ? result : { found: !!result.element_found, elementId: target.elementId, ...result };
   }
 }
 
@@ -2,5 +2,18 @@ export const ContentAction = {
   EXTRACT_CONTENT: 'extractContent',
   CLICK_ELEMENT: 'clickElement',
   FILL_FORM: 'fillForm',
-  SCROLL_AND_WAIT: 'scrollAndWait'
+  SCROLL_AND_WAIT: 'scrollAndWait',
+  SELECT_OPTION: 'selectOption',
+  CHECK_CHECKBOX: 'checkCheckbox',
+  SUBMIT_FORM: 'submitForm',
+  ELEMENT_STATUS: 'elementStatus',
+  EXTRACT_TABLE: 'extractTable',
+  TYPE_TEXT: 'typeText',
+  HOVER_ELEMENT: 'hoverElement',
+  PRESS_KEY: 'pressKey',
+  DRAG_AND_DROP: 'dragAndDrop',
+  SHOW_ID_OVERLAY: 'showIdOverlay',
+  HIDE_ID_OVERLAY: 'hideIdOverlay',
+  HIGHLIGHT_ELEMENTS: 'highlightElements',
+  WAIT_FOR_CONDITION: 'waitForCondition'
 };
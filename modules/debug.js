@@ -1,6 +1,7 @@
 /**
  * Debug Mode - Action execution with trace/critique visualization
  */
+import { formatCost } from './llm/pricing.js';
 
 // SVG icons for consistent rendering
 const ICONS = {
@@ -120,10 +121,11 @@ function hideParams() { els.params.classList.add('hidden'); }
 function getParams() {
   const params = {};
   els.params.querySelectorAll('[data-param]').forEach(el => {
-    if (el.value.trim()) {
-      try { params[el.dataset.param] = JSON.parse(el.value); }
-      catch { params[el.dataset.param] = el.value; }
-    }
+    if (!el.value.trim()) return;
+    // String params stay strings, so element IDs like "12" are not read as numbers
+    if (el.placeholder === 'string') { params[el.dataset.param] = el.value; return; }
+    try { params[el.dataset.param] = JSON.parse(el.value); }
+    catch { params[el.dataset.param] = el.value; }
   });
   return params;
 }
@@ -202,12 +204,14 @@ function renderNode(node) {
   const hasDetails = node.input || node.output || node.error || node.context || node.model || node.prompt;
   const icons = { action: 'A', step: 'S', function: 'F', llm: 'L', chrome: 'C', context: '{}', iteration: '?' };
   const icon = icons[node.type] || '?';
-  const statusIcon = { success: ICONS.check, error: ICONS.x, running: ICONS.dot }[node.status] || '';
+  const statusIcon = { success: ICONS.check, error: ICONS.x, cancelled: ICONS.x, timeout: ICONS.x, running: ICONS.dot }[node.status] || '';
   const statusClass = `trace-status-${node.status || 'pending'}`;
 
   const details = [];
   if (node.model) details.push(detailRow('MODEL', node.model));
   if (node.tokens) details.push(detailRow('TOKENS', `${node.tokens.input || 0} in / ${node.tokens.output || 0} out`));
+  if (node.cost) details.push(detailRow('COST', formatCost(node.cost)));
+  if (node.cached) details.push(detailRow('CACHE', 'hit, no model call made'));
   if (node.input) details.push(detailRow('INPUT', `<pre>${escapeHtml(JSON.stringify(node.input, null, 2))}</pre>`));
   if (node.prompt) details.push(detailRow('PROMPT', `<pre>${escapeHtml(node.prompt)}</pre>`));
   if (node.output) details.push(detailRow('RESULT', `<pre>${escapeHtml(JSON.stringify(node.output, null, 2))}</pre>`));
@@ -236,14 +240,14 @@ function detailRow(label, value) {
 
 function renderHistory() {
   els.history.innerHTML = state.history.map((run, i) => `
-    <div class="p-1.5 rounded text-xs cursor-pointer ${i === state.selected ? 'bg-primary/20' : 'hover:bg-base-300'} ${run.status === 'error' ? 'border-l-2 border-error' : ''}" data-idx="${i}">
+    <div class="p-1.5 rounded text-xs cursor-pointer ${i === state.selected ? 'bg-primary/20' : 'hover:bg-base-300'} ${run.status === 'error' ? 'border-l-2 border-error' : ['cancelled', 'timeout'].includes(run.status) ? 'border-l-2 border-warning' : ''}" data-idx="${i}">
       <div class="flex items-center gap-1">
         <span class="font-mono truncate flex-1">${run.action}</span>
         <button class="opacity-40 hover:opacity-100 hover:text-error text-xs" data-delete="${i}" title="Delete">×</button>
       </div>
       <div class="opacity-50 flex justify-between">
         <span>${formatTime(run.time)}</span>
-        <span>${run.duration ? formatDuration(run.duration) : ''}</span>
+        <span>${run.usage?.cost ? `${formatCost(run.usage.cost)} · ` : ''}${run.duration ? formatDuration(run.duration) : ''}</span>
       </div>
     </div>
   `).join('') || '<div class="opacity-30 text-center p-2">No runs yet</div>';
@@ -348,7 +352,7 @@ async function loadStoredTraces() {
     if (res.traces?.length) {
       state.history = res.traces.map(t => ({
         id: t.runId, action: t.actionName, params: t.params, time: new Date(t.timestamp),
-        status: t.status, duration: t.duration, trace: t.trace, error: t.error, critique: t.critique
+        status: t.status, duration: t.duration, usage: t.usage, trace: t.trace, error: t.error, critique: t.critique
       }));
       renderHistory();
     }
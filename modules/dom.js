@@ -3,6 +3,7 @@ export const elements = {
   chatContainer: document.getElementById('chatContainer'),
   messageInput: document.getElementById('messageInput'),
   sendButton: document.getElementById('sendButton'),
+  stopButton: document.getElementById('stopButton'),
   settingsPanel: document.getElementById('settingsPanel'),
   settingsToggle: document.getElementById('settingsToggle'),
   headerTitle: document.getElementById('headerTitle'),
@@ -18,6 +19,7 @@ export const elements = {
   // Endpoints
   endpointsList: document.getElementById('endpointsList'),
   addEndpointBtn: document.getElementById('addEndpointBtn'),
+  localOnlyToggle: document.getElementById('localOnlyToggle'),
 
   // Model configuration
   modelsBody: document.getElementById('modelsBody'),
@@ -41,5 +43,9 @@ export const elements = {
   zoomOut: document.getElementById('zoomOut'),
   zoomLevel: document.getElementById('zoomLevel'),
   zoomSlider: document.getElementById('zoomSlider'),
+  overlayHighlightToggle: document.getElementById('overlayHighlightToggle'),
+  overlayShowIdsToggle: document.getElementById('overlayShowIdsToggle'),
+  overlayDelaySlider: document.getElementById('overlayDelaySlider'),
+  overlayDelayLevel: document.getElementById('overlayDelayLevel'),
   resetUiBtn: document.getElementById('resetUiBtn')
 };
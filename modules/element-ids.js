@@ -0,0 +1,96 @@
+/**
+ * Element IDs - Stable IDs for the elements READ_PAGE lists, and what each ID was when handed out
+ * The content script describes an element by its fingerprint parts: { kind, role, text, label, editable, href, id, name, path },
+ * path being its DOM path and label its accessible name or placeholder. The ID is a hash of those parts, so an
+ * unchanged element keeps its ID between reads; '.<n>' numbers repeats of the same fingerprint within one read.
+ * An editable field's text is whatever was typed into it, so its label stands in for the text
+ */
+
+// FNV-1a, as five base-36 characters
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  return ((hash >>> 0) % 36 ** 5).toString(36).padStart(5, '0');
+}
+
+// The text that identifies an element: typing into a field must not change its ID
+export const identifyingText = ({ text, label, editable }) => (editable ? label : text);
+
+export const fingerprintOf = parts => {
+  const { kind, role, href, id, name, path } = parts;
+  return [kind, role, identifyingText(parts), href, id, name, path].join('|');
+};
+
+// ID without the repeat number; prefix places it, e.g. the shadow roots the element sits in
+export const baseId = (prefix, parts) => prefix + hashText(fingerprintOf(parts));
+
+export class IdRegistry {
+  constructor(maxIssued = 5000) {
+    this.maxIssued = maxIssued;
+    this.issued = new Map(); // id -> { kind, base, fingerprint, unique, role, text, path }
+    this.seenBases = new Map(); // base -> times used since the last extraction
+  }
+
+  // Repeats are numbered afresh for each extraction
+  startExtraction() {
+    this.seenBases = new Map();
+  }
+
+  /**
+   * ID an element for this extraction and remember what it was; the oldest records go past maxIssued
+   * @returns {string} e.g. 'k2x9q', or 'k2x9q.1' for the second element with that fingerprint
+   */
+  issue(prefix, parts) {
+    const fingerprint = fingerprintOf(parts);
+    const base = prefix + hashText(fingerprint);
+    const repeat = this.seenBases.get(base) || 0;
+    this.seenBases.set(base, repeat + 1);
+    if (repeat === 1 && this.issued.has(base)) this.issued.get(base).unique = false;
+
+    const id = repeat ? `${base}.${repeat}` : base;
+    this.issued.delete(id);
+    this.issued.set(id, { kind: parts.kind, base, fingerprint, unique: !repeat, role: parts.role, text: identifyingText(parts), path: parts.path });
+    if (this.issued.size > this.maxIssued) this.issued.delete(this.issued.keys().next().value);
+    return id;
+  }
+
+  record(id) {
+    return this.issued.get(id);
+  }
+}
+
+/**
+ * The one candidate an element re-rendered since its record could be: same kind and fingerprint
+ * Only a record that was unique when issued is refound, and only when exactly one candidate matches
+ * @param {Array<{ item: *, prefix: string, parts: Object }>} candidates
+ * @returns {*} The matching item, or null
+ */
+export function refind(record, candidates) {
+  if (!record.unique) return null;
+  const matches = candidates.filter(({ prefix, parts }) => parts.kind === record.kind && baseId(prefix, parts) === record.base);
+  return matches.length === 1 ? matches[0].item : null;
+}
+
+// How much an element looks like the recorded one: text 3 for equal, 2 for contained; 1 each for DOM path and role
+export function similarity(record, parts) {
+  const { role, path } = parts;
+  const wanted = (record.text || '').toLowerCase();
+  const have = (identifyingText(parts) || '').toLowerCase();
+  const textScore = !wanted || !have ? 0 : have === wanted ? 3 : have.includes(wanted) || wanted.includes(have) ? 2 : 0;
+  return textScore + (path === record.path) + (!!record.role && role === record.role);
+}
+
+/**
+ * Likely replacements for a stale element, best first
+ * @param {Array<{ item: *, parts: Object }>} candidates - Elements of any kind; other kinds are left out
+ * @returns {Array<*>} Up to limit items with some likeness
+ */
+export function similarCandidates(record, candidates, limit = 3) {
+  return candidates
+    .filter(({ parts }) => parts.kind === record.kind)
+    .map(({ item, parts }) => ({ item, score: similarity(record, parts) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
@@ -0,0 +1,84 @@
+/**
+ * Element ID tests - Run: npx tsx modules/element-ids.test.ts
+ */
+import { IdRegistry, baseId, fingerprintOf, hashText, refind, similarCandidates, similarity } from './element-ids.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const button = (text: string, extra = {}) => ({ kind: 'button', role: null, text, href: null, id: '', name: null, path: '#form>button', ...extra });
+
+// Fingerprints: same parts, same ID across reads and registries; any part changes it
+assert(/^[0-9a-z]{5}$/.test(hashText('button||Save')), 'five base-36 characters');
+const first = new IdRegistry();
+const save = first.issue('', button('Save'));
+first.startExtraction();
+assert(first.issue('', button('Save')) === save && new IdRegistry().issue('', button('Save')) === save, 'unchanged element keeps its ID');
+assert(baseId('', button('Save!')) !== save && baseId('', button('Save', { path: 'div>button' })) !== save, 'text and DOM path change the ID');
+assert(first.issue('s0/', button('Save')) === `s0/${save}`, 'shadow path prefixed');
+
+// Repeats within one read are numbered, and none of them is unique
+const registry: any = new IdRegistry();
+const repeats = [registry.issue('', button('Add')), registry.issue('', button('Add')), registry.issue('', button('Add'))];
+assert(repeats[1] === `${repeats[0]}.1` && repeats[2] === `${repeats[0]}.2`, 'repeats numbered .1, .2');
+assert(!registry.record(repeats[0]).unique && !registry.record(repeats[2]).unique, 'repeated fingerprints not unique');
+registry.startExtraction();
+assert(registry.issue('', button('Add')) === repeats[0], 'numbering restarts each extraction');
+assert(registry.record(save) === undefined && first.record(save).text === 'Save', 'records kept per registry');
+
+// Records past the limit are forgotten oldest first
+const small: any = new IdRegistry(2);
+const [a, b, c] = ['A', 'B', 'C'].map(text => small.issue('', button(text)));
+assert(!small.record(a) && small.record(b) && small.record(c), 'oldest record dropped');
+
+// Refinding a re-rendered element: only a unique record, only one match
+const record: any = first.record(save);
+const rerendered = [
+  { item: 'other', prefix: '', parts: button('Cancel') },
+  { item: 'save', prefix: '', parts: button('Save') }
+];
+assert(refind(record, rerendered) === 'save', 'unique match refound');
+assert(refind(record, [...rerendered, { item: 'copy', prefix: '', parts: button('Save') }]) === null, 'two matches: not refound');
+assert(refind(record, [{ item: 'link', prefix: '', parts: button('Save', { kind: 'link' }) }]) === null, 'other kind not refound');
+assert(refind(registry.record(repeats[1]), [{ item: 'x', prefix: '', parts: button('Add') }]) === null, 'repeated record never refound');
+
+// Editor text changed, same element resolves: a field's label identifies it, not what was typed into it
+const editor = (text: string, extra = {}) => ({ kind: 'input', role: 'textbox', text, label: 'Message', editable: true, href: null, id: '', name: null, path: '#chat>div', ...extra });
+const editors: any = new IdRegistry();
+const message = editors.issue('', editor(''));
+assert(fingerprintOf(editor('Hello there')) === editors.record(message).fingerprint, 'typing keeps the fingerprint');
+assert(refind(editors.record(message), [{ item: 'editor', prefix: '', parts: editor('Hello there') }]) === 'editor', 're-rendered editor refound');
+assert(baseId('', editor('', { label: 'Search' })) !== message, 'another label, another ID');
+assert(baseId('', button('Hi')) !== baseId('', button('Hello')), 'text still identifies other elements');
+
+// Type then act on the same editor ID: TYPE_TEXT, then PRESS_KEY or another TYPE_TEXT, then a fresh READ_PAGE
+const page: any = new IdRegistry();
+const composer = page.issue('', editor('', { path: '#composer>div' }));
+const resolves = (typed: string) => fingerprintOf(editor(typed, { path: '#composer>div' })) === page.record(composer).fingerprint;
+assert(resolves('Draft reply') && resolves('Draft reply, longer\nsecond line'), 'editor ID still resolves after each typing step');
+page.startExtraction();
+assert(page.issue('', editor('Draft reply', { path: '#composer>div' })) === composer, 'next read keeps the editor ID');
+
+// Candidates for a stale element: same kind, ranked by text, then path and role
+const wanted: any = { kind: 'button', role: 'tab', text: 'Settings', path: '#nav>div' };
+assert(similarity(wanted, { role: 'tab', text: 'settings', path: '#nav>div' }) === 5, 'text, path and role add up');
+const ranked = similarCandidates(wanted, [
+  { item: 'path', parts: { kind: 'button', text: 'Help', path: '#nav>div' } },
+  { item: 'partial', parts: { kind: 'button', text: 'Account settings', path: 'main>div' } },
+  { item: 'exact', parts: { kind: 'button', text: 'Settings', path: 'main>div' } },
+  { item: 'link', parts: { kind: 'link', text: 'Settings', path: '#nav>div' } },
+  { item: 'none', parts: { kind: 'button', text: 'Log out', path: 'footer>a' } }
+]);
+assert(ranked.join() === 'exact,partial,path', 'best first, other kinds and no likeness left out');
+
+if (failed) {
+  console.error(`\n${failed} element ID test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All element ID tests passed');
+}
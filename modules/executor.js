@@ -5,48 +5,47 @@
  */
 import { getBrowserStateBundle } from './chrome-api.js';
 import { generate } from './llm/index.js';
+import { extractPartialString } from './llm/stream.js';
+import { imageMessage } from './llm/multimodal.js';
 import { actionsRegistry, resolveStepTemplates } from './actions/index.js';
 import { tracer, createTracedGenerate } from './trace-collector.js';
+import { validateSchema, formatSchemaError } from './json-schema.js';
 
-const TIMEOUT_MS = 20000;
-
-const TYPE_CHECKS = {
-  string: v => typeof v === 'string',
-  number: v => typeof v === 'number',
-  boolean: v => typeof v === 'boolean',
-  array: v => Array.isArray(v),
-  object: v => typeof v === 'object' && !Array.isArray(v)
-};
-
-function validateParams(params, schema) {
-  const errors = [];
-  for (const field of schema.required || []) {
-    if (!(field in params) || params[field] === undefined) errors.push(`Missing required field: ${field}`);
-  }
-  for (const [key, prop] of Object.entries(schema.properties || {})) {
-    if (key in params && params[key] !== undefined && TYPE_CHECKS[prop.type] && !TYPE_CHECKS[prop.type](params[key])) {
-      errors.push(`Field ${key} must be a ${prop.type}`);
-    }
-  }
-  return { valid: !errors.length, errors };
-}
+const DEFAULT_STEP_TIMEOUT_MS = 20000;
+const TASK_TIMEOUT_MS = 5 * 60 * 1000;
 
 /**
  * Execute an action
  * @param {object} action - Action definition
  * @param {object} params - Input parameters (may include _parentTraceUUID for child actions)
  * @param {array} parent_messages - Conversation history for multi-turn
+ * @param {object} options - Run-wide options shared with child actions
+ * @param {function} options.onStream - Receives { type: 'text', text } and { type: 'tool_call', name } as LLMs generate
+ * @param {AbortSignal} options.signal - Aborts the run; errors thrown after abort carry isCancelled
+ * @param {function} options.onTrace - Live tracer events for the run (see tracer.watch), registered by the root action
+ * @param {number} options.deadline - Absolute task deadline (ms epoch); the root action sets one if missing
  * @returns {object} Result with _traceUUID for trace retrieval
+ * @throws {Error} With _traceUUID of this action so callers can store the partial trace
  */
-export async function executeAction(action, params, parent_messages = null) {
+export async function executeAction(action, params, parent_messages = null, options = {}) {
   // Extract trace UUID from params, start new action linked to parent
   const { _parentTraceUUID, ...cleanParams } = params;
   const actionUUID = tracer.startAction(_parentTraceUUID || null, action.name, cleanParams);
+  if (!_parentTraceUUID && options.onTrace) tracer.watch(actionUUID, options.onTrace);
+
+  // Deadlines are absolute: the task's is fixed by the root action, while an action's
+  // timeout_ms narrows the deadline seen by its own steps and child actions
+  const now = Date.now();
+  options = {
+    ...options,
+    deadline: options.deadline ?? now + TASK_TIMEOUT_MS,
+    ...(action.timeout_ms && { actionDeadline: Math.min(options.actionDeadline ?? Infinity, now + action.timeout_ms) })
+  };
 
   if (action.input_schema) {
-    const { valid, errors } = validateParams(cleanParams, action.input_schema);
-    if (!valid) {
-      const error = new Error(`Validation failed for ${action.name}: ${errors.join(', ')}`);
+    const errors = validateSchema(cleanParams, action.input_schema);
+    if (errors.length) {
+      const error = new Error(`Validation failed for ${action.name}: ${errors.map(formatSchemaError).join(', ')}`);
       Object.assign(error, { isValidationError: true, validationErrors: errors });
       tracer.endAction(actionUUID, null, error);
       throw error;
@@ -64,18 +63,20 @@ export async function executeAction(action, params, parent_messages = null) {
     });
 
     try {
+      throwIfCancelled(options.signal);
       let stepOutput;
       const startTime = performance.now();
 
       switch (step.type) {
         case 'function': {
-          stepOutput = await withTimeout(step.handler(context), TIMEOUT_MS);
+          const timeoutMs = typeof step.timeout_ms === 'function' ? step.timeout_ms(context) : step.timeout_ms;
+          stepOutput = await withTimeout(signal => step.handler({ ...context, signal }), timeoutMs ?? DEFAULT_STEP_TIMEOUT_MS, options);
           const duration = performance.now() - startTime;
           tracer.traceFunction(stepUUID, step.handler?.name || 'anonymous', context, stepOutput, duration);
           break;
         }
         case 'llm': {
-          stepOutput = await executeLLMStep(step, context);
+          stepOutput = await executeLLMStep(step, context, options, action.cacheable);
           break;
         }
         case 'action': {
@@ -83,7 +84,8 @@ export async function executeAction(action, params, parent_messages = null) {
           stepOutput = await executeAction(
             actionsRegistry[step.action],
             { ...context, _parentTraceUUID: actionUUID },
-            context.parent_messages
+            context.parent_messages,
+            options
           );
           break;
         }
@@ -103,7 +105,11 @@ export async function executeAction(action, params, parent_messages = null) {
     } catch (error) {
       tracer.endStep(stepUUID, null, error);
       tracer.endAction(actionUUID, null, error);
-      throw new Error(`Step ${i + 1} failed: ${error.message}`);
+      if (endsRun(error)) throw Object.assign(error, { _traceUUID: actionUUID });
+      throw Object.assign(new Error(`Step ${i + 1} failed: ${error.message}`), {
+        _traceUUID: actionUUID,
+        ...(error.isTimeout && { isTimeout: true, timeoutScope: error.timeoutScope })
+      });
     }
   }
 
@@ -117,7 +123,7 @@ export async function executeAction(action, params, parent_messages = null) {
   return result;
 }
 
-async function executeLLMStep(step, parent_context) {
+async function executeLLMStep(step, parent_context, options, cacheable = false) {
   const { intelligence, output_schema, tool_choice, skip_if } = step;
   const traceUUID = parent_context._traceUUID;
   const context = { ...parent_context, browser_state: await getBrowserStateBundle(), stop_action: tool_choice?.stop_action };
@@ -131,13 +137,18 @@ async function executeLLMStep(step, parent_context) {
   const userMsg = renderMessage(context);
 
   const tracedGenerate = createTracedGenerate(generate, traceUUID);
+  const streamHandler = buildStreamHandler(step, options.onStream);
+  // Nothing more reaches the chat once a call is aborted
+  const deltasUntil = signal => streamHandler && ((...args) => !signal.aborted && streamHandler(...args));
+  const { signal } = options;
+  const timeoutMs = step.timeout_ms ?? DEFAULT_STEP_TIMEOUT_MS;
 
-  // Single-turn: no tool_choice
+  // Single-turn: no tool_choice; cacheable actions may reuse the answer to an identical prompt
   if (!tool_choice) {
-    const result = await withTimeout(tracedGenerate({
+    const result = await withTimeout(callSignal => tracedGenerate({
       messages: [{ role: 'system', content: sysPrompt }, { role: 'user', content: userMsg }],
-      intelligence, schema: output_schema
-    }), TIMEOUT_MS);
+      intelligence, schema: output_schema, onDelta: deltasUntil(callSignal), signal: callSignal, cache: cacheable || undefined
+    }), timeoutMs, options);
     return { result };
   }
 
@@ -145,11 +156,14 @@ async function executeLLMStep(step, parent_context) {
   const { available_actions, stop_action, max_iterations } = tool_choice;
   const tools = buildTools(available_actions);
   let conversation = [{ role: 'system', content: sysPrompt }, { role: 'user', content: userMsg }];
-  const addToolResult = (id, content) => conversation.push({ role: 'tool', tool_call_id: id, content: JSON.stringify(content) });
 
   for (let turn = 0; turn < max_iterations; turn++) {
+    throwIfCancelled(signal);
     tracer.traceIteration(traceUUID, turn, max_iterations);
-    const response = await withTimeout(tracedGenerate({ messages: conversation, intelligence, tools }), TIMEOUT_MS);
+    const response = await withTimeout(
+      callSignal => tracedGenerate({ messages: conversation, intelligence, tools, onDelta: deltasUntil(callSignal), signal: callSignal }),
+      timeoutMs, options
+    );
 
     if (!response.tool_calls?.length) {
       tracer.traceWarning(traceUUID, 'LLM returned text instead of tool call', { content: response.content });
@@ -160,33 +174,141 @@ async function executeLLMStep(step, parent_context) {
 
     conversation.push({ role: 'assistant', content: null, tool_calls: response.tool_calls });
 
-    for (const call of response.tool_calls) {
-      const toolName = call.function.name;
-      let args;
-      try { args = JSON.parse(call.function.arguments); }
-      catch { addToolResult(call.id, { error: 'Invalid JSON in arguments' }); break; }
+    const turnResult = await runToolCalls(response.tool_calls, { conversation, traceUUID, stop_action, options });
+    if (turnResult.stop) return { result: turnResult.stop.result };
+    conversation = turnResult.conversation;
+
+    conversation.push({ role: 'user', content: renderMessage({ ...context, browser_state: await getBrowserStateBundle() }) });
+  }
+
+  tracer.traceWarning(traceUUID, 'Max iterations reached', { max_iterations });
+  const stopRes = await executeAction(actionsRegistry[stop_action], { justification: 'Max iterations reached', _parentTraceUUID: traceUUID }, conversation, options);
+  return { result: stopRes.result };
+}
+
+/**
+ * Run one turn's tool calls; every call gets exactly one tool message, in call order
+ * Consecutive read_only actions run concurrently, everything else one at a time.
+ * Screenshots in results (_image) follow the tool messages as image messages.
+ * After a failure the remaining calls are skipped, since later calls usually depend on earlier ones
+ * @returns {{ conversation: array, stop?: object }} stop holds the stop action's output when it ran
+ */
+export async function runToolCalls(toolCalls, { conversation, traceUUID, stop_action, options }) {
+  let failed = false;
+  const images = [];
 
-      const action = actionsRegistry[toolName];
-      if (!action) { addToolResult(call.id, { error: `Unknown action: ${toolName}` }); break; }
+  for (const batch of planToolBatches(toolCalls.map(parseToolCall))) {
+    if (failed) {
+      batch.forEach(({ call }) => conversation.push(toolMessage(call.id, SKIPPED_TOOL_RESULT)));
+      continue;
+    }
 
+    // Each call in a batch sees the same conversation; tool messages are appended once all settle
+    const snapshot = conversation;
+    const outcomes = await Promise.all(batch.map(async ({ call, action, args, error }) => {
+      if (error) return { error };
       try {
         // Tool actions: parent is current step's trace UUID
-        const res = await executeAction(action, { ...args, _parentTraceUUID: traceUUID }, conversation);
-        if (toolName === stop_action) return { result: res.result };
-        if (res.parent_messages) conversation = res.parent_messages;
-        addToolResult(call.id, res.result);
+        return { res: await executeAction(action, { ...args, _parentTraceUUID: traceUUID }, snapshot, options) };
       } catch (err) {
-        addToolResult(call.id, err.isValidationError ? { error: 'Validation failed', details: err.validationErrors } : { error: err.message });
-        break;
+        if (endsRun(err)) throw err;
+        return { error: err.isValidationError ? validationToolResult(action, err.validationErrors) : { error: err.message } };
       }
+    }));
+
+    // Actions hand back the conversation they saw, and a read may return it with earlier reads compressed.
+    // Every call saw the same one, so the last rewrite stands and the whole batch's tool messages follow it
+    const rewritten = outcomes.map(outcome => outcome.res?.parent_messages).filter(m => m && m !== snapshot).at(-1);
+    if (rewritten) conversation = [...rewritten];
+
+    for (const [i, { res, error }] of outcomes.entries()) {
+      const { call, action } = batch[i];
+      if (error) {
+        failed = true;
+        conversation.push(toolMessage(call.id, error));
+        continue;
+      }
+      if (action.name === stop_action) return { conversation, stop: res };
+      const { result, image } = splitImage(res.result);
+      conversation.push(toolMessage(call.id, result));
+      if (image) images.push(imageMessage(image, `Screenshot from ${action.name} (tool call ${call.id})`));
     }
+  }
 
-    conversation.push({ role: 'user', content: renderMessage({ ...context, browser_state: await getBrowserStateBundle() }) });
+  // Tool messages must directly follow the assistant's calls, so images come after all of them
+  return { conversation: images.length ? [...conversation, ...images] : conversation };
+}
+
+// A result's _image (a data URL) is sent as an image message rather than inside the tool JSON
+function splitImage(result) {
+  if (!result?._image) return { result };
+  const { _image, ...rest } = result;
+  return { result: { ...rest, image: 'attached in the next message' }, image: _image };
+}
+
+const SKIPPED_TOOL_RESULT = { error: 'Skipped: an earlier tool call in this turn failed', skipped: true };
+
+const toolMessage = (id, content) => ({ role: 'tool', tool_call_id: id, content: JSON.stringify(content) });
+
+function parseToolCall(call) {
+  let args;
+  try { args = JSON.parse(call.function.arguments || '{}'); }
+  catch { return { call, error: { error: 'Invalid JSON in arguments' } }; }
+
+  const action = actionsRegistry[call.function.name];
+  if (!action) return { call, error: { error: `Unknown action: ${call.function.name}` } };
+  return { call, action, args };
+}
+
+// Group consecutive read-only calls into concurrent batches; a second call on the same tab,
+// or any side-effecting call, starts a new batch
+export function planToolBatches(parsed) {
+  const batches = [];
+  let current = null;
+  let tabs = new Set();
+
+  for (const entry of parsed) {
+    const tab = entry.args?.tabId;
+    const joinable = current && entry.action?.read_only && !(tab !== undefined && tabs.has(tab));
+    if (!joinable) {
+      current = [];
+      tabs = new Set();
+      batches.push(current);
+    }
+    current.push(entry);
+    if (tab !== undefined) tabs.add(tab);
+    // Side-effecting (or unparseable) calls stay alone in their batch
+    if (!entry.action?.read_only) current = null;
   }
+  return batches;
+}
 
-  tracer.traceWarning(traceUUID, 'Max iterations reached', { max_iterations });
-  const stopRes = await executeAction(actionsRegistry[stop_action], { justification: 'Max iterations reached', _parentTraceUUID: traceUUID }, conversation);
-  return { result: stopRes.result };
+// Tool result for rejected arguments: details hold JSON-pointer paths into the call's arguments
+const validationToolResult = (action, errors) => ({
+  error: `Invalid arguments for ${action.name}. Fix the listed paths and call it again.`,
+  details: errors
+});
+
+/**
+ * Map raw LLM deltas to user-facing stream events
+ * Schema steps with stream_field emit the field's partial text; tool steps emit tool names
+ */
+function buildStreamHandler(step, onStream) {
+  if (!onStream) return undefined;
+  if (step.stream_field) {
+    return (_delta, snapshot) => {
+      const text = extractPartialString(snapshot.content, step.stream_field);
+      if (text) onStream({ type: 'text', text });
+    };
+  }
+  if (step.tool_choice) {
+    return (delta) => {
+      for (const call of delta.tool_calls) {
+        if (call.function?.name) onStream({ type: 'tool_call', name: call.function.name });
+      }
+    };
+  }
+  return undefined;
 }
 
 function buildTools(availableActions) {
@@ -211,7 +333,53 @@ export function unwrapFinalAnswer(result) {
   return inner?.final_answer || inner?.result?.final_answer || JSON.stringify(inner);
 }
 
-const withTimeout = (promise, ms) => Promise.race([
-  promise,
-  new Promise((_, reject) => setTimeout(() => reject(new Error(`Timeout ${ms}ms`)), ms))
-]);
+const cancelledError = () => Object.assign(new Error('Cancelled by user'), { isCancelled: true });
+
+const TIMEOUT_MESSAGES = {
+  step: ms => `Timeout ${ms}ms`,
+  action: () => 'Action deadline exceeded',
+  task: () => 'Task deadline exceeded'
+};
+
+const timeoutError = (scope, stepMs) => Object.assign(new Error(TIMEOUT_MESSAGES[scope](stepMs)), {
+  name: 'TimeoutError', isTimeout: true, timeoutScope: scope
+});
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw cancelledError();
+}
+
+// Cancellation and the task deadline stop the whole run instead of failing one tool call
+const endsRun = error => error.isCancelled || error.timeoutScope === 'task';
+
+// Tightest of the step timeout, the action deadline and the task deadline
+function timeBudget(stepMs, { actionDeadline = Infinity, deadline = Infinity }) {
+  const now = Date.now();
+  return [
+    { scope: 'step', ms: stepMs },
+    { scope: 'action', ms: actionDeadline - now },
+    { scope: 'task', ms: deadline - now }
+  ].reduce((tightest, b) => (b.ms < tightest.ms ? b : tightest));
+}
+
+/**
+ * Run work(signal), settling with its result, a timeout error, or a cancellation error - whichever comes first
+ * The signal given to work aborts on the deadline and on the caller's signal, so the work itself stops
+ * @param {(signal: AbortSignal) => Promise<*>} work
+ */
+export const withTimeout = (work, stepMs, { signal, ...deadlines } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(cancelledError());
+  const { scope, ms } = timeBudget(stepMs, deadlines);
+  const controller = new AbortController();
+  const stop = error => {
+    controller.abort(error);
+    reject(error);
+  };
+  const onAbort = () => stop(cancelledError());
+  const timer = setTimeout(() => stop(timeoutError(scope, stepMs)), Math.max(0, ms));
+  signal?.addEventListener('abort', onAbort, { once: true });
+  Promise.resolve().then(() => work(controller.signal)).then(resolve, reject).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+});
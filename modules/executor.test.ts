@@ -0,0 +1,87 @@
+/**
+ * Tool call batching tests: planToolBatches grouping, runToolCalls message order
+ * Run: npx tsx modules/executor.test.ts
+ */
+export {};
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+(globalThis as any).chrome = { storage: { local: { get: async () => ({}), set: async () => {} } } };
+
+const { actionsRegistry } = await import('./actions/index.js');
+const { planToolBatches, runToolCalls, withTimeout, executeAction } = await import('./executor.js') as any;
+
+// Stand-ins: a read that rewrites the conversation it saw, as READ_PAGE does, a plain read and a write
+const stub = (name: string, read_only: boolean, handler: (ctx: any) => any) => ({
+  name, description: name, read_only, examples: [],
+  input_schema: { type: 'object', properties: { tabId: { type: 'number' } }, additionalProperties: true },
+  steps: [{ type: 'function', handler: async (ctx: any) => handler(ctx) }]
+});
+const registry = actionsRegistry as Record<string, any>;
+registry.TEST_READ = stub('TEST_READ', true, ctx => ({
+  result: { read: ctx.tabId },
+  parent_messages: ctx.parent_messages.map((m: any) => (m.role === 'tool' ? { ...m, content: '"compressed"' } : m))
+}));
+registry.TEST_STATE = stub('TEST_STATE', true, ctx => ({ result: { state: ctx.tabId } }));
+registry.TEST_WRITE = stub('TEST_WRITE', false, () => ({ result: { done: true } }));
+
+const call = (id: string, name: string, args: object) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+const parse = (calls: any[]) => calls.map(c => ({ call: c, action: registry[c.function.name], args: JSON.parse(c.function.arguments) }));
+
+// Batching: reads on different tabs run together; a repeat tab or a write starts a new batch
+const sizes = (calls: any[]) => planToolBatches(parse(calls)).map((batch: any[]) => batch.length).join();
+assert(sizes([call('a', 'TEST_STATE', { tabId: 1 }), call('b', 'TEST_READ', { tabId: 2 })]) === '2', 'reads on different tabs batched');
+assert(sizes([call('a', 'TEST_READ', { tabId: 1 }), call('b', 'TEST_READ', { tabId: 1 })]) === '1,1', 'same tab runs in order');
+assert(sizes([call('a', 'TEST_READ', { tabId: 1 }), call('b', 'TEST_WRITE', { tabId: 2 }), call('c', 'TEST_STATE', { tabId: 3 })]) === '1,1,1', 'writes stay alone');
+
+// A mixed read-only batch: the rewrite is kept and every call gets its tool message, in call order
+const history = [
+  { role: 'user', content: 'go' },
+  { role: 'assistant', content: null, tool_calls: [call('old', 'TEST_READ', { tabId: 9 })] },
+  { role: 'tool', tool_call_id: 'old', content: '{"read":9}' }
+];
+const calls = [call('s1', 'TEST_STATE', { tabId: 1 }), call('r2', 'TEST_READ', { tabId: 2 }), call('s3', 'TEST_STATE', { tabId: 3 })];
+const { conversation } = await runToolCalls(calls, {
+  conversation: [...history, { role: 'assistant', content: null, tool_calls: calls }], traceUUID: null, stop_action: 'FINAL_RESPONSE', options: {}
+});
+const replies = conversation.filter((m: any) => m.role === 'tool').map((m: any) => m.tool_call_id);
+assert(replies.join() === 'old,s1,r2,s3', 'one tool message per call, in call order');
+assert(conversation[2].content === '"compressed"', 'earlier read compressed by the batch');
+assert(JSON.parse(conversation.at(-1).content).state === 3 && JSON.parse(conversation.at(-2).content).read === 2, 'results match their calls');
+
+// A failure skips the rest of the turn but still answers every call
+const withError = [call('w1', 'TEST_WRITE', {}), call('x', 'NO_SUCH_ACTION', {}), call('s2', 'TEST_STATE', { tabId: 1 })];
+const after = (await runToolCalls(withError, { conversation: [], traceUUID: null, stop_action: 'FINAL_RESPONSE', options: {} })).conversation;
+assert(after.map((m: any) => m.tool_call_id).join() === 'w1,x,s2' && JSON.parse(after[2].content).skipped, 'calls after a failure skipped');
+
+// A timeout aborts the work's signal, so the generate call behind it stops too
+let generateSignal: AbortSignal | undefined;
+const hangingGenerate = ({ signal }: { signal: AbortSignal }) => new Promise(() => { generateSignal = signal; });
+const timedOut = await withTimeout((signal: AbortSignal) => hangingGenerate({ signal }), 20, {}).catch((e: any) => e);
+assert(timedOut.isTimeout && timedOut.timeoutScope === 'step' && generateSignal?.aborted === true, 'generate signal aborted on timeout');
+assert((generateSignal as any).reason === timedOut, 'abort reason is the timeout');
+
+// So does cancelling the run
+const run = new AbortController();
+const cancelled = withTimeout((signal: AbortSignal) => hangingGenerate({ signal }), 5000, { signal: run.signal }).catch((e: any) => e);
+run.abort();
+assert((await cancelled).isCancelled && generateSignal?.aborted === true, 'generate signal aborted on cancel');
+
+// Function steps get the signal as ctx.signal
+let handlerSignal: AbortSignal | undefined;
+const slow = { ...stub('TEST_SLOW', true, () => ({})), steps: [{ type: 'function', timeout_ms: 20, handler: (ctx: any) => new Promise(() => { handlerSignal = ctx.signal; }) }] };
+const stepError = await executeAction(slow, {}, null, {}).catch((e: any) => e);
+assert(stepError.isTimeout && handlerSignal?.aborted === true, 'step handler signal aborted on timeout');
+
+if (failed) {
+  console.error(`\n${failed} executor test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All executor tests passed');
+}
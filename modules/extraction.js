@@ -4,6 +4,7 @@ import { saveExtraction, logAction } from './storage.js';
 import { addMessage } from './chat.js';
 import { switchToTab, loadTabContent } from './history.js';
 import { ContentAction } from './content-actions.js';
+import { buildTable } from './tables.js';
 
 function isSpecialPage(url) {
   return url.startsWith('chrome://') ||
@@ -24,9 +25,10 @@ function setExtractButtonState(isLoading) {
   elements.extractButton.innerHTML = isLoading ? EXTRACT_ICONS.LOADING : EXTRACT_ICONS.DEFAULT;
 }
 
+// The content script runs in every frame; the Extract panel reads the top one
 async function extractFromTab(tab) {
   try {
-    return await chrome.tabs.sendMessage(tab.id, { action: ContentAction.EXTRACT_CONTENT });
+    return await chrome.tabs.sendMessage(tab.id, { action: ContentAction.EXTRACT_CONTENT }, { frameId: 0 });
   } catch (error) {
     // Content script not found, injecting
     await chrome.scripting.executeScript({
@@ -34,7 +36,19 @@ async function extractFromTab(tab) {
       files: ['content.js']
     });
     await sleep(100);
-    return await chrome.tabs.sendMessage(tab.id, { action: ContentAction.EXTRACT_CONTENT });
+    return await chrome.tabs.sendMessage(tab.id, { action: ContentAction.EXTRACT_CONTENT }, { frameId: 0 });
+  }
+}
+
+const MAX_TABLE_ROWS = 200;
+
+// Tables of the top frame for CSV export; extractFromTab has made sure the content script is there
+async function extractTablesFromTab(tab) {
+  try {
+    const reply = await chrome.tabs.sendMessage(tab.id, { action: ContentAction.EXTRACT_TABLE, maxRows: MAX_TABLE_ROWS }, { frameId: 0 });
+    return (reply?.tables || []).map(raw => buildTable(raw, MAX_TABLE_ROWS));
+  } catch {
+    return [];
   }
 }
 
@@ -49,6 +63,7 @@ async function performExtraction() {
     }
 
     const extraction = await extractFromTab(tab);
+    extraction.tables = await extractTablesFromTab(tab);
     extraction.timestamp = new Date().toISOString();
     extraction.tabTitle = tab.title;
 
@@ -0,0 +1,81 @@
+/**
+ * JSON Schema validation - The subset action schemas declare
+ * type, enum, properties, required, additionalProperties, items, plus numeric/length bounds
+ * Errors carry RFC 6901 JSON pointers so the model can locate and fix the bad argument
+ */
+
+const TYPE_CHECKS = {
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  array: v => Array.isArray(v),
+  object: v => typeof v === 'object' && v !== null && !Array.isArray(v),
+  null: v => v === null
+};
+
+const BOUNDS = [
+  ['minimum', 'number', (v, n) => v >= n, n => `must be >= ${n}`],
+  ['maximum', 'number', (v, n) => v <= n, n => `must be <= ${n}`],
+  ['minLength', 'string', (v, n) => v.length >= n, n => `must have at least ${n} characters`],
+  ['maxLength', 'string', (v, n) => v.length <= n, n => `must have at most ${n} characters`],
+  ['minItems', 'array', (v, n) => v.length >= n, n => `must have at least ${n} items`],
+  ['maxItems', 'array', (v, n) => v.length <= n, n => `must have at most ${n} items`]
+];
+
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{ path: string, message: string }>} Empty when valid; path is a JSON pointer ('' is the root)
+ */
+export function validateSchema(value, schema, path = '') {
+  if (!schema) return [];
+  const errors = [];
+  const fail = message => errors.push({ path, message });
+
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(t => TYPE_CHECKS[t]?.(value))) {
+    fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  for (const [keyword, type, check, describe] of BOUNDS) {
+    if (schema[keyword] !== undefined && TYPE_CHECKS[type](value) && !check(value, schema[keyword])) {
+      fail(describe(schema[keyword]));
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}/${i}`)));
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push({ path: `${path}/${escapePointer(field)}`, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (properties[key]) {
+        errors.push(...validateSchema(v, properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: `is not allowed (expected only: ${Object.keys(properties).join(', ')})` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(v, schema.additionalProperties, childPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/** One-line rendering of a validation error for messages and logs */
+export const formatSchemaError = ({ path, message }) => `${path || '/'} ${message}`;
@@ -0,0 +1,47 @@
+/**
+ * JSON Schema validation tests - Run: npx tsx modules/json-schema.test.ts
+ */
+import { validateSchema, formatSchemaError } from './json-schema.js';
+import { FILL_FORM, SCROLL_TO } from './actions/browser-actions.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const paths = (value: unknown, schema: object): string[] => validateSchema(value, schema).map(e => e.path);
+const same = (a: string[], b: string[]): boolean => JSON.stringify(a) === JSON.stringify(b);
+
+// Valid input produces no errors
+assert(!paths({ tabId: 1, form_fields: [{ elementId: 'f2/s0/3', value: 'x' }] }, FILL_FORM.input_schema).length, 'valid FILL_FORM rejected');
+
+// Nested array items: type, required and additionalProperties
+assert(same(
+  paths({ tabId: 1, form_fields: [{ elementId: 3, value: 'x' }, { value: 'y', label: 'z' }] }, FILL_FORM.input_schema),
+  ['/form_fields/0/elementId', '/form_fields/1/elementId', '/form_fields/1/label']
+), 'nested form_fields errors');
+
+// Enum
+const [enumError] = validateSchema({ tabId: 1, direction: 'left' }, SCROLL_TO.input_schema);
+assert(enumError?.path === '/direction' && enumError.message.includes('"down"'), 'SCROLL_TO direction enum');
+
+// Root type mismatch and required fields
+assert(same(paths(null, FILL_FORM.input_schema), ['']), 'null root');
+assert(same(paths({}, FILL_FORM.input_schema), ['/tabId', '/form_fields']), 'missing required');
+
+// Bounds and pointer escaping
+const bounded = { type: 'object', properties: { 'a/b': { type: 'string', minLength: 2 }, n: { type: 'integer', maximum: 5 } } };
+assert(same(paths({ 'a/b': 'x', n: 6 }, bounded), ['/a~1b', '/n']), 'bounds with escaped pointer');
+assert(same(paths({ n: 1.5 }, bounded), ['/n']), 'integer type');
+
+assert(formatSchemaError({ path: '', message: 'must be object, got null' }) === '/ must be object, got null', 'root path formatting');
+
+if (failed) {
+  console.error(`\n${failed} schema validation test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All schema validation tests passed');
+}
@@ -0,0 +1,184 @@
+/**
+ * Anthropic Messages adapter - Chat-completions shapes in, chat-completions shapes out
+ * System messages move to `system`, tool messages become tool_result blocks, and schema
+ * outputs are a forced tool call whose input is returned as the JSON content
+ */
+
+import { readSSE } from '../stream.js';
+import { SCHEMA_TOOL } from '../structured-output.js';
+
+const API_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 8192;
+
+// tool_use ids must match ^[a-zA-Z0-9_-]+$; ids from other providers may not
+const toolId = id => String(id || 'call').replace(/[^a-zA-Z0-9_-]/g, '_');
+
+function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try { return JSON.parse(args || '{}'); } catch { return {}; }
+}
+
+const textBlocks = text => (text ? [{ type: 'text', text }] : []);
+
+// Chat-completions content parts to blocks; data: URLs become base64 image sources
+function partBlock(part) {
+  if (part.type !== 'image_url') return part;
+  const url = part.image_url?.url || '';
+  const data = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  return data
+    ? { type: 'image', source: { type: 'base64', media_type: data[1], data: data[2] } }
+    : { type: 'image', source: { type: 'url', url } };
+}
+
+function toBlocks(msg) {
+  if (msg.role === 'tool') {
+    return [{ type: 'tool_result', tool_use_id: toolId(msg.tool_call_id), content: msg.content ?? '' }];
+  }
+  if (msg.role === 'assistant') {
+    return [
+      ...textBlocks(msg.content),
+      ...(msg.tool_calls || []).map(call => ({
+        type: 'tool_use', id: toolId(call.id), name: call.function.name, input: parseArguments(call.function.arguments)
+      }))
+    ];
+  }
+  return Array.isArray(msg.content) ? msg.content.map(partBlock) : textBlocks(msg.content);
+}
+
+// Roles must alternate: tool results and the next user turn merge into one user message
+export function toAnthropicMessages(messages) {
+  const out = [];
+  for (const msg of messages) {
+    if (msg.role === 'system') continue;
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const blocks = toBlocks(msg);
+    if (!blocks.length) continue;
+    const last = out[out.length - 1];
+    if (last?.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  }
+  return out;
+}
+
+const toAnthropicTool = ({ function: fn }) => ({
+  name: fn.name,
+  description: fn.description || '',
+  input_schema: fn.parameters || { type: 'object', properties: {} }
+});
+
+function toMessage(blocks, schema) {
+  const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+  const toolUses = blocks.filter(b => b.type === 'tool_use');
+
+  if (schema) {
+    const output = toolUses.find(b => b.name === SCHEMA_TOOL);
+    if (output) return { role: 'assistant', content: JSON.stringify(output.input ?? {}) };
+    return text ? { role: 'assistant', content: text } : null;
+  }
+
+  if (!text && !toolUses.length) return null;
+  const message = { role: 'assistant', content: text || null };
+  if (toolUses.length) {
+    message.tool_calls = toolUses.map(b => ({
+      id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) }
+    }));
+  }
+  return message;
+}
+
+/**
+ * Read a Messages SSE stream, reporting fragments in the chat-completions delta shape
+ * In schema mode the forced tool's partial JSON is reported as content, so stream_field works unchanged
+ */
+async function readAnthropicStream(response, onDelta, { schema } = {}) {
+  const blocks = [];
+  const toolIndex = new Map(); // block index -> tool_calls index
+  const usage = {};
+  let content = '';
+  const toolCalls = [];
+
+  for await (const data of readSSE(response)) {
+    let event;
+    try { event = JSON.parse(data); } catch { continue; }
+
+    let delta = null;
+    switch (event.type) {
+      case 'error':
+        throw new Error(event.error?.message || 'Stream error');
+      case 'message_start':
+        usage.input_tokens = event.message?.usage?.input_tokens ?? 0;
+        break;
+      case 'message_delta':
+        if (event.usage?.output_tokens !== undefined) usage.output_tokens = event.usage.output_tokens;
+        break;
+      case 'content_block_start': {
+        const block = { ...event.content_block, partial: '' };
+        blocks[event.index] = block;
+        if (block.type === 'tool_use' && !schema) {
+          toolIndex.set(event.index, toolCalls.length);
+          toolCalls.push({ id: block.id, type: 'function', function: { name: block.name, arguments: '' } });
+          delta = { content: '', tool_calls: [{ index: toolIndex.get(event.index), id: block.id, function: { name: block.name } }] };
+        }
+        break;
+      }
+      case 'content_block_delta': {
+        const block = blocks[event.index];
+        if (!block) break;
+        if (event.delta.type === 'text_delta') {
+          block.text = (block.text || '') + event.delta.text;
+          if (!schema) {
+            content += event.delta.text;
+            delta = { content: event.delta.text, tool_calls: [] };
+          }
+        } else if (event.delta.type === 'input_json_delta') {
+          const fragment = event.delta.partial_json || '';
+          block.partial += fragment;
+          if (schema) {
+            content += fragment;
+            delta = { content: fragment, tool_calls: [] };
+          } else {
+            const index = toolIndex.get(event.index);
+            toolCalls[index].function.arguments += fragment;
+            delta = { content: '', tool_calls: [{ index, function: { arguments: fragment } }] };
+          }
+        }
+        break;
+      }
+    }
+
+    if (delta && (delta.content || delta.tool_calls.length)) onDelta(delta, { content, tool_calls: toolCalls });
+  }
+
+  for (const block of blocks.filter(b => b?.type === 'tool_use')) block.input = parseArguments(block.partial);
+  return { message: toMessage(blocks.filter(Boolean), schema), usage };
+}
+
+export const anthropicAdapter = {
+  authHeaders: apiKey => ({
+    ...(apiKey ? { 'x-api-key': apiKey } : {}),
+    'anthropic-version': API_VERSION,
+    // Needed for calls made from extension pages and the service worker
+    'anthropic-dangerous-direct-browser-access': 'true'
+  }),
+
+  buildRequest({ model, messages, tools, schema, noToolChoice, stream, maxTokens }) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const request = { model, max_tokens: maxTokens || DEFAULT_MAX_TOKENS, messages: toAnthropicMessages(messages) };
+    if (system) request.system = system;
+
+    if (tools?.length) {
+      request.tools = tools.map(toAnthropicTool);
+      if (!noToolChoice) request.tool_choice = { type: 'any' };
+    } else if (schema) {
+      request.tools = [{ name: SCHEMA_TOOL, description: 'Respond with the requested structure', input_schema: schema }];
+      request.tool_choice = { type: 'tool', name: SCHEMA_TOOL };
+    }
+
+    if (stream) request.stream = true;
+    return request;
+  },
+
+  parseResponse: (body, { schema } = {}) => ({ message: toMessage(body.content || [], schema), usage: body.usage }),
+
+  readStream: readAnthropicStream
+};
@@ -0,0 +1,158 @@
+/**
+ * Anthropic adapter tests against a local mock Messages server - Run: npx tsx modules/llm/adapters/anthropic.test.ts
+ */
+import { createServer, type IncomingMessage, type ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+type Reply = { json?: unknown; sse?: unknown[]; status?: number };
+const requests: { headers: IncomingMessage['headers']; body: any }[] = [];
+let nextReply: Reply = {};
+
+const server = createServer((req: IncomingMessage, res: ServerResponse) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    requests.push({ headers: req.headers, body: JSON.parse(raw || '{}') });
+    const { json, sse, status = 200 } = nextReply;
+    if (sse) {
+      res.writeHead(status, { 'Content-Type': 'text/event-stream' });
+      for (const event of sse) res.write(`event: ${(event as { type: string }).type}\ndata: ${JSON.stringify(event)}\n\n`);
+      res.end();
+    } else {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    }
+  });
+});
+await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+const { port } = server.address() as AddressInfo;
+
+// The endpoint config lives in extension storage
+const store: Record<string, unknown> = {
+  llmEndpoints: { mock: { url: `http://127.0.0.1:${port}/v1/messages`, apiKey: 'sk-test', format: 'anthropic' } }
+};
+(globalThis as any).chrome = {
+  storage: { local: { get: async (keys: string[]) => Object.fromEntries(keys.map(k => [k, store[k]])), set: async (items: object) => Object.assign(store, items) } }
+};
+
+// api.js is untyped JS: every destructured option would otherwise be required
+const callModel = (await import('../api.js')).callModel as (options: any) => Promise<any>;
+
+const TOOLS = [{ type: 'function', function: { name: 'READ_PAGE', description: 'Read the page', parameters: { type: 'object', properties: { tabId: { type: 'number' } } } } }];
+const HISTORY = [
+  { role: 'system', content: 'You are a browser agent' },
+  { role: 'user', content: 'Read tab 1' },
+  { role: 'assistant', content: null, tool_calls: [{ id: 'call:1', type: 'function', function: { name: 'READ_PAGE', arguments: '{"tabId":1}' } }] },
+  { role: 'tool', tool_call_id: 'call:1', content: '{"title":"Home"}' },
+  { role: 'user', content: 'browser state' }
+];
+
+try {
+  // Tool calls: request translation both ways
+  nextReply = {
+    json: {
+      content: [{ type: 'text', text: 'Reading again' }, { type: 'tool_use', id: 'toolu_1', name: 'READ_PAGE', input: { tabId: 2 } }],
+      usage: { input_tokens: 120, output_tokens: 30 }
+    }
+  };
+  let usage: any = null;
+  const message: any = await callModel({ endpoint: 'mock', model: 'claude-test', messages: HISTORY, tools: TOOLS, onUsage: (u: unknown) => { usage = u; } });
+  const { headers, body } = requests.at(-1)!;
+
+  assert(headers['x-api-key'] === 'sk-test' && !!headers['anthropic-version'], 'auth and version headers');
+  assert(body.system === 'You are a browser agent' && body.max_tokens > 0, 'system prompt moved to system, max_tokens set');
+  assert(body.tools[0].name === 'READ_PAGE' && body.tools[0].input_schema.type === 'object', 'tools translated');
+  assert(body.tool_choice?.type === 'any', 'required tool_choice maps to any');
+  assert(body.messages.map((m: any) => m.role).join() === 'user,assistant,user', 'roles alternate');
+  assert(body.messages[1].content[0].type === 'tool_use' && body.messages[1].content[0].id === 'call_1', 'tool_use with sanitized id');
+  assert(body.messages[1].content[0].input.tabId === 1, 'tool arguments parsed to input');
+  const [result, state] = body.messages[2].content;
+  assert(result.type === 'tool_result' && result.tool_use_id === 'call_1', 'tool message becomes tool_result');
+  assert(state.type === 'text' && state.text === 'browser state', 'following user text merged after tool results');
+
+  assert(message.content === 'Reading again', 'text content returned');
+  assert(message.tool_calls?.[0]?.function.name === 'READ_PAGE' && JSON.parse(message.tool_calls[0].function.arguments).tabId === 2, 'tool_use returned as tool_calls');
+  assert(usage?.input === 120 && usage?.output === 30, 'usage normalized');
+
+  // Schema output: forced tool, input returned as the parsed object
+  const SCHEMA = { type: 'object', properties: { final_answer: { type: 'string' } }, required: ['final_answer'] };
+  nextReply = { json: { content: [{ type: 'tool_use', id: 'toolu_2', name: 'response', input: { final_answer: '42' } }], usage: { input_tokens: 5, output_tokens: 5 } } };
+  const structured: any = await callModel({ endpoint: 'mock', model: 'claude-test', messages: HISTORY.slice(0, 2), schema: SCHEMA });
+  const schemaBody = requests.at(-1)!.body;
+  assert(schemaBody.tool_choice?.type === 'tool' && schemaBody.tool_choice.name === schemaBody.tools[0].name, 'schema forces its tool');
+  assert(schemaBody.tools[0].input_schema?.required[0] === 'final_answer', 'schema sent as tool input_schema');
+  assert(structured.final_answer === '42', 'schema tool input returned as object');
+
+  // Streaming a schema output: partial JSON arrives as content so stream_field extraction works
+  nextReply = {
+    sse: [
+      { type: 'message_start', message: { usage: { input_tokens: 7 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_3', name: 'response', input: {} } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"final_answer": "Hel' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: 'lo"}' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 9 } },
+      { type: 'message_stop' }
+    ]
+  };
+  const snapshots: string[] = [];
+  let streamUsage: any = null;
+  const streamed: any = await callModel({
+    endpoint: 'mock', model: 'claude-test', messages: HISTORY.slice(0, 2), schema: SCHEMA,
+    onDelta: (_d: unknown, snap: { content: string }) => snapshots.push(snap.content), onUsage: (u: unknown) => { streamUsage = u; }
+  });
+  assert(requests.at(-1)!.body.stream === true, 'stream flag sent');
+  assert(snapshots.at(-1) === '{"final_answer": "Hello"}', 'partial JSON streamed as content');
+  assert(streamed.final_answer === 'Hello', 'streamed schema output parsed');
+  assert(streamUsage?.input === 7 && streamUsage?.output === 9, 'stream usage collected');
+
+  // Streaming tool calls: names arrive first, arguments accumulate
+  nextReply = {
+    sse: [
+      { type: 'message_start', message: { usage: { input_tokens: 3 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_4', name: 'READ_PAGE', input: {} } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"tabId":' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '3}' } },
+      { type: 'message_stop' }
+    ]
+  };
+  const names: string[] = [];
+  const streamedCall: any = await callModel({
+    endpoint: 'mock', model: 'claude-test', messages: HISTORY.slice(0, 2), tools: TOOLS,
+    onDelta: (d: { tool_calls: { function?: { name?: string } }[] }) => d.tool_calls.forEach(c => c.function?.name && names.push(c.function.name))
+  });
+  assert(names.join() === 'READ_PAGE', 'tool name streamed once');
+  assert(streamedCall.tool_calls[0].id === 'toolu_4' && streamedCall.tool_calls[0].function.arguments === '{"tabId":3}', 'streamed tool call assembled');
+
+  // Image parts become base64 image blocks in the user turn after the tool result
+  const { toAnthropicMessages } = await import('./anthropic.js');
+  const withImage = toAnthropicMessages([
+    ...HISTORY.slice(0, 4),
+    { role: 'user', content: [{ type: 'text', text: 'Screenshot of tab 1' }, { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,AAAA' } }] }
+  ]);
+  const [toolResult, caption, image] = withImage[2].content;
+  assert(toolResult.type === 'tool_result' && caption.text === 'Screenshot of tab 1', 'tool result first, then the caption');
+  assert(image?.type === 'image' && image.source.media_type === 'image/jpeg' && image.source.data === 'AAAA', 'data URL image becomes a base64 block');
+
+  // Errors surface the API message
+  nextReply = { status: 400, json: { type: 'error', error: { type: 'invalid_request_error', message: 'max_tokens too large' } } };
+  const error = await callModel({ endpoint: 'mock', model: 'claude-test', messages: HISTORY.slice(0, 2), tools: TOOLS }).catch((e: Error) => e);
+  assert(error instanceof Error && error.message === 'max_tokens too large', 'error message surfaced');
+} finally {
+  server.close();
+}
+
+if (failed) {
+  console.error(`\n${failed} Anthropic adapter test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All Anthropic adapter tests passed');
+}
@@ -0,0 +1,27 @@
+/**
+ * Provider adapters - One per wire format an endpoint can declare
+ * Each maps chat-completions messages/tools/schema to its request and its response back to
+ * { content, tool_calls }, so callers never see the provider's own shape
+ */
+
+import { openaiAdapter } from './openai.js';
+import { anthropicAdapter } from './anthropic.js';
+
+export const FORMAT_OPENAI = 'openai';
+export const FORMAT_ANTHROPIC = 'anthropic';
+
+const ADAPTERS = {
+  [FORMAT_OPENAI]: openaiAdapter,
+  [FORMAT_ANTHROPIC]: anthropicAdapter
+};
+
+export const FORMAT_LABELS = {
+  [FORMAT_OPENAI]: 'OpenAI-compatible',
+  [FORMAT_ANTHROPIC]: 'Anthropic Messages'
+};
+
+export function getAdapter(format = FORMAT_OPENAI) {
+  const adapter = ADAPTERS[format];
+  if (!adapter) throw new Error(`Unknown endpoint format: ${format}`);
+  return adapter;
+}
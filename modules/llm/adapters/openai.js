@@ -0,0 +1,72 @@
+/**
+ * OpenAI chat-completions adapter - The native shape; requests and responses pass through
+ * Schema outputs follow the model's schemaMode (see structured-output.js); in tool mode the
+ * forced tool's arguments are returned, and streamed, as the content
+ */
+
+import { readStreamedMessage } from '../stream.js';
+import { SCHEMA_MODE_TOOL, SCHEMA_MODE_PROMPT, SCHEMA_TOOL, schemaTool, withSchemaInstruction } from '../structured-output.js';
+
+// Tool mode: the answer is the schema tool's arguments; a model that replied in text keeps its text
+function fromSchemaTool(message) {
+  const call = message?.tool_calls?.find(c => c.function?.name === SCHEMA_TOOL) || message?.tool_calls?.[0];
+  return call ? { role: 'assistant', content: call.function.arguments } : message;
+}
+
+async function readSchemaToolStream(response, onDelta) {
+  const { message, usage } = await readStreamedMessage(response, (delta, snapshot) => {
+    const fragment = delta.tool_calls.map(tc => tc.function?.arguments || '').join('') || delta.content;
+    const content = snapshot.tool_calls[0]?.function.arguments || snapshot.content;
+    if (fragment) onDelta({ content: fragment, tool_calls: [] }, { content, tool_calls: [] });
+  });
+  return { message: fromSchemaTool(message), usage };
+}
+
+const isToolMode = ({ schema, schemaMode } = {}) => !!schema && schemaMode === SCHEMA_MODE_TOOL;
+
+export const openaiAdapter = {
+  authHeaders: apiKey => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+
+  buildRequest({ model, messages, tools, schema, schemaMode, openrouterProvider, noToolChoice, stream, maxTokens }) {
+    const request = { model, messages };
+
+    if (tools?.length) {
+      request.tools = tools;
+      if (!noToolChoice) {
+        request.tool_choice = 'required';
+      }
+    } else if (schema && schemaMode === SCHEMA_MODE_TOOL) {
+      request.tools = [schemaTool(schema)];
+      if (!noToolChoice) request.tool_choice = { type: 'function', function: { name: SCHEMA_TOOL } };
+    } else if (schema && schemaMode === SCHEMA_MODE_PROMPT) {
+      request.messages = withSchemaInstruction(messages, schema);
+    } else if (schema) {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', strict: true, schema }
+      };
+    }
+
+    // OpenRouter provider routing
+    if (openrouterProvider) {
+      request.provider = { only: [openrouterProvider] };
+    }
+
+    if (maxTokens) request.max_tokens = maxTokens;
+
+    if (stream) {
+      request.stream = true;
+      request.stream_options = { include_usage: true };
+    }
+    return request;
+  },
+
+  parseResponse: (body, options) => {
+    const message = body.choices?.[0]?.message;
+    return { message: isToolMode(options) ? fromSchemaTool(message) : message, usage: body.usage };
+  },
+
+  readStream: (response, onDelta, options) => isToolMode(options)
+    ? readSchemaToolStream(response, onDelta)
+    : readStreamedMessage(response, onDelta)
+};
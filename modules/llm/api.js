@@ -1,66 +1,141 @@
 /**
- * LLM API - Core OpenAI-compatible API call
+ * LLM API - Core model call; the endpoint's adapter handles its wire format
  */
 
 import { resolveEndpoint, getEndpoints } from './endpoints.js';
+import { getAdapter, FORMAT_ANTHROPIC } from './adapters/index.js';
+import {
+  parseStructuredOutput,
+  SCHEMA_MODE_NATIVE,
+  SCHEMA_MODE_TOOL,
+  SCHEMA_MODE_PROMPT
+} from './structured-output.js';
 
-export async function callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice }) {
+/**
+ * Call a model through its endpoint's adapter
+ * Messages, tools and the returned { content, tool_calls } use the chat-completions shape for every format
+ * When onDelta is given the request is streamed (SSE) and onDelta(delta, snapshot)
+ * receives partial content and tool-call fragments as they arrive
+ * onUsage (optional) receives { input, output } token counts when the endpoint reports them
+ * schemaMode picks how a schema is requested (see structured-output.js); the parsed JSON is validated against it
+ */
+export async function callModel({ endpoint, model, messages, tools, schema, schemaMode, openrouterProvider, noToolChoice, onDelta, onUsage, signal }) {
   const endpoints = await getEndpoints();
   const config = resolveEndpoint(endpoint, endpoints);
+  const adapter = getAdapter(config.format);
 
-  const request = { model, messages };
-
-  // Standard OpenAI params
-  if (tools?.length) {
-    request.tools = tools;
-    if (!noToolChoice) {
-      request.tool_choice = 'required';
-    }
-  } else if (schema) {
-    request.response_format = {
-      type: 'json_schema',
-      json_schema: { name: 'response', strict: true, schema }
-    };
-  }
-
-  // OpenRouter provider routing
-  if (openrouterProvider) {
-    request.provider = { only: [openrouterProvider] };
-  }
+  const request = adapter.buildRequest({ model, messages, tools, schema, schemaMode, openrouterProvider, noToolChoice, stream: !!onDelta });
 
   const response = await fetch(config.url, {
     method: 'POST',
     headers: config.headers,
-    body: JSON.stringify(request)
+    body: JSON.stringify(request),
+    signal
   });
 
   if (!response.ok) {
     const err = await response.json().catch(() => ({}));
-    const msg = err.error?.message || 'Unknown error';
+    const msg = err.error?.message || `HTTP ${response.status}`;
     const details = err.error?.metadata?.raw || err.error?.metadata?.provider_name || '';
-    throw new Error(details ? `${msg} - ${details}` : msg);
+    throw httpError(response, details ? `${msg} - ${details}` : msg);
   }
 
-  const data = await response.json();
-  const message = data.choices?.[0]?.message;
+  const { message, usage } = onDelta
+    ? await adapter.readStream(response, onDelta, { schema, schemaMode })
+    : adapter.parseResponse(await response.json(), { schema, schemaMode });
+
+  if (usage) onUsage?.(normalizeUsage(usage));
 
   if (!message) {
     throw new Error('Empty response from API');
   }
 
-  // For structured schema, parse JSON from content
-  if (schema && message.content) {
-    try {
-      return JSON.parse(message.content);
-    } catch (e) {
-      throw new Error(`Invalid JSON in schema response: ${e.message}`);
-    }
+  // For structured schema, repair and validate the JSON in content
+  if (schema) {
+    return parseStructuredOutput(message.content, schema);
   }
 
   return message;
 }
 
-export async function verifyModel(endpointName, modelId, openrouterProvider = null) {
+/**
+ * How a failed response should be handled:
+ * rate_limit (429) and server (5xx) are transient and retried, auth (401/403) means the
+ * endpoint is misconfigured, capability (400) means the request asks for something the model can't do
+ */
+export function classifyStatus(status) {
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 400) return 'capability';
+  return 'other';
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+const httpError = (response, message) => Object.assign(new Error(message), {
+  status: response.status,
+  errorClass: classifyStatus(response.status),
+  retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+});
+
+// Chat-completions and Messages-style usage to { input, output }
+const normalizeUsage = usage => ({
+  input: usage.prompt_tokens ?? usage.input_tokens ?? 0,
+  output: usage.completion_tokens ?? usage.output_tokens ?? 0
+});
+
+const PROBE_SCHEMA = {
+  type: 'object',
+  properties: { ok: { type: 'boolean' } },
+  required: ['ok'],
+  additionalProperties: false
+};
+
+/**
+ * Find the best structured-output mode a model handles: native json_schema, then a forced tool call,
+ * falling back to prompt-instructed JSON. Anthropic endpoints always use their forced tool.
+ */
+async function probeSchemaMode(config, adapter, { model, openrouterProvider, noToolChoice }) {
+  if (config.format === FORMAT_ANTHROPIC) return SCHEMA_MODE_NATIVE;
+
+  for (const schemaMode of [SCHEMA_MODE_NATIVE, SCHEMA_MODE_TOOL]) {
+    const response = await fetch(config.url, {
+      method: 'POST',
+      headers: config.headers,
+      body: JSON.stringify(adapter.buildRequest({
+        model,
+        messages: [{ role: 'user', content: 'Reply with ok set to true' }],
+        schema: PROBE_SCHEMA,
+        schemaMode,
+        openrouterProvider,
+        noToolChoice,
+        maxTokens: 500
+      }))
+    }).catch(() => null);
+    if (!response?.ok) continue;
+    const { message } = adapter.parseResponse(await response.json().catch(() => ({})), { schema: PROBE_SCHEMA, schemaMode });
+    try {
+      parseStructuredOutput(message?.content, PROBE_SCHEMA);
+      return schemaMode;
+    } catch { /* try the next mode */ }
+  }
+  return SCHEMA_MODE_PROMPT;
+}
+
+/**
+ * Check a model can be called with tools; tool_choice support is detected too, and with probeSchema
+ * the structured-output mode (schemaMode is left undefined otherwise)
+ * @returns {Promise<{ valid: boolean, noToolChoice?: boolean, schemaMode?: string, error?: string }>}
+ */
+export async function verifyModel(endpointName, modelId, openrouterProvider = null, { probeSchema = true } = {}) {
   const endpoints = await getEndpoints();
 
   const VERIFY_TOOL = [{
@@ -70,28 +145,27 @@ export async function verifyModel(endpointName, modelId, openrouterProvider = nu
 
   try {
     const config = resolveEndpoint(endpointName, endpoints);
+    const adapter = getAdapter(config.format);
 
-    const baseRequest = {
+    const verifyRequest = noToolChoice => adapter.buildRequest({
       model: modelId,
       messages: [{ role: 'user', content: 'Call the test function' }],
-      max_tokens: 500,
-      tools: VERIFY_TOOL
-    };
-
-    // OpenRouter provider routing
-    if (openrouterProvider) {
-      baseRequest.provider = { only: [openrouterProvider] };
-    }
+      tools: VERIFY_TOOL,
+      openrouterProvider,
+      noToolChoice,
+      maxTokens: 500
+    });
 
     // First try with tool_choice
     let response = await fetch(config.url, {
       method: 'POST',
       headers: config.headers,
-      body: JSON.stringify({ ...baseRequest, tool_choice: 'required' })
+      body: JSON.stringify(verifyRequest(false))
     });
 
     if (response.ok) {
-      return { valid: true };
+      const schemaMode = probeSchema ? await probeSchemaMode(config, adapter, { model: modelId, openrouterProvider, noToolChoice: false }) : undefined;
+      return { valid: true, schemaMode };
     }
 
     const err = await response.json().catch(() => ({}));
@@ -105,11 +179,12 @@ export async function verifyModel(endpointName, modelId, openrouterProvider = nu
       response = await fetch(config.url, {
         method: 'POST',
         headers: config.headers,
-        body: JSON.stringify(baseRequest)
+        body: JSON.stringify(verifyRequest(true))
       });
 
       if (response.ok) {
-        return { valid: true, noToolChoice: true };
+        const schemaMode = probeSchema ? await probeSchemaMode(config, adapter, { model: modelId, openrouterProvider, noToolChoice: true }) : undefined;
+        return { valid: true, noToolChoice: true, schemaMode };
       }
 
       const retryErr = await response.json().catch(() => ({}));
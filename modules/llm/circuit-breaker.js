@@ -0,0 +1,139 @@
+/**
+ * Circuit Breaker - Per-model closed / open / half-open state, keyed by modelStatsKey
+ * Enough failures of one class inside the window open the circuit for a cooldown; once it
+ * elapses the circuit is half-open and the next call decides: success closes it, failure
+ * reopens it with twice the cooldown. Other calls are refused while that trial call runs, or for
+ * PROBE_TIMEOUT_MS if it never reports back. Trips are forgotten one per TRIP_DECAY_MS.
+ */
+
+const STORAGE_KEY = 'llmCircuits';
+const FAILURE_WINDOW_MS = 10 * 60_000;
+const TRIP_DECAY_MS = 30 * 60_000;
+const MAX_COOLDOWN_MS = 60 * 60_000;
+const PROBE_TIMEOUT_MS = 2 * 60_000;
+
+// Consecutive failures of a class that open the circuit, and the first cooldown
+const POLICIES = {
+  model: { threshold: 3, cooldownMs: 60_000 },
+  server: { threshold: 2, cooldownMs: 30_000 },
+  // Reached only after retries are exhausted; Retry-After can lengthen the cooldown
+  rate_limit: { threshold: 1, cooldownMs: 30_000 },
+  capability: { threshold: 2, cooldownMs: 10 * 60_000 },
+  auth: { threshold: 1, cooldownMs: 5 * 60_000 }
+};
+
+export const CIRCUIT_CLOSED = 'closed';
+export const CIRCUIT_OPEN = 'open';
+export const CIRCUIT_HALF_OPEN = 'half_open';
+
+const policyFor = errorClass => POLICIES[errorClass] || POLICIES.model;
+
+const decayedTrips = (entry, now) => Math.max(0, (entry.trips || 0) - Math.floor((now - (entry.openedAt ?? now)) / TRIP_DECAY_MS));
+
+function stateOf(entry, now) {
+  if (!entry?.reopensAt) return CIRCUIT_CLOSED;
+  return now < entry.reopensAt ? CIRCUIT_OPEN : CIRCUIT_HALF_OPEN;
+}
+
+async function load() {
+  return (await chrome.storage.local.get([STORAGE_KEY]))[STORAGE_KEY] || {};
+}
+
+async function save(circuits) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: circuits });
+}
+
+// Read-modify-write of the stored circuits, one at a time so concurrent calls don't overwrite each other
+let updates = Promise.resolve();
+function update(change) {
+  const result = updates.then(async () => {
+    const circuits = await load();
+    const value = change(circuits);
+    await save(circuits);
+    return value;
+  });
+  updates = result.catch(() => {});
+  return result;
+}
+
+/**
+ * @returns {{ state: string, reopensAt?: number, errorClass?: string, failures: number, probing: boolean }} probing: a trial call is running
+ */
+export function describeCircuit(entry, now = Date.now()) {
+  return {
+    state: stateOf(entry, now),
+    reopensAt: entry?.reopensAt,
+    errorClass: entry?.errorClass,
+    failures: entry?.failures?.length || 0,
+    probing: stateOf(entry, now) === CIRCUIT_HALF_OPEN && entry.probeUntil > now
+  };
+}
+
+export async function getCircuit(key, now = Date.now()) {
+  return describeCircuit((await load())[key], now);
+}
+
+// Every tracked circuit by key; keys without an entry are closed
+export async function getAllCircuits(now = Date.now()) {
+  const circuits = await load();
+  return Object.fromEntries(Object.entries(circuits).map(([key, entry]) => [key, describeCircuit(entry, now)]));
+}
+
+/**
+ * Whether a call may go to the model: always when closed, never when open. A half-open circuit lets
+ * one trial call through, so a true answer then claims the trial; its recorded outcome settles it
+ */
+export async function allowsRequest(key, now = Date.now()) {
+  const state = stateOf((await load())[key], now);
+  if (state !== CIRCUIT_HALF_OPEN) return state === CIRCUIT_CLOSED;
+  return update(circuits => {
+    const entry = circuits[key];
+    if (stateOf(entry, now) !== CIRCUIT_HALF_OPEN) return stateOf(entry, now) === CIRCUIT_CLOSED;
+    if (entry.probeUntil > now) return false;
+    entry.probeUntil = now + PROBE_TIMEOUT_MS;
+    return true;
+  });
+}
+
+export async function recordCircuitSuccess(key) {
+  if (!(await load())[key]) return;
+  await update(circuits => {
+    const entry = circuits[key];
+    if (!entry) return;
+    // Keep the trip count so a flapping model still backs off further; it decays on its own
+    if (entry.trips) circuits[key] = { trips: entry.trips, openedAt: entry.openedAt, failures: [] };
+    else delete circuits[key];
+  });
+}
+
+/**
+ * Count a failure; opens the circuit when its class reaches the threshold, or at once when half-open
+ * @param {string} [errorClass] - rate_limit | server | auth | capability; anything else counts as model
+ * @param {number|null} [retryAfterMs] - Server-requested wait, the cooldown's lower bound
+ * @returns {Promise<string>} The circuit state after the failure
+ */
+export function recordCircuitFailure(key, errorClass, retryAfterMs = null, now = Date.now()) {
+  return update(circuits => {
+    const entry = circuits[key] || { failures: [] };
+    const cls = POLICIES[errorClass] ? errorClass : 'model';
+    const policy = policyFor(cls);
+    const wasHalfOpen = stateOf(entry, now) === CIRCUIT_HALF_OPEN;
+
+    entry.failures = [...(entry.failures || []).filter(f => now - f.at < FAILURE_WINDOW_MS), { at: now, errorClass: cls }];
+    const sameClass = entry.failures.filter(f => f.errorClass === cls).length;
+
+    if (wasHalfOpen || sameClass >= policy.threshold) {
+      const trips = decayedTrips(entry, now) + 1;
+      const cooldown = Math.min(MAX_COOLDOWN_MS, Math.max(policy.cooldownMs * 2 ** (trips - 1), retryAfterMs || 0));
+      Object.assign(entry, { trips, openedAt: now, reopensAt: now + cooldown, errorClass: cls, failures: [] });
+      delete entry.probeUntil;
+    }
+
+    circuits[key] = entry;
+    return stateOf(entry, now);
+  });
+}
+
+export async function resetCircuit(key) {
+  await update(circuits => { delete circuits[key]; });
+}
@@ -0,0 +1,81 @@
+/**
+ * Circuit breaker tests - Run: npx tsx modules/llm/circuit-breaker.test.ts
+ */
+export {};
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const store: Record<string, unknown> = {};
+(globalThis as any).chrome = {
+  storage: { local: { get: async (keys: string[]) => structuredClone(Object.fromEntries(keys.map(k => [k, store[k]]))), set: async (items: object) => Object.assign(store, items) } }
+};
+
+const { recordCircuitFailure, recordCircuitSuccess, getCircuit, allowsRequest, resetCircuit } = await import('./circuit-breaker.js');
+
+const KEY = 'ep:model:';
+const MIN = 60_000;
+const fail = (errorClass: string | undefined, at: number, retryAfterMs: number | null = null) => recordCircuitFailure(KEY, errorClass, retryAfterMs, at);
+
+// Model failures open after three inside the window
+assert(await fail(undefined, 0) === 'closed' && await fail(undefined, 1000) === 'closed', 'below threshold stays closed');
+assert(await fail(undefined, 2000) === 'open', 'third model failure opens');
+assert(!await allowsRequest(KEY, 2000 + 30_000), 'open circuit blocks calls');
+
+// Cooldown elapses into half-open; a failure there reopens with double the cooldown
+const reopensAt = (await getCircuit(KEY, 0)).reopensAt!;
+assert((await getCircuit(KEY, reopensAt)).state === 'half_open' && await allowsRequest(KEY, reopensAt), 'half-open after cooldown');
+await fail(undefined, reopensAt);
+const second = await getCircuit(KEY, reopensAt);
+assert(second.state === 'open' && second.reopensAt! - reopensAt === 2 * (reopensAt - 2000), 'half-open failure doubles the cooldown');
+
+// Success in half-open closes it
+await recordCircuitSuccess(KEY);
+assert((await getCircuit(KEY, second.reopensAt!)).state === 'closed', 'success closes the circuit');
+
+// Thresholds are per class: one capability error does not open, and old failures age out
+await resetCircuit(KEY);
+assert(await fail('capability', 0) === 'closed', 'single capability error stays closed');
+assert(await fail('capability', 11 * MIN) === 'closed', 'failures outside the window are forgotten');
+assert(await fail('server', 11 * MIN + 1) === 'closed' && await fail('capability', 11 * MIN + 2) === 'open', 'classes counted apart');
+
+// Rate limits open at once, for at least Retry-After
+await resetCircuit(KEY);
+await fail('rate_limit', 0, 5 * MIN);
+const limited = await getCircuit(KEY, 0);
+assert(limited.state === 'open' && limited.errorClass === 'rate_limit' && limited.reopensAt === 5 * MIN, 'Retry-After sets the cooldown');
+
+// Trips decay: a failure long after the last trip starts from the base cooldown again
+await resetCircuit(KEY);
+await fail('auth', 0);
+await recordCircuitSuccess(KEY);
+await fail('auth', 3 * 60 * MIN);
+assert((await getCircuit(KEY, 0)).reopensAt === 3 * 60 * MIN + 5 * MIN, 'trip count decays over time');
+
+// Half-open lets one trial call through; the others wait for its outcome
+await resetCircuit(KEY);
+await fail('auth', 0);
+const trialAt = (await getCircuit(KEY, 0)).reopensAt!;
+const allowed = await Promise.all([1, 2, 3].map(() => allowsRequest(KEY, trialAt)));
+assert(allowed.filter(Boolean).length === 1 && (await getCircuit(KEY, trialAt)).probing, 'one concurrent caller gets the trial');
+assert(!await allowsRequest(KEY, trialAt + MIN) && await allowsRequest(KEY, trialAt + 3 * MIN), 'unsettled trial expires');
+await recordCircuitSuccess(KEY);
+assert(await allowsRequest(KEY, trialAt + 3 * MIN) && await allowsRequest(KEY, trialAt + 3 * MIN), 'closed after the trial succeeds');
+
+// Concurrent failures on different models are all kept
+await resetCircuit(KEY);
+await Promise.all(['a', 'b', 'c'].map(model => recordCircuitFailure(`ep:${model}:`, 'auth', null, 0)));
+const states = await Promise.all(['a', 'b', 'c'].map(model => getCircuit(`ep:${model}:`, 0)));
+assert(states.every(c => c.state === 'open'), 'concurrent updates not lost');
+
+if (failed) {
+  console.error(`\n${failed} circuit breaker test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All circuit breaker tests passed');
+}
@@ -0,0 +1,159 @@
+/**
+ * Context Budget - Keep a prompt inside the model's context window
+ * Tokens are estimated (~4 chars each); the history shrinks in stages, least lossy first:
+ * drop stale browser states, cut old tool payloads, summarize old turns, then cut whatever is largest
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const DEFAULT_CONTEXT_LENGTH = 32768;
+// Share of the window the prompt may use; the rest is left for the response and estimation error
+const PROMPT_SHARE = 0.75;
+const RECENT_TURNS = 2;
+const OLD_TOOL_PAYLOAD_CHARS = 1500;
+const MIN_MESSAGE_CHARS = 1000;
+const SUMMARY_RESULT_CHARS = 160;
+// Rough cost of one image part; providers bill a screenshot at roughly 1-2k tokens
+const IMAGE_CHARS = 1500 * CHARS_PER_TOKEN;
+
+// Fallbacks when the endpoint has not reported a context length; first match wins
+const KNOWN_CONTEXT_LENGTHS = [
+  [/gemini/, 1048576],
+  [/qwen3-235b/, 262144],
+  [/claude/, 200000],
+  [/gpt-oss|llama-3\.[1-3]|deepseek/, 131072],
+  [/gpt-4o|gpt-4\.1|gpt-5|\bo[134]\b/, 128000],
+  [/qwen3/, 32768]
+];
+
+export function contextLengthFor(model, reported) {
+  if (reported > 0) return reported;
+  return KNOWN_CONTEXT_LENGTHS.find(([pattern]) => pattern.test(model || ''))?.[1] ?? DEFAULT_CONTEXT_LENGTH;
+}
+
+// Content parts count their text plus a flat estimate per image
+const partsLength = parts => parts.reduce((sum, part) => sum + (part.type === 'text' ? part.text.length : IMAGE_CHARS), 0);
+
+const contentLength = msg =>
+  (Array.isArray(msg.content) ? partsLength(msg.content) : msg.content?.length || 0) +
+  (msg.tool_calls ? JSON.stringify(msg.tool_calls).length : 0);
+
+export function estimateTokens(messages, extra = null) {
+  const chars = messages.reduce((sum, msg) => sum + contentLength(msg), 0) + (extra ? JSON.stringify(extra).length : 0);
+  return Math.ceil(chars / CHARS_PER_TOKEN) + messages.length * MESSAGE_OVERHEAD_TOKENS;
+}
+
+export function truncateText(text, maxChars) {
+  if (!text || text.length <= maxChars) return text;
+  const keep = Math.max(0, maxChars - 40);
+  const head = text.slice(0, Math.ceil(keep * 0.75));
+  const tail = text.slice(text.length - Math.floor(keep * 0.25));
+  return `${head}\n…[${text.length - head.length - tail.length} chars truncated]…\n${tail}`;
+}
+
+/**
+ * Shrink messages until their estimate fits the model's prompt budget
+ * The leading system/user messages (the task) are never summarized away
+ * @param {array} messages - Chat messages; not mutated
+ * @param {object} options - { contextLength, extra } where extra is the tools/schema payload sent alongside
+ * @returns {{ messages: array, tokens: number, budget: number, stages: string[] }} stages lists what was applied
+ */
+export function fitToContext(messages, { contextLength = DEFAULT_CONTEXT_LENGTH, extra = null } = {}) {
+  const budget = Math.floor(contextLength * PROMPT_SHARE);
+  const stages = [];
+  let current = messages;
+  let tokens = estimateTokens(current, extra);
+
+  for (const [name, shrink] of STAGES) {
+    if (tokens <= budget) break;
+    const next = shrink(current, budget - estimateTokens([], extra));
+    if (next === current) continue;
+    current = next;
+    tokens = estimateTokens(current, extra);
+    stages.push(name);
+  }
+
+  return { messages: current, tokens, budget, stages };
+}
+
+// Index of the first message after the task preamble (leading system and user messages)
+function preambleEnd(messages) {
+  let i = 0;
+  while (i < messages.length && messages[i].role === 'system') i++;
+  while (i < messages.length && messages[i].role === 'user') i++;
+  return i;
+}
+
+// Assistant turns after the preamble: each is an assistant message plus its tool results
+function splitTurns(messages) {
+  const start = preambleEnd(messages);
+  const turns = [];
+  for (let i = start; i < messages.length; i++) {
+    if (messages[i].role === 'assistant' || !turns.length) turns.push({ start: i, end: i + 1 });
+    else turns[turns.length - 1].end = i + 1;
+  }
+  return { start, turns };
+}
+
+// Re-rendered browser states (and nudges) are superseded by the latest one; screenshots are not state re-renders
+function dropStaleState(messages) {
+  const start = preambleEnd(messages);
+  const lastUser = messages.findLastIndex(msg => msg.role === 'user');
+  const kept = messages.filter((msg, i) => i < start || msg.role !== 'user' || i === lastUser || Array.isArray(msg.content));
+  return kept.length === messages.length ? messages : kept;
+}
+
+function truncateOldToolPayloads(messages) {
+  const { turns } = splitTurns(messages);
+  if (turns.length <= RECENT_TURNS) return messages;
+  const recentStart = turns[turns.length - RECENT_TURNS].start;
+
+  let changed = false;
+  const next = messages.map((msg, i) => {
+    if (i >= recentStart || msg.role !== 'tool' || (msg.content?.length || 0) <= OLD_TOOL_PAYLOAD_CHARS) return msg;
+    changed = true;
+    return { ...msg, content: truncateText(msg.content, OLD_TOOL_PAYLOAD_CHARS) };
+  });
+  return changed ? next : messages;
+}
+
+// Replace all but the recent turns with one digest message; whole turns go so tool calls stay paired
+function summarizeOldTurns(messages) {
+  const { start, turns } = splitTurns(messages);
+  if (turns.length <= RECENT_TURNS) return messages;
+  const cut = turns[turns.length - RECENT_TURNS].start;
+
+  const results = new Map(messages.slice(start, cut).filter(m => m.role === 'tool').map(m => [m.tool_call_id, m.content]));
+  const lines = messages.slice(start, cut).flatMap(msg => {
+    if (msg.role !== 'assistant') return [];
+    if (!msg.tool_calls?.length) return msg.content ? [`- Said: ${truncateText(msg.content, SUMMARY_RESULT_CHARS)}`] : [];
+    return msg.tool_calls.map(call =>
+      `- ${call.function.name}(${truncateText(call.function.arguments, SUMMARY_RESULT_CHARS)}) → ${truncateText(results.get(call.id) || 'no result', SUMMARY_RESULT_CHARS)}`
+    );
+  });
+
+  const digest = { role: 'user', content: `Summary of ${turns.length - RECENT_TURNS} earlier step(s), details removed to save context:\n${lines.join('\n')}` };
+  return [...messages.slice(0, start), digest, ...messages.slice(cut)];
+}
+
+// Last resort: cut the largest messages, preamble included, until the estimate fits
+function truncateLargest(messages, budget) {
+  const next = [...messages];
+  const order = next.map((msg, i) => i).sort((a, b) => contentLength(next[b]) - contentLength(next[a]));
+
+  for (const i of order) {
+    const over = estimateTokens(next) - budget;
+    if (over <= 0) break;
+    const content = next[i].content;
+    if (typeof content !== 'string' || content.length <= MIN_MESSAGE_CHARS) continue;
+    next[i] = { ...next[i], content: truncateText(content, Math.max(MIN_MESSAGE_CHARS, content.length - over * CHARS_PER_TOKEN)) };
+  }
+  return next;
+}
+
+const STAGES = [
+  ['drop_stale_state', dropStaleState],
+  ['truncate_tool_payloads', truncateOldToolPayloads],
+  ['summarize_old_turns', summarizeOldTurns],
+  ['truncate_largest', truncateLargest]
+];
@@ -0,0 +1,65 @@
+/**
+ * Context budget tests - Run: npx tsx modules/llm/context-budget.test.ts
+ */
+import { fitToContext, estimateTokens, contextLengthFor } from './context-budget.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+type Msg = { role: string; content: string | null; tool_calls?: unknown[]; tool_call_id?: string };
+
+// A tool loop history: task preamble, then per turn one tool call, its result and a re-rendered browser state
+const history = (turns: number, payloadChars: number): Msg[] => [
+  { role: 'system', content: 'You are a browser agent' },
+  { role: 'user', content: 'Find the price' },
+  ...Array.from({ length: turns }, (_, i) => [
+    { role: 'assistant', content: null, tool_calls: [{ id: `c${i}`, type: 'function', function: { name: 'READ_PAGE', arguments: `{"tabId":${i}}` } }] },
+    { role: 'tool', tool_call_id: `c${i}`, content: 'x'.repeat(payloadChars) },
+    { role: 'user', content: `browser state ${i} ${'y'.repeat(2000)}` }
+  ]).flat()
+];
+
+type Fitted = { messages: Msg[]; tokens: number; budget: number; stages: string[] };
+const fit = (messages: Msg[], contextLength: number): Fitted => fitToContext(messages, { contextLength });
+
+const pairedToolCalls = (messages: Msg[]): boolean => {
+  const called = new Set(messages.flatMap(m => (m.tool_calls as { id: string }[] | undefined)?.map(c => c.id) || []));
+  return messages.filter(m => m.role === 'tool').every(m => called.has(m.tool_call_id!));
+};
+
+// Under budget: untouched
+const small = history(2, 100);
+const untouched = fit(small, 32768);
+assert(untouched.messages === small && !untouched.stages.length, 'small history should be untouched');
+
+// Stale browser states go first
+const states = fit(history(6, 100), 4000);
+assert(states.stages[0] === 'drop_stale_state', 'stale state dropped first');
+assert(states.messages.filter(m => m.content?.startsWith('browser state')).length === 1, 'only the latest state kept');
+
+// Large histories end up inside the budget with the task preamble and tool pairing intact
+const big = fit(history(20, 20000), 8000);
+assert(big.tokens <= big.budget, `fits budget (${big.tokens} > ${big.budget})`);
+assert(big.messages[1].content === 'Find the price', 'task message kept');
+assert(big.stages.includes('summarize_old_turns'), 'old turns summarized');
+assert(big.messages.some(m => m.content?.includes('READ_PAGE({"tabId":0})')), 'summary names earlier calls');
+assert(pairedToolCalls(big.messages), 'every tool message follows its call');
+
+// A single oversized message is truncated as a last resort
+const single = fit([{ role: 'user', content: 'z'.repeat(100000) }], 4000);
+assert(single.tokens <= single.budget && single.stages.includes('truncate_largest'), 'oversized single message truncated');
+
+assert(estimateTokens([{ role: 'user', content: 'abcd'.repeat(100) }]) > 100, 'estimate counts content');
+assert(contextLengthFor('google/gemini-2.5-pro') > 32768 && contextLengthFor('unknown/model', 12345) === 12345, 'context length lookup');
+
+if (failed) {
+  console.error(`\n${failed} context budget test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All context budget tests passed');
+}
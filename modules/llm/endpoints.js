@@ -2,12 +2,16 @@
  * LLM Endpoints - Predefined configs and endpoint management
  */
 
+import { getAdapter, FORMAT_ANTHROPIC } from './adapters/index.js';
+import { listLocalModels, isLoopbackUrl } from './local.js';
+
 const CACHE_TTL = 5 * 60 * 1000;
 
 // Endpoint ID constants
 export const OPENROUTER_ID = 'openrouter';
 export const GROQ_ID = 'groq';
 export const GEMINI_ID = 'gemini';
+export const ANTHROPIC_ID = 'anthropic';
 
 export const PREDEFINED_ENDPOINTS = {
   [OPENROUTER_ID]: {
@@ -25,6 +29,12 @@ export const PREDEFINED_ENDPOINTS = {
     name: 'Gemini',
     url: 'https://generativelanguage.googleapis.com/v1beta/openai/chat/completions',
     modelsUrl: 'https://generativelanguage.googleapis.com/v1beta/openai/models'
+  },
+  [ANTHROPIC_ID]: {
+    name: 'Anthropic',
+    url: 'https://api.anthropic.com/v1/messages',
+    modelsUrl: 'https://api.anthropic.com/v1/models',
+    format: FORMAT_ANTHROPIC
   }
 };
 
@@ -38,6 +48,22 @@ export async function setEndpoints(endpoints) {
   await chrome.storage.local.set({ llmEndpoints: endpoints });
 }
 
+// Local endpoints (type 'local', or any custom URL on loopback) keep prompts on this machine
+export function isLocalEndpoint(endpointName, endpoints) {
+  const config = endpoints[endpointName];
+  if (PREDEFINED_ENDPOINTS[endpointName] || !config) return false;
+  return config.type === 'local' || isLoopbackUrl(config.url);
+}
+
+// Local-only mode: generation may use local endpoints only
+export async function getLocalOnly() {
+  return !!(await chrome.storage.local.get(['llmLocalOnly'])).llmLocalOnly;
+}
+
+export async function setLocalOnly(enabled) {
+  await chrome.storage.local.set({ llmLocalOnly: !!enabled });
+}
+
 export function resolveEndpoint(endpointName, endpoints) {
   const predefined = PREDEFINED_ENDPOINTS[endpointName];
   const userConfig = endpoints[endpointName];
@@ -47,20 +73,43 @@ export function resolveEndpoint(endpointName, endpoints) {
   }
 
   const apiKey = userConfig?.apiKey || '';
+  // Wire format: fixed for predefined endpoints, chosen by the user for custom ones
+  const format = predefined?.format || userConfig?.format;
+  const authHeaders = getAdapter(format).authHeaders(apiKey);
 
   return {
     name: predefined?.name || endpointName,
     url: predefined?.url || userConfig.url,
     apiKey,
+    format,
+    authHeaders,
     headers: {
       'Content-Type': 'application/json',
-      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      ...authHeaders,
       ...(predefined?.extraHeaders || {})
     },
     modelsUrl: predefined?.modelsUrl || userConfig.modelsUrl
   };
 }
 
+// Endpoints whose key was rejected (401/403) during generation; cleared by a successful call or re-saving the endpoint
+export async function getEndpointIssues() {
+  return (await chrome.storage.local.get(['llmEndpointIssues'])).llmEndpointIssues || {};
+}
+
+export async function markEndpointMisconfigured(endpointName, { status, message }) {
+  const issues = await getEndpointIssues();
+  issues[endpointName] = { status, message, at: Date.now() };
+  await chrome.storage.local.set({ llmEndpointIssues: issues });
+}
+
+export async function clearEndpointIssue(endpointName) {
+  const issues = await getEndpointIssues();
+  if (!issues[endpointName]) return;
+  delete issues[endpointName];
+  await chrome.storage.local.set({ llmEndpointIssues: issues });
+}
+
 export function getConfiguredEndpoints(endpoints) {
   const result = [];
 
@@ -72,7 +121,7 @@ export function getConfiguredEndpoints(endpoints) {
 
   for (const [id, config] of Object.entries(endpoints)) {
     if (!PREDEFINED_ENDPOINTS[id]) {
-      result.push({ id, name: id, predefined: false, url: config.url });
+      result.push({ id, name: id, predefined: false, url: config.url, local: isLocalEndpoint(id, endpoints) });
     }
   }
 
@@ -86,17 +135,27 @@ export async function fetchModelsForEndpoint(endpointName, endpoints) {
   }
 
   try {
+    if (endpoints[endpointName]?.type === 'local') {
+      const models = await listLocalModels(endpoints[endpointName]);
+      if (models.length) modelsCache.set(endpointName, { models, time: Date.now() });
+      return models.length ? models : cached?.models || [];
+    }
+
     const config = resolveEndpoint(endpointName, endpoints);
     if (!config.modelsUrl) return [];
 
-    const response = await fetch(config.modelsUrl, {
-      headers: config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}
-    });
+    const response = await fetch(config.modelsUrl, { headers: config.apiKey ? config.authHeaders : {} });
 
     if (!response.ok) return cached?.models || [];
 
     const data = await response.json();
-    const models = (data.data || []).map(m => ({ id: m.id, name: m.name || m.id }));
+    const models = (data.data || []).map(m => ({
+      id: m.id,
+      name: m.name || m.display_name || m.id,
+      contextLength: m.context_length ?? m.context_window ?? m.inputTokenLimit,
+      supportsVision: m.architecture?.input_modalities?.includes('image'),
+      pricing: parsePricing(m.pricing)
+    }));
 
     modelsCache.set(endpointName, { models, time: Date.now() });
     return models;
@@ -105,13 +164,30 @@ export async function fetchModelsForEndpoint(endpointName, endpoints) {
   }
 }
 
+// OpenRouter reports USD per token as strings; negative values mean variable pricing
+function parsePricing(pricing) {
+  const input = Number(pricing?.prompt), output = Number(pricing?.completion);
+  if (!(input >= 0) || !(output >= 0)) return undefined;
+  return { input: input * 1_000_000, output: output * 1_000_000 };
+}
+
+// Context length the endpoint reported for a model, if its model list has been fetched
+export function getReportedContextLength(endpointName, model) {
+  return modelsCache.get(endpointName)?.models.find(m => m.id === model)?.contextLength;
+}
+
+// Pricing the endpoint reported for a model, likewise only from a fetched model list
+export function getReportedPricing(endpointName, model) {
+  return modelsCache.get(endpointName)?.models.find(m => m.id === model)?.pricing;
+}
+
 export async function verifyApiKey(apiKey, endpointName = OPENROUTER_ID) {
   const predefined = PREDEFINED_ENDPOINTS[endpointName];
   if (!predefined) return { valid: false, error: 'Unknown endpoint' };
 
   try {
     const response = await fetch(predefined.modelsUrl, {
-      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+      headers: apiKey ? getAdapter(predefined.format).authHeaders(apiKey) : {}
     });
     return { valid: response.ok, error: response.ok ? null : 'Invalid API key' };
   } catch (e) {
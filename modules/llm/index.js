@@ -3,16 +3,20 @@
  */
 
 import logger from '../logger.js';
-import { callOpenAICompatible, verifyModel } from './api.js';
+import { callModel, verifyModel } from './api.js';
 import {
   getCascadingModels,
   shouldSkip,
   recordSuccess,
   recordError,
+  recordFailure,
+  recordUsage,
+  recordCacheLookup,
   getModels,
   setModels,
   getDefaultModels,
-  getAllModelsSortedByRecentErrors
+  getAllModelsSortedByRecentErrors,
+  soonestReopening
 } from './models.js';
 import {
   getEndpoints,
@@ -20,12 +24,37 @@ import {
   getConfiguredEndpoints,
   fetchModelsForEndpoint,
   verifyApiKey,
+  getReportedContextLength,
+  isLocalEndpoint,
+  getLocalOnly,
+  setLocalOnly,
+  getEndpointIssues,
+  markEndpointMisconfigured,
+  clearEndpointIssue,
   PREDEFINED_ENDPOINTS,
   OPENROUTER_ID
 } from './endpoints.js';
+import { fitToContext, contextLengthFor } from './context-budget.js';
+import { getManualPricing, setManualPricing } from './pricing.js';
+import { getAllCircuits, resetCircuit, CIRCUIT_OPEN, CIRCUIT_HALF_OPEN } from './circuit-breaker.js';
+import { SCHEMA_MODE_NATIVE, SCHEMA_MODE_LABELS } from './structured-output.js';
+import { cacheKey, getCached, setCached, clearResponseCache, DEFAULT_CACHE_TTL_MS } from './response-cache.js';
+import { withoutImages, hasImages } from './multimodal.js';
+import { discoverLocalServers, localEndpointConfig, isLoopbackUrl, LOCAL_SERVERS } from './local.js';
+import { FORMAT_OPENAI, FORMAT_LABELS } from './adapters/index.js';
 
 let initialized = false;
 
+// Messages as they fit this model's context window; the caller's history is left intact
+function fitMessagesForModel(messages, { endpoint, model, tools, schema }) {
+  const contextLength = contextLengthFor(model, getReportedContextLength(endpoint, model));
+  const fitted = fitToContext(messages, { contextLength, extra: tools || schema });
+  if (fitted.stages.length) {
+    logger.info('Compacted prompt to fit context window', { model, contextLength, tokens: fitted.tokens, stages: fitted.stages });
+  }
+  return fitted.messages;
+}
+
 export async function isInitialized() {
   if (initialized) return true;
   const endpoints = await getEndpoints();
@@ -33,7 +62,118 @@ export async function isInitialized() {
   return initialized;
 }
 
-export async function generate({ messages, intelligence = 'MEDIUM', tools, schema }) {
+// Record the served call's usage and report it, with the model that served it, to the caller
+async function accountUsage({ endpoint, model, openrouterProvider }, usage, onUsage) {
+  const totals = usage ? await recordUsage(endpoint, model, openrouterProvider, usage) : { input: 0, output: 0, cost: 0 };
+  onUsage?.({ endpoint, model, openrouterProvider, ...totals });
+}
+
+// In local-only mode, a filter that keeps models on local endpoints; otherwise keeps everything
+async function endpointFilter() {
+  if (!await getLocalOnly()) return () => true;
+  const endpoints = await getEndpoints();
+  const allowed = ({ endpoint }) => isLocalEndpoint(endpoint, endpoints);
+  if (!(await getAllModelsSortedByRecentErrors()).some(allowed)) {
+    throw new Error('Local-only mode is on, but no models on local endpoints are configured');
+  }
+  return allowed;
+}
+
+const MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 1000;
+// A longer Retry-After is not waited out; the next model is tried instead
+const MAX_RETRY_WAIT_MS = 20000;
+const TRANSIENT = new Set(['rate_limit', 'server']);
+
+// Wait ms, or reject with the abort reason; the listener goes once either happens
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => { clearTimeout(timer); reject(signal.reason); };
+  const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Call a model, retrying 429/5xx with exponential backoff that waits at least Retry-After
+async function callWithRetry(candidate, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await callModel({ ...candidate, ...options });
+    } catch (error) {
+      await recordFailure(candidate.endpoint, candidate.model, candidate.openrouterProvider, error.errorClass);
+      const wait = Math.max(error.retryAfterMs ?? 0, BACKOFF_BASE_MS * 2 ** attempt);
+      if (!TRANSIENT.has(error.errorClass) || attempt >= MAX_RETRIES || wait > MAX_RETRY_WAIT_MS || options.signal?.aborted) throw error;
+      logger.info(`Retrying ${candidate.model} in ${wait}ms`, { status: error.status, attempt: attempt + 1 });
+      await sleep(wait, options.signal);
+    }
+  }
+}
+
+// One model attempt: answer from the cache if allowed, else fit the prompt, call with retries,
+// check the result, record success and usage. Images only reach models flagged for vision
+async function attemptModel(candidate, { messages: allMessages, tools, schema, onDelta, onUsage, signal, cache }) {
+  const { endpoint, model, openrouterProvider, vision } = candidate;
+  const messages = vision ? allMessages : withoutImages(allMessages);
+  const key = cache && await cacheKey({ endpoint, model, openrouterProvider, messages, schema, tools });
+  if (key) {
+    const cached = getCached(key);
+    await recordCacheLookup(endpoint, model, openrouterProvider, cached !== undefined);
+    if (cached !== undefined) {
+      onUsage?.({ endpoint, model, openrouterProvider, input: 0, output: 0, cost: 0, cached: true });
+      return cached;
+    }
+  }
+
+  let usage = null;
+  const fittedMessages = fitMessagesForModel(messages, { endpoint, model, tools, schema });
+  const result = await callWithRetry(candidate, {
+    messages: fittedMessages, tools, schema, onDelta, signal, onUsage: u => { usage = u; }
+  });
+
+  if (tools && result.tool_calls?.length && !result.tool_calls[0].function?.name) {
+    throw new Error('Invalid tool call: missing function name');
+  }
+
+  await recordSuccess(endpoint, model, openrouterProvider);
+  await clearEndpointIssue(endpoint);
+  await accountUsage(candidate, usage, onUsage);
+  if (key) setCached(key, result, cache.ttl_ms ?? DEFAULT_CACHE_TTL_MS);
+  return result;
+}
+
+/**
+ * Act on a failed attempt by its class: every class feeds the model's circuit breaker with its own threshold;
+ * auth errors also mark the whole endpoint, 400s are reported as capability mismatches
+ */
+async function handleFailure({ endpoint, model, openrouterProvider }, error, misconfigured) {
+  await recordError(endpoint, model, openrouterProvider, error);
+  if (error.errorClass === 'auth') {
+    misconfigured.add(endpoint);
+    await markEndpointMisconfigured(endpoint, error);
+    logger.warn(`Endpoint ${endpoint} rejected its credentials`, { status: error.status, error: error.message });
+  } else if (error.errorClass === 'capability') {
+    logger.warn(`Capability mismatch: ${model} rejected the request`, { endpoint, error: error.message });
+  }
+}
+
+// With images in the prompt, vision models go first; the rest keep their order and see placeholders
+function preferVision(models, messages) {
+  if (!hasImages(messages)) return models;
+  return [...models.filter(m => m.vision), ...models.filter(m => !m.vision)];
+}
+
+/**
+ * Generate a completion, cascading through configured models
+ * onDelta (optional) streams partial output of each attempt; see callModel
+ * signal (optional) aborts the in-flight request and stops the cascade
+ * messages are compacted per model to fit its context window (see context-budget.js)
+ * onUsage (optional) receives { endpoint, model, input, output, cost } for the call that succeeded
+ * In local-only mode, models on remote endpoints are never called, including during fallback
+ * 429/5xx responses are retried per model; a 401/403 skips the endpoint's other models for this call
+ * cache (optional, true or { ttl_ms }) answers an identical earlier request from the response cache;
+ * a hit reports onUsage with cached: true and zero cost
+ * messages may carry image parts (see multimodal.js): vision models are tried first, others get a placeholder
+ */
+export async function generate({ messages, intelligence = 'MEDIUM', tools, schema, onDelta, onUsage, signal, cache }) {
   if (!tools?.length && !schema) {
     throw new Error('Either tools or schema is required');
   }
@@ -42,56 +182,68 @@ export async function generate({ messages, intelligence = 'MEDIUM', tools, schem
     throw new Error('No LLM endpoints configured');
   }
 
-  const cascadingModels = await getCascadingModels(intelligence);
+  const allowed = await endpointFilter();
+  const cascadingModels = preferVision((await getCascadingModels(intelligence)).filter(allowed), messages);
+  const request = { messages, tools, schema, onDelta, onUsage, signal, cache };
+  const misconfigured = new Set();
   let lastError = null;
 
-  for (const { endpoint, model, openrouterProvider, noToolChoice } of cascadingModels) {
-    if (await shouldSkip(endpoint, model, openrouterProvider)) {
+  for (const candidate of cascadingModels) {
+    if (misconfigured.has(candidate.endpoint)) continue;
+    if (await shouldSkip(candidate.endpoint, candidate.model, candidate.openrouterProvider)) {
       continue;
     }
 
     try {
-      const result = await callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice });
-
-      if (tools && result.tool_calls?.length && !result.tool_calls[0].function?.name) {
-        throw new Error('Invalid tool call: missing function name');
-      }
-
-      await recordSuccess(endpoint, model, openrouterProvider);
-      return result;
-
+      return await attemptModel(candidate, request);
     } catch (error) {
+      if (signal?.aborted) throw error;
       lastError = error;
-      await recordError(endpoint, model, openrouterProvider);
+      await handleFailure(candidate, error, misconfigured);
     }
   }
 
-  // Fallback: try all models sorted by recent errors, ignoring backoff
-  const sortedModels = await getAllModelsSortedByRecentErrors();
+  // Fallback: every model whose circuit lets a call through, sorted by recent errors. Only when
+  // all of them are open does the one that failed longest ago get a call
+  const sortedModels = (await getAllModelsSortedByRecentErrors()).filter(m => allowed(m) && !misconfigured.has(m.endpoint));
   logger.info('Cascade failed, attempting fallback recovery', { models: sortedModels.map(m => m.model) });
 
   const results = [];
-  for (const { endpoint, model, openrouterProvider, noToolChoice } of sortedModels) {
+  const skipped = [];
+  // { result } on success, null on failure
+  const attempt = async candidate => {
     try {
-      const result = await callOpenAICompatible({ endpoint, model, messages, tools, schema, openrouterProvider, noToolChoice });
-
-      if (tools && result.tool_calls?.length && !result.tool_calls[0].function?.name) {
-        throw new Error('Invalid tool call: missing function name');
-      }
-
-      results.push({ model, status: 'pass' });
+      const result = await attemptModel(candidate, request);
+      results.push({ model: candidate.model, status: 'pass' });
       logger.info('Fallback recovery complete', { results });
-      await recordSuccess(endpoint, model, openrouterProvider);
-      return result;
+      return { result };
     } catch (error) {
+      if (signal?.aborted) throw error;
       lastError = error;
-      results.push({ model, status: 'fail', error: error.message });
-      await recordError(endpoint, model, openrouterProvider);
+      results.push({ model: candidate.model, status: 'fail', errorClass: error.errorClass, error: error.message });
+      await handleFailure(candidate, error, misconfigured);
+      return null;
     }
+  };
+  for (const candidate of sortedModels) {
+    if (misconfigured.has(candidate.endpoint)) continue;
+    if (await shouldSkip(candidate.endpoint, candidate.model, candidate.openrouterProvider)) {
+      skipped.push(candidate);
+      continue;
+    }
+    const success = await attempt(candidate);
+    if (success) return success.result;
+  }
+  const lastResort = !results.length && await soonestReopening(skipped);
+  if (lastResort) {
+    logger.info(`Every circuit is open, trying ${lastResort.model}`);
+    const success = await attempt(lastResort);
+    if (success) return success.result;
   }
 
   logger.error('All fallback models failed', { results });
-  throw new Error(`All models failed. Last error: ${lastError?.message || 'Unknown'}`);
+  const kind = lastError?.errorClass ? ` (${lastError.errorClass}, HTTP ${lastError.status})` : '';
+  throw new Error(`All models failed. Last error${kind}: ${lastError?.message || 'Unknown'}`);
 }
 
 export {
@@ -104,6 +256,26 @@ export {
   fetchModelsForEndpoint,
   verifyApiKey,
   verifyModel,
+  getLocalOnly,
+  setLocalOnly,
+  isLocalEndpoint,
+  getEndpointIssues,
+  clearEndpointIssue,
+  getAllCircuits,
+  resetCircuit,
+  CIRCUIT_OPEN,
+  CIRCUIT_HALF_OPEN,
+  SCHEMA_MODE_NATIVE,
+  SCHEMA_MODE_LABELS,
+  FORMAT_OPENAI,
+  FORMAT_LABELS,
+  clearResponseCache,
+  discoverLocalServers,
+  localEndpointConfig,
+  isLoopbackUrl,
+  LOCAL_SERVERS,
+  getManualPricing,
+  setManualPricing,
   PREDEFINED_ENDPOINTS,
   OPENROUTER_ID
 };
@@ -0,0 +1,106 @@
+/**
+ * Local endpoints - Ollama, LM Studio and llama.cpp servers on this machine
+ * Discovery probes each server's default port; models, context length and tool support
+ * come from the server's own API. Requests never leave the loopback interface.
+ */
+
+export const LOCAL_SERVERS = {
+  ollama: { name: 'Ollama', port: 11434 },
+  lmstudio: { name: 'LM Studio', port: 1234 },
+  llamacpp: { name: 'llama.cpp', port: 8080 }
+};
+
+const PROBE_TIMEOUT_MS = 1500;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+export function isLoopbackUrl(url) {
+  try { return LOOPBACK_HOSTS.has(new URL(url).hostname); } catch { return false; }
+}
+
+async function fetchJSON(url, init = {}) {
+  try {
+    const response = await fetch(url, { ...init, signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Which server answers at baseUrl; each probe hits an endpoint only that server has
+async function identifyServer(baseUrl) {
+  if ((await fetchJSON(`${baseUrl}/api/tags`))?.models) return 'ollama';
+  if ((await fetchJSON(`${baseUrl}/api/v0/models`))?.data) return 'lmstudio';
+  if ((await fetchJSON(`${baseUrl}/props`))?.default_generation_settings) return 'llamacpp';
+  if ((await fetchJSON(`${baseUrl}/v1/models`))?.data) return 'openai';
+  return null;
+}
+
+export const localEndpointConfig = (server, baseUrl) => ({
+  type: 'local',
+  server,
+  baseUrl,
+  url: `${baseUrl}/v1/chat/completions`
+});
+
+/**
+ * Probe the default ports of known local servers
+ * @returns {Promise<Array<{ server, name, baseUrl, url }>>} Servers that answered
+ */
+export async function discoverLocalServers() {
+  const found = await Promise.all(Object.values(LOCAL_SERVERS).map(async ({ port }) => {
+    const baseUrl = `http://localhost:${port}`;
+    const server = await identifyServer(baseUrl);
+    return server && { ...localEndpointConfig(server, baseUrl), name: LOCAL_SERVERS[server]?.name || 'OpenAI-compatible' };
+  }));
+  return found.filter(Boolean);
+}
+
+// Ollama reports the trained context; a num_ctx parameter is what the server actually uses
+async function describeOllamaModel(baseUrl, name) {
+  const info = await fetchJSON(`${baseUrl}/api/show`, { method: 'POST', body: JSON.stringify({ model: name }) });
+  const numCtx = Number(/(?:^|\n)num_ctx\s+(\d+)/.exec(info?.parameters || '')?.[1]);
+  const trained = Object.entries(info?.model_info || {}).find(([key]) => key.endsWith('.context_length'))?.[1];
+  return {
+    id: name,
+    name,
+    contextLength: numCtx || trained,
+    supportsTools: info?.capabilities ? info.capabilities.includes('tools') : undefined,
+    supportsVision: info?.capabilities ? info.capabilities.includes('vision') : undefined
+  };
+}
+
+/**
+ * List a local server's models in the fetchModelsForEndpoint shape
+ * supportsTools and supportsVision are undefined when the server does not say
+ */
+export async function listLocalModels({ server, baseUrl }) {
+  switch (server) {
+    case 'ollama': {
+      const tags = await fetchJSON(`${baseUrl}/api/tags`);
+      return Promise.all((tags?.models || []).map(m => describeOllamaModel(baseUrl, m.name)));
+    }
+    case 'lmstudio': {
+      const res = await fetchJSON(`${baseUrl}/api/v0/models`);
+      return (res?.data || []).filter(m => m.type !== 'embeddings').map(m => ({
+        id: m.id,
+        name: m.id,
+        contextLength: m.loaded_context_length ?? m.max_context_length,
+        supportsTools: m.capabilities ? m.capabilities.includes('tool_use') : undefined,
+        supportsVision: m.type ? m.type === 'vlm' : undefined
+      }));
+    }
+    case 'llamacpp': {
+      const [models, props] = await Promise.all([fetchJSON(`${baseUrl}/v1/models`), fetchJSON(`${baseUrl}/props`)]);
+      return (models?.data || []).map(m => ({
+        id: m.id,
+        name: m.id,
+        contextLength: props?.default_generation_settings?.n_ctx ?? m.meta?.n_ctx_train,
+        supportsTools: props?.chat_template_caps?.supports_tool_calls
+      }));
+    }
+    default: {
+      const models = await fetchJSON(`${baseUrl}/v1/models`);
+      return (models?.data || []).map(m => ({ id: m.id, name: m.id }));
+    }
+  }
+}
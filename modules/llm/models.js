@@ -5,22 +5,26 @@
 import logger from '../logger.js';
 import { getModelStatsCounter, modelStatsKey } from '../time-bucket-counter.js';
 import { OPENROUTER_ID } from './endpoints.js';
+import { getCachedPricing, costFor } from './pricing.js';
+import { allowsRequest, getCircuit, recordCircuitSuccess, recordCircuitFailure, CIRCUIT_OPEN } from './circuit-breaker.js';
 
-// Model tuple: [endpoint, model, openrouterProvider, noToolChoice]
+// Model tuple: [endpoint, model, openrouterProvider, noToolChoice, schemaMode, vision]
 // openrouterProvider: provider slug for OpenRouter routing (e.g., 'google-ai-studio')
 // noToolChoice: boolean - skip tool_choice param for models that don't support it
+// schemaMode: how structured output is requested ('json_schema', 'tool' or 'prompt'); undefined = not probed, native
+// vision: boolean - the model accepts image content; others get a text placeholder instead
 export const DEFAULT_MODELS = {
   HIGH: [
-    [OPENROUTER_ID, 'google/gemini-2.5-pro', 'google-ai-studio'],
+    [OPENROUTER_ID, 'google/gemini-2.5-pro', 'google-ai-studio', undefined, undefined, true],
     [OPENROUTER_ID, 'qwen/qwen3-235b-a22b-2507', 'Cerebras']
   ],
   MEDIUM: [
     [OPENROUTER_ID, 'openai/gpt-oss-120b', 'Cerebras'],
-    [OPENROUTER_ID, 'google/gemini-2.5-flash', 'google-ai-studio'],
+    [OPENROUTER_ID, 'google/gemini-2.5-flash', 'google-ai-studio', undefined, undefined, true],
     [OPENROUTER_ID, 'meta-llama/llama-3.3-70b-instruct', 'Cerebras']
   ],
   LOW: [
-    [OPENROUTER_ID, 'google/gemini-2.5-flash-lite', 'google-ai-studio'],
+    [OPENROUTER_ID, 'google/gemini-2.5-flash-lite', 'google-ai-studio', undefined, undefined, true],
     [OPENROUTER_ID, 'qwen/qwen3-32b', 'Cerebras']
   ]
 };
@@ -45,36 +49,78 @@ export async function getCascadingModels(intelligence) {
 
   return INTELLIGENCE_LEVELS
     .slice(startIndex)
-    .flatMap(level => (models[level] || []).map(([endpoint, model, openrouterProvider, noToolChoice]) => ({
-      endpoint, model, openrouterProvider, noToolChoice
+    .flatMap(level => (models[level] || []).map(([endpoint, model, openrouterProvider, noToolChoice, schemaMode, vision]) => ({
+      endpoint, model, openrouterProvider, noToolChoice, schemaMode, vision
     })));
 }
 
+// An open circuit skips the model until its cooldown elapses, a half-open one while its trial call runs (see circuit-breaker.js)
 export async function shouldSkip(endpoint, model, openrouterProvider) {
   const key = modelStatsKey(endpoint, model, openrouterProvider);
-  const stats = await getModelStatsCounter().getStats(key);
-  const errors = stats?.error?.total || 0;
-  const skips = stats?.skip?.total || 0;
-
-  if (errors === 0) return false;
-  if (skips < errors) {
-    await getModelStatsCounter().increment(key, 'skip');
-    logger.info(`Skipping ${model}`, { errors, skips });
-    return true;
-  }
-  return false;
+  if (await allowsRequest(key)) return false;
+  await getModelStatsCounter().increment(key, 'skip');
+  const { reopensAt, errorClass, probing } = await getCircuit(key);
+  if (probing) logger.info(`Skipping ${model}, trial call in flight`, { errorClass });
+  else logger.info(`Skipping ${model}, circuit open`, { errorClass, reopensIn: `${Math.ceil((reopensAt - Date.now()) / 1000)}s` });
+  return true;
+}
+
+// The skipped model whose circuit reopens first: the one that failed longest ago
+export async function soonestReopening(models) {
+  const withCircuits = await Promise.all(models.map(async m => ({ m, circuit: await getCircuit(modelStatsKey(m.endpoint, m.model, m.openrouterProvider)) })));
+  return withCircuits
+    .filter(({ circuit }) => circuit.state === CIRCUIT_OPEN)
+    .sort((a, b) => a.circuit.reopensAt - b.circuit.reopensAt)[0]?.m || null;
 }
 
 export async function recordSuccess(endpoint, model, openrouterProvider) {
   const key = modelStatsKey(endpoint, model, openrouterProvider);
-  await getModelStatsCounter().reset(key, ['error', 'skip']);
   await getModelStatsCounter().increment(key, 'success');
+  await recordCircuitSuccess(key);
+}
+
+// Failure classes that say nothing about the model itself; they feed the circuit but not the 'error' count
+const NOT_MODEL_ERRORS = new Set(['rate_limit', 'auth', 'capability']);
+
+/**
+ * Record a failed attempt on the model's circuit breaker
+ * @param {object} [error] - The thrown error; its errorClass and retryAfterMs pick the circuit policy
+ */
+export async function recordError(endpoint, model, openrouterProvider, error = {}) {
+  const key = modelStatsKey(endpoint, model, openrouterProvider);
+  if (!NOT_MODEL_ERRORS.has(error.errorClass)) await getModelStatsCounter().increment(key, 'error');
+  const state = await recordCircuitFailure(key, error.errorClass, error.retryAfterMs);
+  if (state === CIRCUIT_OPEN) logger.info(`Circuit opened for ${model}`, { errorClass: error.errorClass || 'model' });
 }
 
-export async function recordError(endpoint, model, openrouterProvider) {
+// Counter per failed HTTP response, by class; counted on every response, retried ones included
+const FAILURE_COUNTERS = {
+  rate_limit: 'rate_limited',
+  server: 'server_error',
+  auth: 'auth_error',
+  capability: 'capability_error'
+};
+
+export async function recordFailure(endpoint, model, openrouterProvider, errorClass) {
+  const counter = FAILURE_COUNTERS[errorClass];
+  if (!counter) return;
+  await getModelStatsCounter().increment(modelStatsKey(endpoint, model, openrouterProvider), counter);
+}
+
+// Lookups by cacheable calls; the Stats tab shows hits / (hits + misses)
+export async function recordCacheLookup(endpoint, model, openrouterProvider, hit) {
+  await getModelStatsCounter().increment(modelStatsKey(endpoint, model, openrouterProvider), hit ? 'cache_hit' : 'cache_miss');
+}
+
+/**
+ * Add a call's token counts and its cost (USD, 0 when the model has no known price) to the model's stats
+ * @returns {{ input: number, output: number, cost: number }}
+ */
+export async function recordUsage(endpoint, model, openrouterProvider, { input = 0, output = 0 }) {
   const key = modelStatsKey(endpoint, model, openrouterProvider);
-  await getModelStatsCounter().increment(key, 'error');
-  await getModelStatsCounter().reset(key, ['skip']);
+  const cost = costFor({ input, output }, await getCachedPricing(endpoint, model).catch(() => null));
+  await getModelStatsCounter().incrementAll(key, { input_tokens: input, output_tokens: output, cost });
+  return { input, output, cost };
 }
 
 export async function getAllModelsSortedByRecentErrors() {
@@ -82,8 +128,8 @@ export async function getAllModelsSortedByRecentErrors() {
   const allModels = [];
 
   for (const level of ['HIGH', 'MEDIUM', 'LOW']) {
-    for (const [endpoint, model, openrouterProvider, noToolChoice] of (models[level] || [])) {
-      allModels.push({ endpoint, model, openrouterProvider, noToolChoice });
+    for (const [endpoint, model, openrouterProvider, noToolChoice, schemaMode, vision] of (models[level] || [])) {
+      allModels.push({ endpoint, model, openrouterProvider, noToolChoice, schemaMode, vision });
     }
   }
 
@@ -0,0 +1,27 @@
+/**
+ * Multimodal messages - Images travel as chat-completions content parts
+ * A user message's content may be [{ type: 'text', text }, { type: 'image_url', image_url: { url } }];
+ * models without the vision flag get a text placeholder in place of each image
+ */
+
+export const IMAGE_OMITTED = '[image omitted: this model does not accept images]';
+
+// A user message carrying one image (usually a data: URL) and a caption
+export const imageMessage = (url, caption) => ({
+  role: 'user',
+  content: [{ type: 'text', text: caption }, { type: 'image_url', image_url: { url } }]
+});
+
+export const hasImages = messages => messages.some(msg => Array.isArray(msg.content) && msg.content.some(p => p.type === 'image_url'));
+
+// Text of a message's content, whether a string or content parts
+export function messageText(content, imageText = '[image]') {
+  if (!Array.isArray(content)) return content ?? '';
+  return content.map(part => (part.type === 'text' ? part.text : imageText)).join('\n');
+}
+
+// Messages for a model without vision: image parts become text, so nothing it can't read is sent
+export function withoutImages(messages) {
+  if (!hasImages(messages)) return messages;
+  return messages.map(msg => (Array.isArray(msg.content) ? { ...msg, content: messageText(msg.content, IMAGE_OMITTED) } : msg));
+}
@@ -0,0 +1,68 @@
+/**
+ * Multimodal tests: image placeholders, vision gating in generate, image size estimates
+ * Run: npx tsx modules/llm/multimodal.test.ts
+ */
+export {};
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const store: Record<string, any> = {
+  llmEndpoints: { mock: { url: 'http://mock/v1/chat/completions', apiKey: 'k' } },
+  llmModels: { HIGH: [], MEDIUM: [['mock', 'text-only'], ['mock', 'seeing', undefined, undefined, undefined, true]], LOW: [] }
+};
+(globalThis as any).chrome = {
+  storage: { local: { get: async (keys: string[]) => Object.fromEntries(keys.map(k => [k, store[k]])), set: async (items: object) => Object.assign(store, items) } }
+};
+const bodies: any[] = [];
+(globalThis as any).fetch = async (_url: string, init: { body: string }): Promise<Response> => {
+  bodies.push(JSON.parse(init.body));
+  return new Response(JSON.stringify({
+    choices: [{ message: { role: 'assistant', content: '{"summary":"ok"}' } }],
+    usage: { prompt_tokens: 10, completion_tokens: 5 }
+  }));
+};
+
+const { imageMessage, withoutImages, messageText, IMAGE_OMITTED } = await import('./multimodal.js');
+const generate = (await import('./index.js')).generate as (options: any) => Promise<any>;
+const { estimateTokens } = await import('./context-budget.js');
+
+const SCREENSHOT = imageMessage('data:image/jpeg;base64,AAAA', 'Screenshot of tab 1');
+const MESSAGES = [{ role: 'user', content: 'What is on screen?' }, SCREENSHOT];
+
+// Placeholders
+const stripped = withoutImages(MESSAGES);
+assert(stripped[1].content === `Screenshot of tab 1\n${IMAGE_OMITTED}`, 'image replaced by a text placeholder');
+assert(stripped[0] === MESSAGES[0] && Array.isArray(SCREENSHOT.content), 'text messages and the original untouched');
+assert(withoutImages(stripped) === stripped, 'messages without images returned as is');
+assert(messageText(SCREENSHOT.content) === 'Screenshot of tab 1\n[image]', 'trace text marks the image');
+
+// Images count toward the context estimate at a flat size, not their base64 length
+assert(estimateTokens([SCREENSHOT]) > 1000, 'image estimated at screenshot size');
+
+// generate: a vision model is tried first and gets the image
+const SCHEMA = { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'] };
+await generate({ messages: MESSAGES, intelligence: 'MEDIUM', schema: SCHEMA });
+assert(bodies[0].model === 'seeing', 'vision model preferred for image prompts');
+assert(bodies[0].messages[1].content[1].image_url.url === 'data:image/jpeg;base64,AAAA', 'vision model receives the image part');
+
+// Without a vision model, the image never leaves the extension
+store.llmModels.MEDIUM = [['mock', 'text-only']];
+await generate({ messages: MESSAGES, intelligence: 'MEDIUM', schema: SCHEMA });
+assert(bodies[1].model === 'text-only' && !JSON.stringify(bodies[1]).includes('base64'), 'text-only model gets the placeholder');
+
+store.llmModels.MEDIUM = [['mock', 'text-only'], ['mock', 'seeing', undefined, undefined, undefined, true]];
+await generate({ messages: [MESSAGES[0]], intelligence: 'MEDIUM', schema: SCHEMA });
+assert(bodies[2].model === 'text-only', 'cascade order unchanged for text prompts');
+
+if (failed) {
+  console.error(`\n${failed} multimodal test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All multimodal tests passed');
+}
@@ -0,0 +1,39 @@
+/**
+ * LLM Pricing - USD per million tokens for an endpoint/model pair
+ * Prices entered by hand (custom endpoints) win over those the endpoint's /models list reports
+ */
+
+import { getReportedPricing } from './endpoints.js';
+
+const PRICING_KEY = 'llmModelPricing';
+const TOKENS_PER_UNIT = 1_000_000;
+
+const pricingKey = (endpoint, model) => `${endpoint}:${model}`;
+
+export async function getManualPricing(endpoint, model) {
+  const { [PRICING_KEY]: pricing = {} } = await chrome.storage.local.get([PRICING_KEY]);
+  return pricing[pricingKey(endpoint, model)] || null;
+}
+
+/** Save a hand-entered price; null clears it and falls back to reported pricing */
+export async function setManualPricing(endpoint, model, price) {
+  const { [PRICING_KEY]: pricing = {} } = await chrome.storage.local.get([PRICING_KEY]);
+  if (price) pricing[pricingKey(endpoint, model)] = price;
+  else delete pricing[pricingKey(endpoint, model)];
+  await chrome.storage.local.set({ [PRICING_KEY]: pricing });
+}
+
+// Never fetches: a model list not loaded yet leaves the call unpriced
+export async function getCachedPricing(endpoint, model) {
+  return await getManualPricing(endpoint, model) || getReportedPricing(endpoint, model) || null;
+}
+
+export function costFor({ input = 0, output = 0 }, pricing) {
+  if (!pricing) return 0;
+  return (input * (pricing.input || 0) + output * (pricing.output || 0)) / TOKENS_PER_UNIT;
+}
+
+export function formatCost(usd) {
+  if (!usd) return '$0';
+  return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
@@ -0,0 +1,72 @@
+/**
+ * Pricing tests - Run: npx tsx modules/llm/pricing.test.ts
+ */
+export {};
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const store: Record<string, any> = { llmEndpoints: { openrouter: { apiKey: 'k' } } };
+(globalThis as any).chrome = {
+  storage: { local: { get: async (keys: string[]) => structuredClone(Object.fromEntries(keys.map(k => [k, store[k]]))), set: async (items: object) => Object.assign(store, items) } }
+};
+// OpenRouter's /models reports USD per token as strings; negative means variable pricing
+const fetches: string[] = [];
+(globalThis as any).fetch = async (url: string) => {
+  fetches.push(url);
+  return new Response(JSON.stringify({
+    data: [
+      { id: 'vendor/priced', pricing: { prompt: '0.000003', completion: '0.000015' } },
+      { id: 'vendor/variable', pricing: { prompt: '-1', completion: '-1' } }
+    ]
+  }));
+};
+
+const { getCachedPricing, setManualPricing, costFor, formatCost } = await import('./pricing.js');
+const { fetchModelsForEndpoint } = await import('./endpoints.js');
+const { recordUsage } = await import('./models.js');
+const { getModelStatsCounter } = await import('../time-bucket-counter.js');
+
+const near = (a: number, b: number) => Math.abs(a - b) < 1e-9;
+
+// Nothing is fetched to price a call: an endpoint whose models were never listed has no price
+assert(await getCachedPricing('openrouter', 'vendor/priced') === null && !fetches.length, 'no price before the model list, and no fetch');
+
+// Reported pricing, converted to USD per million tokens
+await fetchModelsForEndpoint('openrouter', store.llmEndpoints);
+const reported: any = await getCachedPricing('openrouter', 'vendor/priced');
+assert(near(reported.input, 3) && near(reported.output, 15), 'per-token price becomes per million');
+assert(await getCachedPricing('openrouter', 'vendor/variable') === null, 'variable pricing left unpriced');
+
+// A hand-entered price wins, and clearing it falls back to the reported one
+await setManualPricing('openrouter', 'vendor/priced', { input: 1, output: 2 });
+assert((await getCachedPricing('openrouter', 'vendor/priced') as any).input === 1, 'manual price wins');
+await setManualPricing('custom', 'local-model', { input: 0.5, output: 0.5 });
+assert((await getCachedPricing('custom', 'local-model') as any).output === 0.5, 'custom endpoints priced by hand');
+await setManualPricing('openrouter', 'vendor/priced', null);
+assert(near((await getCachedPricing('openrouter', 'vendor/priced') as any).input, 3), 'cleared manual price falls back');
+
+// Cost: tokens times the per-million price
+assert(near(costFor({ input: 1_000_000, output: 1000 }, { input: 3, output: 15 }), 3.015), 'cost per million tokens');
+assert(costFor({ input: 500 }, null) === 0 && costFor({}, { input: 3, output: 15 }) === 0, 'no price or no tokens costs nothing');
+
+// Recorded usage adds tokens and cost to the model's counters
+await recordUsage('openrouter', 'vendor/priced', undefined, { input: 2000, output: 100 });
+const stats: any = await getModelStatsCounter().getStats('openrouter:vendor/priced:');
+assert(stats.input_tokens.total === 2000 && stats.output_tokens.total === 100 && near(stats.cost.total, 0.0075), 'usage counted with its cost');
+
+// Small amounts keep four decimals, the rest two
+assert(formatCost(0) === '$0' && formatCost(0.00123) === '$0.0012' && formatCost(0.00499) === '$0.0050', 'sub-cent rounding');
+assert(formatCost(0.01) === '$0.01' && formatCost(2.5) === '$2.50' && formatCost(1234.567) === '$1234.57', 'cents rounding');
+
+if (failed) {
+  console.error(`\n${failed} pricing test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All pricing tests passed');
+}
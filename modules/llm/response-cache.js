@@ -0,0 +1,59 @@
+/**
+ * Response Cache - Reuse a model's answer to an identical request
+ * Opt-in per generate call: entries are keyed by a SHA-256 of model, messages, schema and tools,
+ * live for a TTL and are evicted least-recently-used past the entry and size caps.
+ * Kept in memory, so page content never reaches storage and a service worker restart empties it.
+ */
+
+export const DEFAULT_CACHE_TTL_MS = 5 * 60_000;
+const MAX_ENTRIES = 100;
+const MAX_CHARS = 2_000_000;
+
+const entries = new Map(); // key -> { value, size, expiresAt }; insertion order is recency
+let totalChars = 0;
+
+/**
+ * @param {{ endpoint: string, model: string, openrouterProvider?: string, messages: array, schema?: object, tools?: array }} request
+ * @returns {Promise<string>} Hex digest
+ */
+export async function cacheKey({ endpoint, model, openrouterProvider, messages, schema, tools }) {
+  const text = JSON.stringify([endpoint, model, openrouterProvider || '', messages, schema || null, tools || null]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function remove(key) {
+  const entry = entries.get(key);
+  if (!entry) return;
+  totalChars -= entry.size;
+  entries.delete(key);
+}
+
+// A copy, so callers can't change what later hits see
+export function getCached(key, now = Date.now()) {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+  remove(key);
+  if (entry.expiresAt <= now) return undefined;
+  entries.set(key, entry);
+  totalChars += entry.size;
+  return structuredClone(entry.value);
+}
+
+export function setCached(key, value, ttlMs = DEFAULT_CACHE_TTL_MS, now = Date.now()) {
+  const size = JSON.stringify(value)?.length || 0;
+  if (size > MAX_CHARS) return;
+  remove(key);
+  entries.set(key, { value: structuredClone(value), size, expiresAt: now + ttlMs });
+  totalChars += size;
+
+  for (const oldest of entries.keys()) {
+    if (entries.size <= MAX_ENTRIES && totalChars <= MAX_CHARS) break;
+    remove(oldest);
+  }
+}
+
+export function clearResponseCache() {
+  entries.clear();
+  totalChars = 0;
+}
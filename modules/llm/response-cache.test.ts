@@ -0,0 +1,73 @@
+/**
+ * Response cache tests - Run: npx tsx modules/llm/response-cache.test.ts
+ */
+export {};
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const store: Record<string, any> = {
+  llmEndpoints: { mock: { url: 'http://mock/v1/chat/completions', apiKey: 'k' } },
+  llmModels: { HIGH: [], MEDIUM: [], LOW: [['mock', 'small']] }
+};
+(globalThis as any).chrome = {
+  storage: { local: { get: async (keys: string[]) => Object.fromEntries(keys.map(k => [k, store[k]])), set: async (items: object) => Object.assign(store, items) } }
+};
+let calls = 0;
+(globalThis as any).fetch = async (): Promise<Response> => {
+  calls++;
+  return new Response(JSON.stringify({
+    choices: [{ message: { role: 'assistant', content: `{"summary":"call ${calls}"}` } }],
+    usage: { prompt_tokens: 10, completion_tokens: 5 }
+  }));
+};
+
+const { cacheKey, getCached, setCached, clearResponseCache } = await import('./response-cache.js');
+const generate = (await import('./index.js')).generate as (options: any) => Promise<any>;
+const { getModelStatsCounter } = await import('../time-bucket-counter.js');
+
+// TTL and copies
+const key = await cacheKey({ endpoint: 'e', model: 'm', messages: [{ role: 'user', content: 'a' }] });
+assert(key === await cacheKey({ endpoint: 'e', model: 'm', messages: [{ role: 'user', content: 'a' }] }), 'key is deterministic');
+assert(key !== await cacheKey({ endpoint: 'e', model: 'other', messages: [{ role: 'user', content: 'a' }] }), 'model is part of the key');
+setCached(key, { n: 1 }, 1000, 0);
+const hit = getCached(key, 500);
+assert(hit?.n === 1, 'hit within TTL');
+hit.n = 2;
+assert(getCached(key, 600)?.n === 1, 'hits are copies');
+assert(getCached(key, 1000) === undefined && getCached(key, 0) === undefined, 'expired entry dropped');
+
+// Size cap evicts least recently used first
+clearResponseCache();
+for (let i = 0; i < 101; i++) setCached(`k${i}`, i, 1000, 0);
+assert(getCached('k0', 1) === undefined && getCached('k100', 1) === 100, 'entry cap evicts the oldest');
+clearResponseCache();
+
+// generate: opt-in, hit skips the call and reports cached usage
+const SCHEMA = { type: 'object', properties: { summary: { type: 'string' } }, required: ['summary'] };
+const request = (extra = {}) => ({ messages: [{ role: 'user', content: 'page text' }], intelligence: 'LOW', schema: SCHEMA, ...extra });
+const usages: any[] = [];
+const first = await generate(request({ cache: true, onUsage: (u: unknown) => usages.push(u) }));
+const second = await generate(request({ cache: true, onUsage: (u: unknown) => usages.push(u) }));
+assert(calls === 1 && second.summary === first.summary, 'identical cacheable request served from cache');
+assert(usages[1]?.cached === true && usages[1]?.cost === 0 && !usages[0]?.cached, 'cache hit reported in usage');
+await generate(request());
+assert(calls === 2, 'requests without cache always call the model');
+await generate(request({ cache: true, messages: [{ role: 'user', content: 'changed page' }] }));
+assert(calls === 3, 'different prompt misses');
+
+const stats = await getModelStatsCounter().getStats('mock:small:');
+assert(stats?.cache_hit?.total === 1 && stats?.cache_miss?.total === 2, 'hits and misses counted for the hit rate');
+assert(stats?.success?.total === 3, 'cache hits are not counted as model calls');
+
+if (failed) {
+  console.error(`\n${failed} response cache test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All response cache tests passed');
+}
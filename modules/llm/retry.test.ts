@@ -0,0 +1,126 @@
+/**
+ * HTTP failure classification and retry tests against a local mock server - Run: npx tsx modules/llm/retry.test.ts
+ */
+import { createServer, type IncomingMessage, type ServerResponse } from 'node:http';
+import type { AddressInfo } from 'node:net';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+type Reply = { status?: number; json?: unknown; headers?: Record<string, string> };
+const replies: Reply[] = [];
+const hits: string[] = [];
+const hitModels: string[] = [];
+const OK: Reply = { json: { choices: [{ message: { role: 'assistant', content: '{"answer":"ok"}' } }] } };
+
+const server = createServer((req: IncomingMessage, res: ServerResponse) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    hits.push(req.url || '');
+    hitModels.push(JSON.parse(body || '{}').model);
+    const { status = 200, json = {}, headers = {} } = replies.shift() || OK;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(json));
+  });
+});
+await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+const { port } = server.address() as AddressInfo;
+
+// Two endpoints on the mock server so auth failures can be told apart from model failures
+const store: Record<string, any> = {
+  llmEndpoints: {
+    first: { url: `http://127.0.0.1:${port}/first`, apiKey: 'k1' },
+    second: { url: `http://127.0.0.1:${port}/second`, apiKey: 'k2' }
+  },
+  llmModels: { HIGH: [], MEDIUM: [['first', 'model-a'], ['first', 'model-b'], ['second', 'model-c']], LOW: [] }
+};
+(globalThis as any).chrome = {
+  storage: { local: { get: async (keys: string[]) => Object.fromEntries(keys.map(k => [k, store[k]])), set: async (items: object) => Object.assign(store, items) } }
+};
+
+const { classifyStatus, parseRetryAfter } = await import('./api.js');
+const generate = (await import('./index.js')).generate as (options: any) => Promise<any>;
+const { getModelStatsCounter } = await import('../time-bucket-counter.js');
+
+const SCHEMA = { type: 'object', properties: { answer: { type: 'string' } } };
+const run = () => generate({ messages: [{ role: 'user', content: 'hi' }], schema: SCHEMA });
+const count = async (model: string, counter: string): Promise<number> =>
+  (await getModelStatsCounter().getStats(`${model.startsWith('model-c') ? 'second' : 'first'}:${model}:`))?.[counter]?.total || 0;
+const reset = async (): Promise<void> => {
+  await getModelStatsCounter().reset();
+  hits.length = 0;
+  hitModels.length = 0;
+  replies.length = 0;
+  delete store.llmEndpointIssues;
+  delete store.llmCircuits;
+};
+
+try {
+  assert(classifyStatus(429) === 'rate_limit' && classifyStatus(503) === 'server', 'transient classes');
+  assert(classifyStatus(401) === 'auth' && classifyStatus(403) === 'auth' && classifyStatus(400) === 'capability', 'permanent classes');
+  assert(parseRetryAfter('2') === 2000 && parseRetryAfter(null) === null, 'Retry-After seconds');
+  assert(parseRetryAfter(new Date(10_000).toUTCString(), 4_000) === 6_000, 'Retry-After HTTP date');
+
+  // 429 then success: retried on the same model, which is not benched
+  await reset();
+  replies.push({ status: 429, headers: { 'Retry-After': '0' }, json: { error: { message: 'slow down' } } });
+  assert((await run()).answer === 'ok', 'rate-limited call retried to success');
+  assert(hits.join() === '/first,/first', 'retry stays on the same model');
+  assert(await count('model-a', 'rate_limited') === 1 && await count('model-a', 'error') === 0, '429 counted as rate_limited, not error');
+
+  // A long Retry-After is not waited out: the next model serves the call
+  await reset();
+  replies.push({ status: 429, headers: { 'Retry-After': '3600' } });
+  const started = Date.now();
+  await run();
+  assert(Date.now() - started < 1000 && hits.length === 2, 'long Retry-After moves to the next model');
+  assert(await count('model-a', 'error') === 0, 'rate limit does not bench');
+
+  // 401 marks the endpoint and skips its other models
+  await reset();
+  replies.push({ status: 401, json: { error: { message: 'bad key' } } });
+  await run();
+  assert(hits.join() === '/first,/second', 'auth failure skips the rest of the endpoint');
+  assert(store.llmEndpointIssues?.first?.status === 401, 'endpoint marked misconfigured');
+  assert(await count('model-a', 'auth_error') === 1 && await count('model-a', 'error') === 0, '401 counted as auth_error');
+
+  // A later success on the endpoint clears the mark
+  await run();
+  assert(!store.llmEndpointIssues?.first, 'success clears the endpoint issue');
+
+  // 400 is a capability mismatch, not a model failure
+  await reset();
+  replies.push({ status: 400, json: { error: { message: 'response_format not supported' } } });
+  await run();
+  assert(await count('model-a', 'capability_error') === 1 && await count('model-a', 'error') === 0, '400 counted as capability_error');
+
+  // Fallback skips open circuits: model-a is never called while model-b and model-c are usable
+  await reset();
+  const now = Date.now();
+  store.llmCircuits = { 'first:model-a:': { reopensAt: now + 60_000, openedAt: now, trips: 1, failures: [] } };
+  const rejected = { status: 400, json: { error: { message: 'unsupported' } } };
+  replies.push(rejected, rejected, rejected, rejected);
+  await run().catch(() => {});
+  assert(!hitModels.includes('model-a') && hitModels.length === 4, 'fallback leaves the open circuit alone');
+
+  // With every circuit open, only the one that reopens first gets a call
+  await reset();
+  store.llmCircuits = Object.fromEntries([['first:model-a:', 3], ['first:model-b:', 1], ['second:model-c:', 2]]
+    .map(([key, minutes]) => [key, { reopensAt: now + Number(minutes) * 60_000, openedAt: now, trips: 1, failures: [] }]));
+  assert((await run()).answer === 'ok' && hitModels.join() === 'model-b', 'all open: one call, to the soonest reopening');
+} finally {
+  server.close();
+}
+
+if (failed) {
+  console.error(`\n${failed} retry test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All retry tests passed');
+}
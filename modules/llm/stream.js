@@ -0,0 +1,96 @@
+/**
+ * LLM Streaming - SSE parsing and incremental message assembly
+ */
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// Yield the `data:` payloads of a server-sent events response body
+export async function* readSSE(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * Assemble a chat-completions message from a `stream: true` response
+ * onDelta(delta, snapshot) fires per chunk: delta holds the new fragments,
+ * snapshot the content and tool calls accumulated so far for this call
+ * @returns {{ message: object|null, usage: object|undefined }} usage comes from the final chunk, if sent
+ */
+export async function readStreamedMessage(response, onDelta) {
+  let content = '';
+  const toolCalls = [];
+  let usage;
+
+  for await (const data of readSSE(response)) {
+    let chunk;
+    try { chunk = JSON.parse(data); } catch { continue; }
+    if (chunk.error) throw new Error(chunk.error.message || 'Stream error');
+    if (chunk.usage) usage = chunk.usage;
+
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) content += delta.content;
+    for (const tc of delta.tool_calls || []) {
+      const call = toolCalls[tc.index ?? toolCalls.length] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+      if (tc.id) call.id = tc.id;
+      if (tc.function?.name) call.function.name += tc.function.name;
+      if (tc.function?.arguments) call.function.arguments += tc.function.arguments;
+    }
+
+    onDelta(
+      { content: delta.content || '', tool_calls: delta.tool_calls || [] },
+      { content, tool_calls: toolCalls }
+    );
+  }
+
+  if (!content && !toolCalls.length) return { message: null, usage };
+
+  const message = { role: 'assistant', content: content || null };
+  if (toolCalls.length) message.tool_calls = toolCalls.filter(Boolean);
+  return { message, usage };
+}
+
+/**
+ * Read the (possibly unterminated) string value of `field` from partial JSON text
+ * Used to show a schema response's user-facing field while it is still streaming
+ */
+export function extractPartialString(json, field) {
+  const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(json || '');
+  if (!match) return '';
+
+  let out = '';
+  for (let i = match.index + match[0].length; i < json.length; i++) {
+    const ch = json[i];
+    if (ch === '"') break;
+    if (ch !== '\\') { out += ch; continue; }
+
+    const next = json[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = json.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      out += ESCAPES[next] ?? next;
+      i++;
+    }
+  }
+  return out;
+}
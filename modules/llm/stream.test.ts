@@ -0,0 +1,69 @@
+/**
+ * Streaming tests - Run: npx tsx modules/llm/stream.test.ts
+ */
+import { readSSE, readStreamedMessage, extractPartialString } from './stream.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+// A response whose body arrives in exactly these byte chunks
+const responseOf = (...chunks: (string | Uint8Array)[]) => new Response(new ReadableStream({
+  start(controller) {
+    for (const chunk of chunks) controller.enqueue(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+    controller.close();
+  }
+}));
+const collect = async (response: Response) => {
+  const out: string[] = [];
+  for await (const data of readSSE(response)) out.push(data);
+  return out;
+};
+
+// Lines split across chunks are joined; comments, blank data and other fields are skipped
+assert((await collect(responseOf('data: {"a"', ':1}\n\nda', 'ta: two\r\n', ': ping\nevent: x\ndata:\n'))).join('|') === '{"a":1}|two', 'lines split mid-chunk reassembled');
+
+// [DONE] ends the stream, even with data after it
+assert((await collect(responseOf('data: one\n', 'data: [DONE]\n', 'data: late\n'))).join('|') === 'one', 'stops at [DONE]');
+
+// A trailing line without its newline is not yielded
+assert((await collect(responseOf('data: one\ndata: cut'))).join('|') === 'one', 'unterminated last line dropped');
+
+// A multi-byte character split between chunks decodes whole
+const euro = new TextEncoder().encode('data: €\n');
+assert((await collect(responseOf(euro.slice(0, 7), euro.slice(7)))).join() === '€', 'split UTF-8 character decoded');
+
+// Content and tool call fragments accumulate; usage comes from the final chunk
+const chunk = (delta: object) => `data: ${JSON.stringify({ choices: [{ delta }] })}\n\n`;
+const deltas: string[] = [];
+const { message, usage }: any = await readStreamedMessage(responseOf(
+  chunk({ content: 'Hel' }),
+  chunk({ content: 'lo', tool_calls: [{ index: 0, id: 'c1', function: { name: 'CLICK', arguments: '{"id":' } }] }),
+  chunk({ tool_calls: [{ index: 0, function: { arguments: '"x"}' } }] }),
+  `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 3 } })}\n\ndata: [DONE]\n\n`
+), (delta: any) => deltas.push(delta.content));
+assert(message.content === 'Hello' && deltas.join() === 'Hel,lo,', 'content accumulated, one delta per chunk');
+assert(message.tool_calls[0].function.arguments === '{"id":"x"}' && message.tool_calls[0].id === 'c1', 'tool call arguments joined');
+assert(usage?.prompt_tokens === 3, 'usage from the final chunk');
+
+// Partial JSON: the field is read up to its closing quote, or as far as it goes
+assert(extractPartialString('{"text": "Hello", "x": 1}', 'text') === 'Hello', 'complete string');
+assert(extractPartialString('{"answer":"Half wr', 'answer') === 'Half wr', 'unterminated string');
+assert(extractPartialString('{"answer"', 'answer') === '' && extractPartialString('', 'answer') === '', 'no value yet');
+assert(extractPartialString('{"answer":"She said \\"hi\\" then', 'answer') === 'She said "hi" then', 'escaped quotes kept');
+assert(extractPartialString('{"answer":"a\\nb\\\\c\\t', 'answer') === 'a\nb\\c\t', 'escapes decoded');
+assert(extractPartialString('{"answer":"ends in \\', 'answer') === 'ends in ', 'lone trailing backslash held back');
+assert(extractPartialString('{"answer":"caf\\u00e9"', 'answer') === 'café', 'unicode escape decoded');
+assert(extractPartialString('{"answer":"caf\\u00', 'answer') === 'caf', 'partial unicode escape held back');
+assert(extractPartialString('{"answer":"caf\\u', 'answer') === 'caf', 'bare \\u held back');
+
+if (failed) {
+  console.error(`\n${failed} streaming test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All streaming tests passed');
+}
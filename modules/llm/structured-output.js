@@ -0,0 +1,94 @@
+/**
+ * Structured Output - How a model is asked for JSON, and how its answer is read back
+ * Modes, best first: native json_schema response_format, a forced single tool call whose
+ * arguments are the answer, or instructions in the prompt. Every mode ends in repair + validation.
+ */
+
+import { validateSchema, formatSchemaError } from '../json-schema.js';
+
+export const SCHEMA_MODE_NATIVE = 'json_schema';
+export const SCHEMA_MODE_TOOL = 'tool';
+export const SCHEMA_MODE_PROMPT = 'prompt';
+
+// Name of the forced tool in tool mode
+export const SCHEMA_TOOL = 'response';
+
+export const SCHEMA_MODE_LABELS = {
+  [SCHEMA_MODE_NATIVE]: 'JSON schema',
+  [SCHEMA_MODE_TOOL]: 'JSON via tool call',
+  [SCHEMA_MODE_PROMPT]: 'JSON via prompt'
+};
+
+export const schemaTool = schema => ({
+  type: 'function',
+  function: { name: SCHEMA_TOOL, description: 'Respond with the requested structure', parameters: schema }
+});
+
+// Prompt mode: the schema goes into the leading system message
+export function withSchemaInstruction(messages, schema) {
+  const instruction = `Respond with a single JSON object and nothing else: no prose, no code fences. It must match this JSON Schema:\n${JSON.stringify(schema)}`;
+  if (messages[0]?.role === 'system') {
+    return [{ ...messages[0], content: `${messages[0].content}\n\n${instruction}` }, ...messages.slice(1)];
+  }
+  return [{ role: 'system', content: instruction }, ...messages];
+}
+
+const withoutTrailingCommas = text => text.replace(/,\s*([}\]])/g, '$1');
+
+// Close strings and brackets left open by a truncated response
+function closeOpen(text) {
+  const closers = [];
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === '{') closers.push('}');
+    else if (ch === '[') closers.push(']');
+    else if (ch === '}' || ch === ']') closers.pop();
+  }
+  return text + (inString ? '"' : '') + closers.reverse().join('');
+}
+
+/**
+ * Parse JSON from model text, tolerating code fences, surrounding prose,
+ * trailing commas and truncation
+ */
+export function repairJSON(text) {
+  const stripped = String(text ?? '').replace(/```(?:json)?/gi, '').trim();
+  const start = stripped.search(/[{[]/);
+  if (start < 0) throw new Error('no JSON object found');
+
+  const body = stripped.slice(start);
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+  for (const candidate of [body, body.slice(0, end + 1)]) {
+    for (const attempt of [candidate, closeOpen(withoutTrailingCommas(candidate))]) {
+      try { return JSON.parse(attempt); } catch { /* next repair */ }
+    }
+  }
+  throw new Error('could not repair JSON');
+}
+
+/**
+ * Read a schema response: repair the JSON, then validate it against the step's output_schema
+ * @throws {Error} With schemaErrors ({ path, message }[]) when the JSON does not match
+ */
+export function parseStructuredOutput(content, schema) {
+  let value;
+  try {
+    value = repairJSON(content);
+  } catch (e) {
+    throw new Error(`Invalid JSON in schema response: ${e.message}`);
+  }
+
+  const errors = validateSchema(value, schema);
+  if (errors.length) {
+    throw Object.assign(
+      new Error(`Schema response does not match output_schema: ${errors.slice(0, 5).map(formatSchemaError).join('; ')}`),
+      { schemaErrors: errors }
+    );
+  }
+  return value;
+}
@@ -0,0 +1,72 @@
+/**
+ * Structured output tests: JSON repair, validation and the OpenAI adapter's schema modes
+ * Run: npx tsx modules/llm/structured-output.test.ts
+ */
+import { repairJSON, parseStructuredOutput, SCHEMA_TOOL } from './structured-output.js';
+import { openaiAdapter } from './adapters/openai.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: { final_answer: { type: 'string' }, method: { type: 'string' } },
+  required: ['final_answer', 'method'],
+  additionalProperties: false
+};
+const MESSAGES = [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Answer' }];
+const build = (schemaMode?: string, noToolChoice = false): any =>
+  openaiAdapter.buildRequest({ model: 'm', messages: MESSAGES, schema: SCHEMA, schemaMode, noToolChoice } as any);
+
+// Repair: fences, prose, trailing commas, truncation
+assert(repairJSON('```json\n{"a": 1}\n```').a === 1, 'code fence stripped');
+assert(repairJSON('Sure! Here it is: {"a": [1, 2,],} Hope that helps.').a.length === 2, 'prose and trailing commas');
+assert(repairJSON('{"a": "cut off mid str').a === 'cut off mid str', 'truncated string closed');
+assert(repairJSON('{"a": {"b": [1').a.b[0] === 1, 'truncated brackets closed');
+let threw = false;
+try { repairJSON('no json here'); } catch { threw = true; }
+assert(threw, 'text without JSON rejected');
+
+// Validation against the output schema
+assert(parseStructuredOutput('{"final_answer": "x", "method": "y"}', SCHEMA).final_answer === 'x', 'valid output parsed');
+const invalid = (() => { try { parseStructuredOutput('{"final_answer": 3}', SCHEMA); } catch (e) { return e as any; } })();
+assert(invalid?.schemaErrors?.map((e: any) => e.path).sort().join() === '/final_answer,/method', 'schema errors listed by path');
+const broken = (() => { try { parseStructuredOutput('', SCHEMA); } catch (e) { return e as Error; } })();
+assert(!!broken?.message.startsWith('Invalid JSON in schema response'), 'empty content rejected');
+
+// Request shapes per mode
+assert(build().response_format?.type === 'json_schema' && !build().tools, 'native mode uses response_format');
+const tool = build('tool');
+assert(tool.tools[0].function.name === SCHEMA_TOOL && tool.tool_choice?.function?.name === SCHEMA_TOOL && !tool.response_format, 'tool mode forces the schema tool');
+assert(!build('tool', true).tool_choice, 'tool mode respects noToolChoice');
+const prompt = build('prompt');
+assert(!prompt.response_format && !prompt.tools && prompt.messages.length === 2, 'prompt mode sends no schema parameters');
+assert(prompt.messages[0].content.startsWith('Be brief') && prompt.messages[0].content.includes('"final_answer"'), 'schema instruction merged into the system prompt');
+assert(MESSAGES[0].content === 'Be brief', 'caller messages untouched');
+
+// Tool mode: the tool arguments come back as content, streamed or not
+const parsed = openaiAdapter.parseResponse(
+  { choices: [{ message: { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: SCHEMA_TOOL, arguments: '{"final_answer":"a","method":"b"}' } }] } }] },
+  { schema: SCHEMA, schemaMode: 'tool' }
+);
+assert(parseStructuredOutput(parsed.message.content, SCHEMA).method === 'b', 'tool arguments returned as content');
+
+const chunk = (args: string, name?: string) =>
+  `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [{ index: 0, function: { ...(name ? { name } : {}), arguments: args } }] } }] })}\n\n`;
+const sse = new Response(chunk('{"final_answer": "Hel', SCHEMA_TOOL) + chunk('lo", "method": "m"}') + 'data: [DONE]\n\n');
+const snapshots: string[] = [];
+const streamed = await openaiAdapter.readStream(sse, (_d: unknown, snap: { content: string }) => snapshots.push(snap.content), { schema: SCHEMA, schemaMode: 'tool' });
+assert(snapshots.at(-1) === '{"final_answer": "Hello", "method": "m"}', 'tool arguments streamed as content');
+assert(JSON.parse(streamed.message.content).final_answer === 'Hello', 'streamed tool mode message');
+
+if (failed) {
+  console.error(`\n${failed} structured output test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All structured output tests passed');
+}
@@ -1,4 +1,7 @@
 // UI Rendering Functions
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { tableToCSV } from './tables.js';
 
 function formatTimestamp(isoString) {
   const date = new Date(isoString);
@@ -32,10 +35,40 @@ export function createExtractionItem(extraction) {
   return el;
 }
 
-function createSection(label, content) {
+function createSection(label, content, { markdown = false } = {}) {
   const el = tpl('tpl-extraction-section');
   el.querySelector('.section-label').textContent = label;
-  el.querySelector('.section-content').textContent = content;
+  const contentEl = el.querySelector('.section-content');
+  if (markdown) {
+    contentEl.classList.remove('whitespace-pre-wrap', 'max-h-[15vh]');
+    contentEl.classList.add('extraction-markdown', 'max-h-[40vh]');
+    contentEl.innerHTML = DOMPurify.sanitize(marked.parse(content));
+  } else {
+    contentEl.textContent = content;
+  }
+  return el;
+}
+
+function downloadCSV(table, name) {
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  const url = URL.createObjectURL(new Blob(['\ufeff', tableToCSV(table)], { type: 'text/csv' }));
+  Object.assign(document.createElement('a'), { href: url, download: `${name}.csv` }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// One line per table: caption, size and a CSV download
+function createTablesSection(tables, pageTitle) {
+  const el = tpl('tpl-extraction-section');
+  el.querySelector('.section-label').textContent = `Tables (${tables.length})`;
+  const contentEl = el.querySelector('.section-content');
+  contentEl.classList.remove('whitespace-pre-wrap');
+  tables.forEach((table, i) => {
+    const name = table.caption || `${pageTitle || 'Table'} ${i + 1}`;
+    const row = tpl('tpl-extraction-table');
+    row.querySelector('.table-label').textContent = `${name} · ${table.row_count} rows × ${table.headers.length} columns`;
+    row.querySelector('.table-csv').addEventListener('click', () => downloadCSV(table, name.replace(/[^\w -]+/g, '_')));
+    contentEl.appendChild(row);
+  });
   return el;
 }
 
@@ -46,13 +79,18 @@ export function createExtractionDetail(extraction) {
   el.querySelector('.detail-time').textContent = `Extracted: ${formatTimestamp(extraction.timestamp)}`;
 
   const sectionsEl = el.querySelector('.detail-sections');
-  sectionsEl.appendChild(createSection('Text Content (first 1000 chars)', extraction.text?.substring(0, 1000) || 'No text content'));
+  // The content script extracts the main content as Markdown
+  sectionsEl.appendChild(createSection('Main Content', extraction.text || 'No text content', { markdown: true }));
 
   const links = extraction.links?.slice(0, 10) || [];
   if (links.length) {
     sectionsEl.appendChild(createSection('Links (first 10)', links.map(l => `${l.text || 'No text'}: ${l.href}`).join('\n')));
   }
 
+  if (extraction.tables?.length) {
+    sectionsEl.appendChild(createTablesSection(extraction.tables, extraction.title));
+  }
+
   const buttons = extraction.buttons?.slice(0, 10) || [];
   if (buttons.length) {
     sectionsEl.appendChild(createSection('Buttons (first 10)', buttons.map(b => `${b.text || 'No text'} (${b.id || b.class || 'no id/class'})`).join('\n')));
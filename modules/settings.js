@@ -14,6 +14,24 @@ import {
   fetchAvailableProviders,
   verifyApiKey,
   verifyModel,
+  getManualPricing,
+  setManualPricing,
+  getLocalOnly,
+  setLocalOnly,
+  getEndpointIssues,
+  clearEndpointIssue,
+  getAllCircuits,
+  resetCircuit,
+  CIRCUIT_OPEN,
+  CIRCUIT_HALF_OPEN,
+  SCHEMA_MODE_NATIVE,
+  SCHEMA_MODE_LABELS,
+  FORMAT_OPENAI,
+  FORMAT_LABELS,
+  discoverLocalServers,
+  localEndpointConfig,
+  isLoopbackUrl,
+  LOCAL_SERVERS,
   PREDEFINED_ENDPOINTS,
   OPENROUTER_ID
 } from './llm/index.js';
@@ -27,6 +45,7 @@ let openrouterProvidersCache = null;
 const verificationStatus = new Map();
 const endpointVerificationStatus = new Map();
 const TIERS = ['HIGH', 'MEDIUM', 'LOW'];
+const LOCAL_TYPE = 'local';
 const STATUS = {
   VALID: { inputClass: 'input-success', textClass: 'text-success', icon: '✓' },
   INVALID: { inputClass: 'input-error', textClass: 'text-error', icon: '✗' },
@@ -48,7 +67,8 @@ function renderEndpoints() {
     el.dataset.endpoint = id;
     el.querySelector('.endpoint-name').textContent = PREDEFINED_ENDPOINTS[id]?.name || id;
     const keyEl = el.querySelector('.endpoint-key');
-    if (config.apiKey) keyEl.textContent = config.apiKey.slice(0, 8) + '...';
+    if (config.type === LOCAL_TYPE) keyEl.textContent = `${LOCAL_SERVERS[config.server]?.name || 'Local'} · ${new URL(config.url).host}`;
+    else if (config.apiKey) keyEl.textContent = config.apiKey.slice(0, 8) + '...';
     else if (config.url) { try { keyEl.textContent = new URL(config.url).hostname; } catch { keyEl.textContent = config.url; } }
     else keyEl.textContent = 'no key';
 
@@ -89,38 +109,91 @@ function createEndpointEditingRow(id = '', config = {}) {
   const el = tpl('tpl-endpoint-editing');
   const typeSelect = el.querySelector('.endpoint-type-select'), nameInput = el.querySelector('.endpoint-name-input');
   const urlInput = el.querySelector('.endpoint-url-input'), keyInput = el.querySelector('.endpoint-key-input');
+  const formatSelect = el.querySelector('.endpoint-format-select'), localSelect = el.querySelector('.endpoint-local-select');
+  formatSelect.replaceChildren(...Object.entries(FORMAT_LABELS).map(([format, label]) => new Option(label, format)));
+  const showLocal = isLocal => {
+    el.querySelector('.endpoint-local-row').classList.toggle('hidden', !isLocal);
+    keyInput.classList.toggle('hidden', isLocal);
+  };
 
   if (id && PREDEFINED_ENDPOINTS[id]) {
     typeSelect.value = id; urlInput.value = PREDEFINED_ENDPOINTS[id].url;
     urlInput.readOnly = true; urlInput.classList.add('opacity-50');
+  } else if (id && config.type === LOCAL_TYPE) {
+    typeSelect.value = LOCAL_TYPE; nameInput.value = id;
+    nameInput.classList.remove('hidden'); typeSelect.classList.add('hidden');
+    urlInput.value = config.url;
+    localSelect.replaceChildren(localServerOption({ ...config, name: LOCAL_SERVERS[config.server]?.name || 'Local server' }));
+    showLocal(true);
   } else if (id) {
     typeSelect.value = ''; nameInput.value = id;
     nameInput.classList.remove('hidden'); typeSelect.classList.add('hidden');
     urlInput.value = config.url || '';
+    formatSelect.value = config.format || FORMAT_OPENAI;
+    formatSelect.classList.remove('hidden');
   }
   keyInput.value = config.apiKey || '';
 
   typeSelect.addEventListener('change', () => {
-    const val = typeSelect.value, isPredefined = !!val;
+    const val = typeSelect.value, isPredefined = !!PREDEFINED_ENDPOINTS[val], isLocal = val === LOCAL_TYPE;
     nameInput.classList.toggle('hidden', isPredefined);
+    formatSelect.classList.toggle('hidden', isPredefined || isLocal);
+    showLocal(isLocal);
     urlInput.readOnly = isPredefined; urlInput.classList.toggle('opacity-50', isPredefined);
     urlInput.value = isPredefined ? PREDEFINED_ENDPOINTS[val].url : '';
     if (!isPredefined) nameInput.value = '';
+    if (isLocal) scanLocalServers(el);
   });
+  localSelect.addEventListener('change', () => applyLocalServer(el));
 
   el.dataset.endpoint = id;
   return el;
 }
 
+// Server name and URL come from the network, so they go in as text
+function localServerOption({ server, baseUrl, name }) {
+  const option = document.createElement('option');
+  option.value = baseUrl; option.dataset.server = server;
+  option.textContent = `${name} · ${baseUrl}`;
+  return option;
+}
+
+async function scanLocalServers(row) {
+  const select = row.querySelector('.endpoint-local-select'), scanBtn = row.querySelector('.scan');
+  scanBtn.disabled = true; select.innerHTML = '<option value="">Scanning localhost...</option>';
+  const servers = await discoverLocalServers();
+  scanBtn.disabled = false;
+  if (servers.length) select.replaceChildren(...servers.map(localServerOption));
+  else select.innerHTML = '<option value="">No local server found, enter its URL below</option>';
+  applyLocalServer(row);
+}
+
+function applyLocalServer(row) {
+  const option = row.querySelector('.endpoint-local-select').selectedOptions[0];
+  if (!option?.value) return;
+  row.querySelector('.endpoint-url-input').value = localEndpointConfig(option.dataset.server, option.value).url;
+  const nameInput = row.querySelector('.endpoint-name-input');
+  if (!nameInput.value) nameInput.value = option.dataset.server;
+}
+
 async function handleEndpointSave(row) {
   const typeSelect = row.querySelector('.endpoint-type-select'), nameInput = row.querySelector('.endpoint-name-input');
   const urlInput = row.querySelector('.endpoint-url-input'), keyInput = row.querySelector('.endpoint-key-input');
-  const saveBtn = row.querySelector('.save'), id = typeSelect.value || nameInput.value.trim();
+  const isLocal = typeSelect.value === LOCAL_TYPE, localOption = row.querySelector('.endpoint-local-select').selectedOptions[0];
+  const saveBtn = row.querySelector('.save'), id = isLocal ? nameInput.value.trim() : typeSelect.value || nameInput.value.trim();
   if (!id) { addMessage('system', '✗ Endpoint name is required'); return; }
-
-  const predefined = PREDEFINED_ENDPOINTS[id], apiKey = keyInput.value.trim(), config = { apiKey };
-  if (!predefined) {
+  if (isLocal && PREDEFINED_ENDPOINTS[id]) { addMessage('system', `✗ "${id}" is reserved, choose another name`); return; }
+
+  const predefined = !isLocal && PREDEFINED_ENDPOINTS[id], apiKey = keyInput.value.trim();
+  let config = { apiKey };
+  if (isLocal) {
+    // Local endpoints take no API key and must stay on this machine
+    const url = urlInput.value.trim();
+    if (!isLoopbackUrl(url)) { addMessage('system', '✗ Local endpoints must point at localhost'); return; }
+    config = { ...localEndpointConfig(localOption?.value ? localOption.dataset.server : 'openai', new URL(url).origin), url };
+  } else if (!predefined) {
     config.url = urlInput.value.trim();
+    config.format = row.querySelector('.endpoint-format-select').value;
     if (!config.url) { addMessage('system', '✗ URL is required for custom endpoints'); return; }
   }
 
@@ -148,6 +221,7 @@ async function handleEndpointSave(row) {
 
   currentEndpoints[id] = config;
   await setEndpoints(currentEndpoints);
+  await clearEndpointIssue(id);
   endpointModelsCache.delete(id); renderEndpoints();
   addMessage('system', `✓ Endpoint ${predefined?.name || id} saved`);
 }
@@ -171,6 +245,11 @@ function handleEndpointAdd() {
 
 function setupEndpointsSection() {
   elements.addEndpointBtn.addEventListener('click', handleEndpointAdd);
+  elements.localOnlyToggle.addEventListener('change', async () => {
+    const enabled = elements.localOnlyToggle.checked;
+    await setLocalOnly(enabled);
+    addMessage('system', enabled ? '✓ Local only: models on remote endpoints will not be called' : '✓ Remote endpoints enabled');
+  });
 
   elements.endpointsList.addEventListener('click', e => {
     const btn = e.target.closest('button');
@@ -185,6 +264,8 @@ function setupEndpointsSection() {
       handleEndpointSave(row);
     } else if (btn.classList.contains('cancel')) {
       renderEndpoints();
+    } else if (btn.classList.contains('scan')) {
+      scanLocalServers(row);
     }
   });
 }
@@ -211,12 +292,16 @@ async function verifyAllModels() {
   // Second pass: start verification tasks
   for (const tier of TIERS) {
     for (let i = 0; i < (currentModels[tier]?.length || 0); i++) {
-      const [ep, m, prov, noTool] = currentModels[tier][i], key = `${tier}:${i}`;
+      const [ep, m, prov, noTool, schemaMode, vision] = currentModels[tier][i], key = `${tier}:${i}`;
       const status = verificationStatus.get(key);
       if (!m || !status?.verifying) continue;
-      tasks.push(verifyModel(ep, m, prov).then(async result => {
+      // Structured-output support is probed once; the result is kept in the tuple
+      tasks.push(verifyModel(ep, m, prov, { probeSchema: !schemaMode }).then(async result => {
         verificationStatus.set(key, { verified: result.valid, error: result.error });
-        if (result.noToolChoice && !noTool) { currentModels[tier][i] = [ep, m, prov, true]; needsSave = true; }
+        if ((result.noToolChoice && !noTool) || (result.schemaMode && !schemaMode)) {
+          currentModels[tier][i] = [ep, m, prov, noTool || result.noToolChoice || undefined, schemaMode || result.schemaMode, vision];
+          needsSave = true;
+        }
         await counter.increment(modelStatsKey(ep, m, prov), result.valid ? 'success' : 'error');
         renderTierModels(tier);
       }));
@@ -226,13 +311,26 @@ async function verifyAllModels() {
   if (needsSave) saveModels();
 }
 
-function createModelItem(endpoint, model, openrouterProvider, noToolChoice, tier, index, stats) {
+// Open: skipped until the cooldown ends; half-open: the next call decides. Clicking closes it.
+function circuitBadge(circuit) {
+  if (circuit?.state === CIRCUIT_OPEN) {
+    const minutes = Math.max(1, Math.ceil((circuit.reopensAt - Date.now()) / 60_000));
+    return `<button class="reset-circuit badge badge-xs badge-error" title="Skipped after ${circuit.errorClass} errors; click to close">open · ${minutes}m</button>`;
+  }
+  if (circuit?.state === CIRCUIT_HALF_OPEN) {
+    return `<button class="reset-circuit badge badge-xs badge-warning" title="Next call decides whether it reopens; click to close">half-open</button>`;
+  }
+  return '';
+}
+
+function createModelItem(endpoint, model, openrouterProvider, noToolChoice, schemaMode, vision, tier, index, stats, circuit) {
   const el = tpl('tpl-model-item');
   el.dataset.tier = tier; el.dataset.index = index;
   el.querySelector('.model-endpoint').textContent = endpoint;
   el.querySelector('.model-name').textContent = model;
   const providerEl = el.querySelector('.model-provider');
   if (openrouterProvider && providerEl) providerEl.textContent = openrouterProvider;
+  el.querySelector('.model-vision').classList.toggle('hidden', !vision);
 
   const statusEl = el.querySelector('.status-indicator'), status = verificationStatus.get(`${tier}:${index}`);
   if (status?.verified === true) statusEl.innerHTML = '<div class="tooltip tooltip-right" data-tip="Verified"><div class="status status-success"></div></div>';
@@ -240,10 +338,14 @@ function createModelItem(endpoint, model, openrouterProvider, noToolChoice, tier
   else if (status?.verifying) statusEl.innerHTML = '<div class="tooltip tooltip-right" data-tip="Verifying..."><div class="status status-verifying"></div></div>';
   else statusEl.innerHTML = '<div class="status status-idle"></div>';
 
-  if (noToolChoice) {
+  const limits = [
+    noToolChoice && 'No tool_choice support',
+    schemaMode && schemaMode !== SCHEMA_MODE_NATIVE && SCHEMA_MODE_LABELS[schemaMode]
+  ].filter(Boolean);
+  if (limits.length) {
     const warningEl = el.querySelector('.warning-indicator');
     warningEl.classList.remove('hidden');
-    warningEl.innerHTML = '<div class="tooltip tooltip-bottom tooltip-warning" data-tip="No tool_choice support"><svg class="w-3 h-3 text-warning" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2L1 21h22L12 2zm0 4l7.5 13h-15L12 6zm-1 5v4h2v-4h-2zm0 6v2h2v-2h-2z"/></svg></div>';
+    warningEl.innerHTML = `<div class="tooltip tooltip-bottom tooltip-warning" data-tip="${limits.join(' · ')}"><svg class="w-3 h-3 text-warning" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2L1 21h22L12 2zm0 4l7.5 13h-15L12 6zm-1 5v4h2v-4h-2zm0 6v2h2v-2h-2z"/></svg></div>`;
   }
 
   if (stats) {
@@ -253,10 +355,11 @@ function createModelItem(endpoint, model, openrouterProvider, noToolChoice, tier
       el.querySelector('.model-stats').innerHTML = `<span class="${rateClass} font-medium">${rate}%</span><span class="opacity-50">·</span><span>${total} calls</span>`;
     }
   }
+  el.querySelector('.model-stats').insertAdjacentHTML('afterbegin', circuitBadge(circuit));
   return el;
 }
 
-async function createModelEditingRow(endpoint, model, openrouterProvider, tier, index) {
+async function createModelEditingRow(endpoint, model, openrouterProvider, vision, tier, index) {
   const el = tpl('tpl-model-editing');
   el.dataset.tier = tier; el.dataset.index = index;
   const endpointSelect = el.querySelector('.model-endpoint-select'), configuredEndpoints = Object.keys(currentEndpoints);
@@ -279,6 +382,11 @@ async function createModelEditingRow(endpoint, model, openrouterProvider, tier,
   if (routerInput) routerInput.value = openrouterProvider || '';
   updateRouterVisibility(endpointSelect.value);
 
+  const pricing = model ? await getManualPricing(endpoint, model) : null;
+  el.querySelector('.model-price-input').value = pricing?.input ?? '';
+  el.querySelector('.model-price-output').value = pricing?.output ?? '';
+  el.querySelector('.model-vision-input').checked = !!vision;
+
   endpointSelect.addEventListener('change', () => {
     updateRouterVisibility(endpointSelect.value);
     updateModelAutocomplete(modelInput, el.querySelector('.model-autocomplete'), endpointSelect.value);
@@ -305,6 +413,22 @@ async function updateAutocomplete(input, listEl, { getData, keys, sortKey, rende
   listEl.classList.remove('hidden');
 }
 
+// Context length, tool and image support, as reported by the endpoint
+function modelCapabilities({ contextLength, supportsTools, supportsVision }) {
+  const parts = [
+    contextLength ? `<span>${Math.round(contextLength / 1024)}k ctx</span>` : '',
+    supportsVision ? '<span>vision</span>' : '',
+    supportsTools === false ? '<span class="text-warning">no tool calling</span>' : ''
+  ].filter(Boolean);
+  return parts.length ? `<div class="flex gap-2 opacity-60 text-xs">${parts.join('')}</div>` : '';
+}
+
+// Preset the vision flag when the endpoint reports whether the chosen model accepts images
+function applyReportedVision(row, modelId) {
+  const reported = endpointModelsCache.get(row.querySelector('.model-endpoint-select').value)?.find(m => m.id === modelId);
+  if (reported?.supportsVision !== undefined) row.querySelector('.model-vision-input').checked = reported.supportsVision;
+}
+
 const updateModelAutocomplete = (input, listEl, endpointId) => updateAutocomplete(input, listEl, {
   getData: async () => {
     if (!endpointId || !currentEndpoints[endpointId]) return null;
@@ -312,7 +436,7 @@ const updateModelAutocomplete = (input, listEl, endpointId) => updateAutocomplet
     return endpointModelsCache.get(endpointId);
   },
   keys: ['id', 'name'], sortKey: 'id',
-  renderItem: m => `<li class="px-2 py-2 rounded-lg cursor-pointer hover:bg-base-300 text-xs" data-model-id="${m.id}"><div class="font-mono truncate">${m.id}</div>${m.name !== m.id ? `<div class="opacity-50 text-xs truncate">${m.name}</div>` : ''}</li>`
+  renderItem: m => `<li class="px-2 py-2 rounded-lg cursor-pointer hover:bg-base-300 text-xs" data-model-id="${m.id}"><div class="font-mono truncate">${m.id}</div>${m.name !== m.id ? `<div class="opacity-50 text-xs truncate">${m.name}</div>` : ''}${modelCapabilities(m)}</li>`
 });
 
 const updateRouterAutocomplete = (input, listEl) => updateAutocomplete(input, listEl, {
@@ -325,8 +449,11 @@ async function renderTierModels(tier) {
   const listEl = getListEl(tier), models = currentModels[tier] || [];
   listEl.innerHTML = '';
   if (!models.length) { listEl.innerHTML = '<li class="text-center text-xs opacity-50 py-4">No models configured</li>'; return; }
-  const stats = await getModelStatsCounter().getAllStats();
-  models.forEach(([ep, m, prov, noTool], i) => listEl.appendChild(createModelItem(ep, m, prov, noTool, tier, i, stats[modelStatsKey(ep, m, prov)])));
+  const stats = await getModelStatsCounter().getAllStats(), circuits = await getAllCircuits();
+  models.forEach(([ep, m, prov, noTool, schemaMode, vision], i) => {
+    const key = modelStatsKey(ep, m, prov);
+    listEl.appendChild(createModelItem(ep, m, prov, noTool, schemaMode, vision, tier, i, stats[key], circuits[key]));
+  });
 }
 
 const renderAllModels = () => Promise.all(TIERS.map(renderTierModels));
@@ -350,8 +477,8 @@ function shiftVerificationStatus(tier, fromIdx, direction) {
 }
 
 async function handleModelEdit(tier, index) {
-  const [ep, m, prov] = currentModels[tier][index];
-  getListEl(tier).querySelector(`.list-row[data-index="${index}"]`).replaceWith(await createModelEditingRow(ep, m, prov, tier, index));
+  const [ep, m, prov, , , vision] = currentModels[tier][index];
+  getListEl(tier).querySelector(`.list-row[data-index="${index}"]`).replaceWith(await createModelEditingRow(ep, m, prov, vision, tier, index));
 }
 
 async function handleModelSave(tier, index) {
@@ -361,6 +488,9 @@ async function handleModelSave(tier, index) {
   if (!endpoint) { addMessage('system', '✗ Please configure an endpoint first'); return; }
   if (!model) { addMessage('system', '✗ Model name is required'); return; }
   const openrouterProvider = (endpoint === OPENROUTER_ID && providerInput) ? providerInput : null;
+  const priceIn = row.querySelector('.model-price-input').value, priceOut = row.querySelector('.model-price-output').value;
+  const pricing = priceIn || priceOut ? { input: Number(priceIn) || 0, output: Number(priceOut) || 0 } : null;
+  const vision = row.querySelector('.model-vision-input').checked || undefined;
 
   const originalHtml = saveBtn.innerHTML;
   saveBtn.disabled = true;
@@ -372,12 +502,19 @@ async function handleModelSave(tier, index) {
   saveBtn.disabled = false; saveBtn.innerHTML = originalHtml;
 
   verificationStatus.set(`${tier}:${index}`, { verified: result.valid, error: result.error });
-  currentModels[tier][index] = [endpoint, model, openrouterProvider, result.noToolChoice || undefined];
+  currentModels[tier][index] = [endpoint, model, openrouterProvider, result.noToolChoice || undefined, result.schemaMode, vision];
+  await setManualPricing(endpoint, model, pricing);
   saveModels(); renderTierModels(tier);
 
   addMessage('system', result.valid
     ? (result.noToolChoice ? '✓ Model verified (no tool_choice support)' : '✓ Model verified and saved')
     : `✗ Model verification failed: ${result.error}`);
+  if (result.valid && result.schemaMode && result.schemaMode !== SCHEMA_MODE_NATIVE) {
+    addMessage('system', `ℹ ${model} has no json_schema support; structured output uses ${SCHEMA_MODE_LABELS[result.schemaMode]}`);
+  }
+  if (endpointModelsCache.get(endpoint)?.find(m => m.id === model)?.supportsTools === false) {
+    addMessage('system', `⚠ ${model} reports no tool calling support; browser actions need tools`);
+  }
 }
 
 function handleModelDelete(tier, index) {
@@ -393,9 +530,12 @@ async function handleModelAdd(tier) {
   const index = currentModels[tier].length - 1;
 
   listEl.innerHTML = '';
-  const stats = await getModelStatsCounter().getAllStats();
-  currentModels[tier].slice(0, -1).forEach(([ep, m, prov, noTool], i) => listEl.appendChild(createModelItem(ep, m, prov, noTool, tier, i, stats[modelStatsKey(ep, m, prov)])));
-  listEl.appendChild(await createModelEditingRow(defaultEndpoint, '', null, tier, index));
+  const stats = await getModelStatsCounter().getAllStats(), circuits = await getAllCircuits();
+  currentModels[tier].slice(0, -1).forEach(([ep, m, prov, noTool, schemaMode, vision], i) => {
+    const key = modelStatsKey(ep, m, prov);
+    listEl.appendChild(createModelItem(ep, m, prov, noTool, schemaMode, vision, tier, i, stats[key], circuits[key]));
+  });
+  listEl.appendChild(await createModelEditingRow(defaultEndpoint, '', null, false, tier, index));
   listEl.querySelector('.list-row:last-child .model-name-input').focus();
 }
 
@@ -431,6 +571,13 @@ function setupDragAndDrop() {
   })));
 }
 
+async function handleCircuitReset(tier, index) {
+  const [ep, m, prov] = currentModels[tier][index];
+  await resetCircuit(modelStatsKey(ep, m, prov));
+  renderTierModels(tier);
+  addMessage('system', `✓ ${m} will be tried again`);
+}
+
 function setupModelsSection() {
   setupDragAndDrop();
   document.querySelectorAll('.tier-add-btn').forEach(btn => btn.addEventListener('click', e => { e.stopPropagation(); handleModelAdd(btn.dataset.tier); }));
@@ -446,6 +593,7 @@ function setupModelsSection() {
       else if (btn.classList.contains('delete')) handleModelDelete(tier, +index);
       else if (btn.classList.contains('save')) handleModelSave(tier, +index);
       else if (btn.classList.contains('cancel')) renderTierModels(tier);
+      else if (btn.classList.contains('reset-circuit')) handleCircuitReset(tier, +index);
       return;
     }
 
@@ -456,6 +604,7 @@ function setupModelsSection() {
       const r = modelItem.closest('.list-row');
       const input = r.querySelector('.model-name-input');
       input.value = modelItem.dataset.modelId;
+      applyReportedVision(r, input.value);
       r.querySelector('.model-autocomplete').classList.add('hidden');
       input.focus();
     }
@@ -485,6 +634,7 @@ function setupModelsSection() {
       if (sel && !ac.classList.contains('hidden')) {
         e.preventDefault();
         e.target.value = isModelInput ? sel.dataset.modelId : sel.dataset.provider;
+        if (isModelInput) applyReportedVision(row, e.target.value);
         ac.classList.add('hidden');
       } else if (isModelInput) {
         row.querySelector('.model-autocomplete')?.classList.add('hidden');
@@ -552,7 +702,13 @@ export async function initSettings() {
     await setEndpoints(currentEndpoints);
   }
 
+  // Credentials rejected during generation show as failed verification until the endpoint is saved again
+  for (const [id, issue] of Object.entries(await getEndpointIssues())) {
+    if (currentEndpoints[id]) endpointVerificationStatus.set(id, { verified: false, error: `Rejected (HTTP ${issue.status}): ${issue.message}` });
+  }
+
   renderEndpoints(); await renderAllModels();
+  elements.localOnlyToggle.checked = await getLocalOnly();
   const hasEndpoints = Object.keys(currentEndpoints).length > 0;
   if (!hasEndpoints) toggleSettings(true);
   updateHeaderTitle();
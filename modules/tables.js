@@ -0,0 +1,131 @@
+/**
+ * Tables - Headers and typed rows from the raw cells the content script reads
+ * A raw table is { caption, rows: [[{ text, colspan, rowspan, header }]], total_rows }, rows in page order.
+ * Spans are expanded so every row has one value per column; leading all-header rows become the headers
+ */
+
+const MAX_SPAN = 1000;
+
+// A rectangular grid of { text, header }; a cell spanning several slots fills each of them
+export function expandSpans(rows) {
+  const grid = rows.map(() => []);
+  rows.forEach((cells, r) => {
+    let c = 0;
+    for (const cell of cells) {
+      while (grid[r][c]) c++;
+      const colspan = Math.min(Math.max(cell.colspan || 1, 1), MAX_SPAN);
+      // rowspan 0 runs to the last row
+      const rowspan = cell.rowspan === 0 ? rows.length - r : Math.min(Math.max(cell.rowspan || 1, 1), rows.length - r);
+      for (let dr = 0; dr < rowspan; dr++) {
+        for (let dc = 0; dc < colspan; dc++) grid[r + dr][c + dc] = { text: cell.text || '', header: !!cell.header };
+      }
+      c += colspan;
+    }
+  });
+  const width = Math.max(0, ...grid.map(row => row.length));
+  return grid.map(row => Array.from({ length: width }, (_, c) => row[c] || { text: '', header: false }));
+}
+
+// Column names: stacked header rows joined per column, blanks numbered, repeats suffixed
+function columnNames(headerRows, width) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, c) => {
+    const parts = [...new Set(headerRows.map(row => row[c].text).filter(Boolean))];
+    const base = parts.join(' / ') || `Column ${c + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} ${count}` : base;
+  });
+}
+
+const NUMERIC = /^[-−+]?[$€£¥₹]?\s?(\d{1,3}(,\d{3})+|\d+)(\.\d+)?\s?[$€£¥₹%]?$/;
+const unwrap = text => text.replace(/^\((.*)\)$/, '$1').trim(); // accounting-style negatives: (12.50)
+
+/**
+ * Type of one cell's text: 'number', 'currency', 'percent' or 'string'
+ * Accepts thousands separators, a leading or trailing currency sign and accounting-style negatives
+ */
+export function valueType(text) {
+  const bare = unwrap(text);
+  if (!NUMERIC.test(bare)) return 'string';
+  if (bare.endsWith('%')) return 'percent';
+  return /[$€£¥₹]/.test(bare) ? 'currency' : 'number';
+}
+
+export function parseNumber(text) {
+  const value = Number(text.replace(/[^\d.]/g, ''));
+  return text.startsWith('(') || /^[-−]/.test(unwrap(text)) ? -value : value;
+}
+
+// A column is numeric only when all its non-empty cells are; one currency sign makes it a currency column
+function columnType(values) {
+  const types = new Set(values.filter(Boolean).map(valueType));
+  if (!types.size || types.has('string')) return 'string';
+  if (types.has('currency')) return 'currency';
+  return types.size === 1 ? [...types][0] : 'number';
+}
+
+/**
+ * @param {{ caption?: string, rows: Array<Array<{ text: string, colspan?: number, rowspan?: number, header?: boolean }>>, total_rows?: number }} raw
+ * @param {number} maxRows - Data rows to keep
+ * @returns {{ caption: string|null, headers: string[], column_types: Object<string, string>, rows: Object[], row_count: number, truncated: boolean }}
+ */
+export function buildTable(raw, maxRows = 100) {
+  const grid = expandSpans(raw.rows || []);
+  const width = grid[0]?.length || 0;
+  let headerCount = 0;
+  while (headerCount < grid.length && grid[headerCount].every(cell => cell.header || !cell.text)) headerCount++;
+  // A table of header cells only (e.g. a grid of th) is data, not headers
+  if (headerCount === grid.length) headerCount = 0;
+
+  const headers = columnNames(grid.slice(0, headerCount), width);
+  const body = grid.slice(headerCount).filter(row => row.some(cell => cell.text));
+  const types = headers.map((_, c) => columnType(body.map(row => row[c].text)));
+  const rowCount = Math.max(body.length, (raw.total_rows ?? 0) - headerCount);
+
+  return {
+    caption: raw.caption || null,
+    headers,
+    column_types: Object.fromEntries(headers.map((header, c) => [header, types[c]])),
+    rows: body.slice(0, maxRows).map(row => Object.fromEntries(headers.map((header, c) => {
+      const text = row[c].text;
+      if (!text) return [header, null];
+      return [header, types[c] === 'string' ? text : parseNumber(text)];
+    }))),
+    row_count: rowCount,
+    truncated: rowCount > Math.min(body.length, maxRows)
+  };
+}
+
+const sameRows = (a, b) => a.length === b.length && a.every((row, i) => JSON.stringify(row) === JSON.stringify(b[i]));
+
+/**
+ * Add the next page of a paginated table with the same headers. Pages are compared whole, never row by
+ * row, so identical rows on different pages are all kept. A page equal to the last one read (the click
+ * has not loaded anything yet) adds nothing; one that begins with every row so far ("load more") adds the rest
+ * @param {Array<Object>} [previousRows] - Rows of the page read before next; the first page is the table itself
+ * @returns {{ table: *, added: number }} added is 0 when the headers differ or the page repeats
+ */
+export function mergeTablePages(table, next, previousRows = table.rows) {
+  if (!next || next.headers.join('\u0000') !== table.headers.join('\u0000')) return { table, added: 0 };
+  if (sameRows(next.rows, previousRows)) return { table, added: 0 };
+  const fresh = sameRows(next.rows.slice(0, table.rows.length), table.rows) ? next.rows.slice(table.rows.length) : next.rows;
+  return {
+    table: { ...table, rows: [...table.rows, ...fresh], row_count: table.rows.length + fresh.length, truncated: table.truncated || next.truncated },
+    added: fresh.length
+  };
+}
+
+// RFC 4180 field; text a spreadsheet would run as a formula gets a leading apostrophe
+function csvField(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function tableToCSV({ headers, rows }) {
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n');
+}
@@ -0,0 +1,73 @@
+/**
+ * Table building tests - Run: npx tsx modules/tables.test.ts
+ */
+import { expandSpans, buildTable, mergeTablePages, tableToCSV, valueType } from './tables.js';
+
+let failed = 0;
+const assert = (cond: boolean, msg: string): void => {
+  if (!cond) {
+    console.error(`FAIL: ${msg}`);
+    failed++;
+  }
+};
+
+const th = (text: string, extra = {}) => ({ text, header: true, ...extra });
+const td = (text: string, extra = {}) => ({ text, ...extra });
+
+// Spans fill every slot they cover
+const grid: any[][] = expandSpans([
+  [td('a', { rowspan: 2 }), td('b', { colspan: 2 })],
+  [td('c'), td('d')],
+  [td('e')]
+]);
+assert(grid.map(row => row.map(cell => cell.text).join()).join(';') === 'a,b,b;a,c,d;e,,', 'colspan and rowspan expanded, short rows padded');
+assert(expandSpans([[td('x', { rowspan: 0 })], [], []]).every((row: any[]) => row[0].text === 'x'), 'rowspan 0 runs to the last row');
+
+// Stacked headers, typed columns
+const table: any = buildTable({
+  caption: 'Prices',
+  rows: [
+    [th('Item', { rowspan: 2 }), th('Cost', { colspan: 2 })],
+    [th('Net'), th('Change')],
+    [td('Tea'), td('$1,200.50'), td('12%')],
+    [td('Coffee'), td('(3.00)'), td('-4%')],
+    [td('Water'), td(''), td('0%')]
+  ],
+  total_rows: 5
+});
+assert(table.headers.join('|') === 'Item|Cost / Net|Cost / Change', 'header rows joined per column');
+assert(table.column_types['Cost / Net'] === 'currency' && table.column_types['Cost / Change'] === 'percent' && table.column_types.Item === 'string', 'column types');
+assert(table.rows[0]['Cost / Net'] === 1200.5 && table.rows[1]['Cost / Net'] === -3 && table.rows[1]['Cost / Change'] === -4, 'numbers parsed, negatives kept');
+assert(table.rows[2]['Cost / Net'] === null && table.row_count === 3 && !table.truncated, 'empty cells are null');
+
+// Mixed columns stay text; missing headers are numbered
+const plain: any = buildTable({ rows: [[td('1'), td('x')], [td('n/a'), td('x')]], total_rows: 40 }, 1);
+assert(plain.headers.join() === 'Column 1,Column 2', 'columns without headers numbered');
+assert(plain.rows[0]['Column 1'] === '1' && plain.rows.length === 1, 'mixed column not typed, rows capped');
+assert(plain.row_count === 40 && plain.truncated, 'rows beyond the read counted as truncated');
+assert(buildTable({ rows: [[th('A'), th('A')], [td('1'), td('2')]] }).headers.join() === 'A,A 2', 'repeated headers suffixed');
+assert(valueType('12 apples') === 'string' && valueType('1,234') === 'number' && valueType('€5') === 'currency', 'value types');
+
+// Pages of one table merge whole: a repeated page adds nothing, a "load more" page only its new rows
+const items = (...rows: string[][]) => buildTable({ rows: [[th('Item'), th('Qty')], ...rows.map(row => row.map(td))] });
+const page1 = items(['Tea', '1']);
+const merged: any = mergeTablePages(page1, items(['Tea', '1'], ['Milk', '2']));
+assert(merged.added === 1 && merged.table.rows.length === 2 && merged.table.row_count === 2, 'load-more page adds its new rows');
+assert(mergeTablePages(page1, buildTable({ rows: [[th('Other')], [td('x')]] })).added === 0, 'different headers not merged');
+assert(mergeTablePages(merged.table, items(['Tea', '1'], ['Milk', '2']), merged.table.rows).added === 0, 'page not yet changed adds nothing');
+
+// Identical rows on different pages are all kept
+const logPage = items(['Retry', '1'], ['Retry', '1']);
+const pages: any = mergeTablePages(logPage, items(['Retry', '1'], ['Done', '2']));
+assert(pages.added === 2 && pages.table.row_count === 4 && pages.table.rows.filter((r: any) => r.Item === 'Retry').length === 3, 'repeated rows across pages kept');
+
+// CSV quoting and formula guard
+const csv = tableToCSV({ headers: ['Name', 'Note'], rows: [{ Name: 'A, B', Note: 'say "hi"' }, { Name: '=SUM(1)', Note: null }] });
+assert(csv === 'Name,Note\r\n"A, B","say ""hi"""\r\n\'=SUM(1),', 'CSV quoted, formulas neutralised');
+
+if (failed) {
+  console.error(`\n${failed} table test(s) failed`);
+  process.exit(1);
+} else {
+  console.log('All table tests passed');
+}
@@ -27,18 +27,25 @@ export class TimeBucketCounter {
   }
 
   async increment(key, counter = 'count', amount = 1) {
+    await this.incrementAll(key, { [counter]: amount });
+  }
+
+  // Several counters of one key, saved once; zero amounts are skipped
+  async incrementAll(key, amounts) {
     await this.load();
     const now = Date.now();
-    this.data[key] ??= {};
-    this.data[key][counter] ??= { minute: [], hour: [], day: [] };
-
-    const buckets = this.data[key][counter];
     const ts = getBucketTs(now, MINUTE);
-    let bucket = buckets.minute.find(b => b.ts === ts);
-    if (!bucket) buckets.minute.push(bucket = { ts, count: 0 });
-    bucket.count += amount;
-
-    this._aggregate(buckets, now);
+    for (const [counter, amount] of Object.entries(amounts)) {
+      if (!amount) continue;
+      this.data[key] ??= {};
+      this.data[key][counter] ??= { minute: [], hour: [], day: [] };
+
+      const buckets = this.data[key][counter];
+      let bucket = buckets.minute.find(b => b.ts === ts);
+      if (!bucket) buckets.minute.push(bucket = { ts, count: 0 });
+      bucket.count += amount;
+      this._aggregate(buckets, now);
+    }
     await this.save();
   }
 
@@ -56,8 +63,8 @@ export class TimeBucketCounter {
 
     rollUp('minute', 'hour', 'minute', 'hour');
     rollUp('hour', 'day', 'hour', 'day');
-    const monthCutoff = now - TIERS.day.retention * DAY;
-    buckets.day = buckets.day.filter(b => b.ts >= monthCutoff).sort((a, b) => a.ts - b.ts);
+    const retentionCutoff = now - TIERS.day.retention * DAY;
+    buckets.day = buckets.day.filter(b => b.ts >= retentionCutoff).sort((a, b) => a.ts - b.ts);
   }
 
   _sumBuckets(buckets, since) {
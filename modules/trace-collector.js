@@ -9,11 +9,18 @@
  *   tracer.traceStep(uuid, { type: 'function', ... })
  *   tracer.endAction(uuid, output, error)
  *   const tree = tracer.getTrace(rootUUID)
+ *
+ * Live events: tracer.watch(rootUUID, listener) receives action start/end and
+ * iteration events for the whole tree until cleanup(rootUUID)
  */
 
+import { messageText } from './llm/multimodal.js';
+
 class TraceRouter {
   constructor() {
     this.nodes = new Map(); // uuid -> node
+    this.roots = new Map(); // action uuid -> root action uuid
+    this.listeners = new Map(); // root uuid -> listener
   }
 
   generateUUID() {
@@ -40,6 +47,7 @@ class TraceRouter {
     };
 
     this.nodes.set(uuid, node);
+    this.roots.set(uuid, (parentUUID && this.roots.get(parentUUID)) || uuid);
 
     // Link to parent
     if (parentUUID) {
@@ -47,6 +55,7 @@ class TraceRouter {
       if (parent) parent.children.push(node);
     }
 
+    this.emit(uuid, { type: 'action_start', id: uuid, parentId: parentUUID, node });
     return uuid;
   }
 
@@ -60,8 +69,10 @@ class TraceRouter {
     node.endTime = performance.now();
     node.duration = node.endTime - node.startTime;
     node.output = this.sanitize(output);
-    node.status = error ? 'error' : 'success';
+    node.status = this.statusFor(error);
     if (error) node.error = this.sanitizeError(error);
+
+    this.emit(uuid, { type: 'action_end', id: uuid, node });
   }
 
   /**
@@ -99,7 +110,7 @@ class TraceRouter {
     node.endTime = performance.now();
     node.duration = node.endTime - node.startTime;
     node.output = this.sanitize(result);
-    node.status = error ? 'error' : 'success';
+    node.status = this.statusFor(error);
     if (error) node.error = this.sanitizeError(error);
   }
 
@@ -127,19 +138,21 @@ class TraceRouter {
   /**
    * Trace an LLM call
    */
-  traceLLM(parentUUID, model, prompt, response, tokens, duration, error = null) {
+  traceLLM(parentUUID, model, prompt, response, tokens, duration, error = null, cost = 0, cached = false) {
     const node = {
       id: this.generateUUID(),
       type: 'llm',
-      name: 'LLM Call',
+      name: cached ? 'LLM Call (cached)' : 'LLM Call',
       model,
       prompt: this.truncate(prompt, 2000),
       output: this.sanitize(response),
       tokens,
+      cost,
       duration,
-      status: error ? 'error' : 'success',
+      status: this.statusFor(error),
       children: [],
     };
+    if (cached) node.cached = true;
     if (error) node.error = this.sanitizeError(error);
 
     const parent = this.nodes.get(parentUUID);
@@ -196,6 +209,30 @@ class TraceRouter {
 
     const parent = this.nodes.get(parentUUID);
     if (parent) parent.children.push(node);
+
+    this.emit(parentUUID, { type: 'iteration', parentId: parentUUID, node });
+  }
+
+  /**
+   * Subscribe to live events of the tree rooted at rootUUID
+   * @param {string} rootUUID - Root action UUID
+   * @param {function} listener - Called with { type: 'action_start'|'action_end'|'iteration', id?, parentId?, node }
+   */
+  watch(rootUUID, listener) {
+    this.listeners.set(rootUUID, listener);
+  }
+
+  /**
+   * Deliver an event to the listener of the tree containing actionUUID
+   */
+  emit(actionUUID, event) {
+    const listener = this.listeners.get(this.roots.get(actionUUID));
+    if (!listener) return;
+    try {
+      listener(event);
+    } catch (err) {
+      console.warn('Trace listener failed:', err.message);
+    }
   }
 
   /**
@@ -205,6 +242,24 @@ class TraceRouter {
     return this.nodes.get(uuid);
   }
 
+  /**
+   * Token and cost totals over every LLM call in a trace tree
+   */
+  usageTotals(uuid) {
+    const totals = { input: 0, output: 0, cost: 0 };
+    const walk = (node) => {
+      if (node.type === 'llm') {
+        totals.input += node.tokens?.input || 0;
+        totals.output += node.tokens?.output || 0;
+        totals.cost += node.cost || 0;
+      }
+      node.children?.forEach(walk);
+    };
+    const root = this.nodes.get(uuid);
+    if (root) walk(root);
+    return totals;
+  }
+
   /**
    * Clean up a trace tree (call after storing)
    */
@@ -221,8 +276,10 @@ class TraceRouter {
     if (node) {
       for (const id of collectUUIDs(node)) {
         this.nodes.delete(id);
+        this.roots.delete(id);
       }
     }
+    this.listeners.delete(uuid);
   }
 
   sanitize(value) {
@@ -240,6 +297,12 @@ class TraceRouter {
     }
   }
 
+  statusFor(error) {
+    if (!error) return 'success';
+    if (error.isCancelled || error.name === 'AbortError') return 'cancelled';
+    return error.isTimeout ? 'timeout' : 'error';
+  }
+
   sanitizeError(error) {
     if (typeof error === 'string') return error;
     if (error instanceof Error) {
@@ -263,27 +326,21 @@ export const tracer = new TraceRouter();
 export function createTracedGenerate(generate, traceUUID) {
   return async function tracedGenerate(options) {
     const startTime = performance.now();
-    let result, error;
-    let tokens = { input: 0, output: 0 };
+    let result, error, usage = null;
 
     try {
-      result = await generate(options);
-      if (result?.usage) {
-        tokens = {
-          input: result.usage.input_tokens || result.usage.prompt_tokens || 0,
-          output: result.usage.output_tokens || result.usage.completion_tokens || 0,
-        };
-      }
+      result = await generate({ ...options, onUsage: u => { usage = u; options.onUsage?.(u); } });
     } catch (err) {
       error = err;
     }
 
     const duration = performance.now() - startTime;
     const promptStr = options.messages
-      ? options.messages.map(m => `[${m.role}]: ${m.content}`).join('\n')
+      ? options.messages.map(m => `[${m.role}]: ${messageText(m.content)}`).join('\n')
       : options.prompt || '';
 
-    tracer.traceLLM(traceUUID, options.model || 'unknown', promptStr, result, tokens, duration, error);
+    const tokens = { input: usage?.input || 0, output: usage?.output || 0 };
+    tracer.traceLLM(traceUUID, usage?.model || options.model || 'unknown', promptStr, result, tokens, duration, error, usage?.cost, usage?.cached);
 
     if (error) throw error;
     return result;
@@ -2,11 +2,14 @@
 import { elements } from './dom.js';
 import * as storage from './storage.js';
 import { getModelStatsCounter } from './time-bucket-counter.js';
+import { formatCost } from './llm/pricing.js';
 
 const THEMES = ['cupcake', 'retro', 'sunset', 'night'];
 const DEFAULT_THEME = 'night';
 const ZOOM = { min: 70, max: 150, default: 100, step: 10 };
 const STATS_WINDOW = 100;
+// On-page outline before the agent acts (see highlightTargets in chrome-api.js)
+const OVERLAY_DEFAULTS = { overlayHighlight: true, overlayDelayMs: 0, overlayShowIds: false };
 
 let currentTheme = DEFAULT_THEME;
 let currentZoom = 100;
@@ -102,11 +105,39 @@ function setupZoomControls() {
   });
 }
 
+function applyOverlaySettings({ overlayHighlight, overlayDelayMs, overlayShowIds }) {
+  elements.overlayHighlightToggle.checked = overlayHighlight;
+  elements.overlayShowIdsToggle.checked = overlayShowIds;
+  elements.overlayDelaySlider.value = overlayDelayMs;
+  elements.overlayDelayLevel.textContent = `${overlayDelayMs / 1000}s`;
+  [elements.overlayShowIdsToggle, elements.overlayDelaySlider].forEach(input => { input.disabled = !overlayHighlight; });
+}
+
+function readOverlaySettings() {
+  return {
+    overlayHighlight: elements.overlayHighlightToggle.checked,
+    overlayDelayMs: parseInt(elements.overlayDelaySlider.value, 10),
+    overlayShowIds: elements.overlayShowIdsToggle.checked
+  };
+}
+
+function setupOverlayControls() {
+  const save = () => storage.set(readOverlaySettings());
+  elements.overlayHighlightToggle.addEventListener('change', () => {
+    applyOverlaySettings(readOverlaySettings());
+    save();
+  });
+  elements.overlayShowIdsToggle.addEventListener('change', save);
+  elements.overlayDelaySlider.addEventListener('input', () => applyOverlaySettings(readOverlaySettings()));
+  elements.overlayDelaySlider.addEventListener('change', save);
+}
+
 function setupResetButton() {
   elements.resetUiBtn.addEventListener('click', async () => {
     applyTheme(DEFAULT_THEME);
     applyZoom(ZOOM.default);
-    await saveSettings();
+    applyOverlaySettings(OVERLAY_DEFAULTS);
+    await Promise.all([saveSettings(), storage.set(OVERLAY_DEFAULTS)]);
   });
 }
 
@@ -148,6 +179,33 @@ function formatProvider(modelId) {
   return providers ? `${vendor} via ${providers}` : vendor;
 }
 
+// Compact token count: 950, 12.3k, 4.1M
+function formatTokens(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+// Token and spend totals; the day tier keeps 30 days, so total covers the last 30 days (not the calendar month)
+function getUsage(stats) {
+  const input = stats?.input_tokens?.total || 0, output = stats?.output_tokens?.total || 0;
+  return { input, output, costDay: stats?.cost?.lastDay || 0, cost30d: stats?.cost?.total || 0 };
+}
+
+// HTTP failures counted apart from model errors (see recordFailure)
+const FAILURE_LABELS = [
+  ['rate_limited', 'rate-limited'],
+  ['server_error', 'server'],
+  ['auth_error', 'auth'],
+  ['capability_error', 'capability']
+];
+
+// Response cache lookups by cacheable calls (see recordCacheLookup)
+function getCacheStats(stats) {
+  const hits = stats?.cache_hit?.total || 0, lookups = hits + (stats?.cache_miss?.total || 0);
+  return { hits, lookups, rate: lookups ? Math.round((hits / lookups) * 100) : 0 };
+}
+
 function createStatsCard(modelId, stats) {
   const { rate, total, success, error } = getSuccessRate(stats);
   const el = tpl('tpl-stats-card');
@@ -163,6 +221,27 @@ function createStatsCard(modelId, stats) {
   el.querySelector('.stat-success').textContent = success;
   el.querySelector('.stat-error').textContent = error;
   el.querySelector('.stat-total').textContent = `${total} total`;
+
+  const failures = FAILURE_LABELS.filter(([counter]) => stats?.[counter]?.total).map(([counter, label]) => `${stats[counter].total} ${label}`);
+  if (failures.length) {
+    const failuresEl = el.querySelector('.stat-failures');
+    failuresEl.textContent = failures.join(' · ');
+    failuresEl.classList.remove('hidden');
+  }
+
+  const cache = getCacheStats(stats);
+  if (cache.lookups) {
+    const cacheEl = el.querySelector('.stat-cache');
+    cacheEl.textContent = `cache ${cache.rate}% hit · ${cache.hits}/${cache.lookups}`;
+    cacheEl.classList.remove('hidden');
+  }
+
+  const usage = getUsage(stats);
+  if (usage.input || usage.output) {
+    const usageEl = el.querySelector('.stat-usage');
+    usageEl.textContent = `${formatTokens(usage.input)} in · ${formatTokens(usage.output)} out · ${formatCost(usage.costDay)} 24h · ${formatCost(usage.cost30d)} 30d`;
+    usageEl.classList.remove('hidden');
+  }
   return el;
 }
 
@@ -186,10 +265,17 @@ async function renderModelStats() {
   });
 
   // Calculate totals
-  let totalSuccess = 0, totalError = 0;
+  let totalSuccess = 0, totalError = 0, totalTokens = 0, spendDay = 0, spend30d = 0, cacheHits = 0, cacheLookups = 0;
   models.forEach(m => {
     totalSuccess += allStats[m].success?.total || 0;
     totalError += allStats[m].error?.total || 0;
+    const cache = getCacheStats(allStats[m]);
+    cacheHits += cache.hits;
+    cacheLookups += cache.lookups;
+    const usage = getUsage(allStats[m]);
+    totalTokens += usage.input + usage.output;
+    spendDay += usage.costDay;
+    spend30d += usage.cost30d;
   });
   const totalAll = totalSuccess + totalError;
   const overallRate = totalAll > 0 ? Math.round((totalSuccess / totalAll) * 100) : 0;
@@ -202,6 +288,14 @@ async function renderModelStats() {
   summary.querySelector('.summary-calls').textContent = `${totalAll} calls`;
   summary.querySelector('.summary-ok').textContent = `${totalSuccess} ok`;
   summary.querySelector('.summary-err').textContent = `${totalError} err`;
+  summary.querySelector('.summary-spend-day').textContent = formatCost(spendDay);
+  summary.querySelector('.summary-spend-30d').textContent = formatCost(spend30d);
+  summary.querySelector('.summary-tokens').textContent = `${formatTokens(totalTokens)} tokens`;
+  if (cacheLookups) {
+    summary.querySelector('.summary-cache-rate').textContent = `${Math.round((cacheHits / cacheLookups) * 100)}% hit`;
+    summary.querySelector('.summary-cache-lookups').textContent = `${cacheHits}/${cacheLookups} lookups`;
+    summary.querySelector('.summary-cache-row').classList.remove('hidden');
+  }
   container.appendChild(summary);
 
   // Render cards
@@ -212,17 +306,19 @@ async function renderModelStats() {
 }
 
 export async function initUiSettings() {
-  const { uiTheme, uiZoom } = await storage.get(['uiTheme', 'uiZoom']);
+  const { uiTheme, uiZoom, ...overlay } = await storage.get(['uiTheme', 'uiZoom', ...Object.keys(OVERLAY_DEFAULTS)]);
 
   // Apply saved or default settings
   applyTheme(uiTheme || DEFAULT_THEME);
   applyZoom(uiZoom ?? ZOOM.default);
+  applyOverlaySettings({ ...OVERLAY_DEFAULTS, ...overlay });
 
   // Setup event listeners
   setupSettingsTabs();
   setupThemeSelector();
   setupPositionSelector();
   setupZoomControls();
+  setupOverlayControls();
   setupResetButton();
 }
 
@@ -0,0 +1,60 @@
+/**
+ * Network monitor - Runs in the page's own JavaScript world, where its fetch and XMLHttpRequest live,
+ * from document_start so no request slips past it. Each start and end is reported to the content script
+ * as a 'vish-network' event carrying JSON, with an id pairing the two. A content script that loads later
+ * asks for the requests already open with a 'vish-network-sync' event. Running it again does nothing
+ */
+(() => {
+  if (window.__vishNetworkMonitor) return;
+  window.__vishNetworkMonitor = true;
+  // Injected on demand rather than at document_start: requests already in flight were missed
+  const late = document.readyState !== 'loading';
+  const installedAt = performance.now();
+  const pending = new Map();
+  let lastId = 0;
+  const report = detail => document.dispatchEvent(new CustomEvent('vish-network', { detail: JSON.stringify(detail) }));
+  // Count a request in; the returned function counts it out
+  const track = (method = '', url = '') => {
+    const id = ++lastId;
+    const request = { id, method, url: String(url).slice(0, 200), started: performance.now() };
+    pending.set(id, request);
+    report({ type: 'start', ...request });
+    return status => {
+      pending.delete(id);
+      report({ type: 'end', ...request, status });
+    };
+  };
+
+  const fetch = window.fetch;
+  window.fetch = function (input, init) {
+    const method = String(init?.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    const done = track(method, input instanceof Request ? input.url : String(input));
+    return fetch.apply(this, arguments).then(
+      response => { done(response.status); return response; },
+      error => { done(0); throw error; }
+    );
+  };
+
+  const requests = new WeakMap();
+  const { open, send } = XMLHttpRequest.prototype;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    requests.set(this, { method: String(method).toUpperCase(), url: String(url) });
+    return open.apply(this, arguments);
+  };
+  XMLHttpRequest.prototype.send = function () {
+    const { method, url } = requests.get(this) || {};
+    const done = track(method, url);
+    // A send that throws (e.g. on a request never opened) fires no loadend
+    try {
+      send.apply(this, arguments);
+    } catch (error) {
+      done(0);
+      throw error;
+    }
+    this.addEventListener('loadend', () => done(this.status), { once: true });
+  };
+
+  const sync = () => report({ type: 'installed', late, installedAt, pending: [...pending.values()] });
+  document.addEventListener('vish-network-sync', sync);
+  sync();
+})();